@@ -13,7 +13,10 @@ const rateLimit  = require('express-rate-limit');
 const multer     = require('multer');
 const jwt        = require('jsonwebtoken');
 const bcrypt     = require('bcryptjs');
+const Database   = require('better-sqlite3');
 const { v4: uuidv4 } = require('uuid');
+const crypto     = require('crypto');
+const zlib       = require('zlib');
 const fs         = require('fs');
 const path       = require('path');
 
@@ -24,11 +27,23 @@ const PORT = process.env.PORT || 3000;
 // CONFIG  (all secrets from .env — never hardcoded)
 // ─────────────────────────────────────────────
 const JWT_SECRET  = process.env.JWT_SECRET;
+const DB_DRIVER   = (process.env.DB_DRIVER || 'sqlite').toLowerCase(); // 'sqlite' | 'json' (local dev)
 const DATA_FILE   = process.env.DB_PATH || path.join(__dirname, 'ledgerly_db.json');
+const SQLITE_FILE = process.env.SQLITE_PATH || path.join(__dirname, 'ledgerly.db');
 const ALLOWED_ORIGINS = [
     'https://ledgerly-frontend-omega.vercel.app',
     'http://localhost:3000'
 ];
+const APP_URL        = process.env.APP_URL || ALLOWED_ORIGINS[0];
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'log').toLowerCase();
+const MAIL_LOG_FILE  = process.env.MAIL_LOG_FILE || path.join(__dirname, 'mail_outbox.log');
+const RECURRING_INTERVAL_MINUTES = Number(process.env.RECURRING_INTERVAL_MINUTES) || 60;
+const ACCESS_TOKEN_TTL_MINUTES   = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS     = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const ATTACHMENT_STORE  = (process.env.ATTACHMENT_STORE || 'disk').toLowerCase();
+const ATTACHMENTS_DIR   = process.env.ATTACHMENTS_DIR || path.join(__dirname, 'attachments');
+const MAX_ATTACHMENT_MB = Number(process.env.MAX_ATTACHMENT_MB) || 10;
 
 if (!JWT_SECRET) {
     console.error('FATAL: JWT_SECRET environment variable is not set. Refusing to start.');
@@ -73,7 +88,9 @@ const apiLimiter = rateLimit({
     message: { error: 'Too many requests. Please slow down.' }
 });
 
-app.use('/api/auth', authLimiter);
+// Refresh and logout are routine client calls and are not limited here
+app.use(['/api/auth/register', '/api/auth/login', '/api/auth/change-password',
+    '/api/auth/forgot-password', '/api/auth/reset-password'], authLimiter);
 app.use('/api',      apiLimiter);
 
 const upload = multer({
@@ -81,6 +98,11 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB max
 });
 
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_MB * 1024 * 1024, files: 1 }
+});
+
 // ─────────────────────────────────────────────
 // DATABASE HELPERS
 // FIX #5: Schema now matches improved ledgerly_db.json
@@ -90,7 +112,8 @@ const EMPTY_DB = () => ({
     _meta: { schemaVersion: '2.0', createdAt: new Date().toISOString() },
     users: {},
     businesses: {},
-    transactions: {}
+    transactions: {},
+    auditLog: []
 });
 
 const readData = () => {
@@ -111,6 +134,7 @@ const readData = () => {
         if (!db.users)        db.users        = {};
         if (!db.businesses)   db.businesses   = {};
         if (!db.transactions) db.transactions = {};
+        if (!db.auditLog)     db.auditLog     = [];
         return db;
     } catch (e) {
         console.error('DB read error:', e.message);
@@ -134,6 +158,623 @@ const writeData = (data) => {
     }
 };
 
+// ─────────────────────────────────────────────
+// STORAGE BACKENDS
+// Routes talk to `store`, never to the file or database directly.
+// DB_DRIVER=sqlite (default) — relational store in SQLITE_PATH
+// DB_DRIVER=json            — the flat ledgerly_db.json, for local dev
+//
+// Store API (both backends, all synchronous, all return copies):
+//   getUserById(id) / getUserByEmail(email) / saveUser(user)
+//   getBusiness(id) / saveBusiness(business)
+//   getTransactions(bizId) / getTransaction(bizId, id)
+//   saveTransaction(bizId, tx) / deleteTransaction(bizId, id)
+//   replaceTransactions(bizId, list)
+//   queryTransactions(bizId, query) — one page of the transaction listing
+//     (see parseTransactionQuery) as { transactions, nextCursor, totals }
+//   getAccountTotals(bizId, from, to) — { account: { dr, cr } } over posted
+//     journal lines dated within [from, to]; null leaves that end open
+//   getAccountLines(bizId, account, from, to) — the account's posted journal
+//     lines within [from, to], by date, as getJournalLines() gives them
+//   getCategoryTypes(bizId) — distinct { category, accountType } pairs in the
+//     order first seen, for buildAccountTypeMap()
+//   getDoc(collection, key) / setDoc(collection, key, value) / deleteDoc(collection, key)
+//   getDocs(collection) — { key: value } for every document in the collection
+//     — per-key JSON documents for everything else (period closings, ...)
+//   getMeta(key) / setMeta(key, value) / nextSeq(key)
+//   appendAudit(entry) / getAuditLog(bizId, transactionId?) / lastAudit(bizId)
+//     — append-only; entries are never updated or deleted
+//   transaction(fn) — runs fn atomically
+// ─────────────────────────────────────────────
+const clone = (v) => v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+
+const CORE_COLLECTIONS = ['_meta', 'users', 'businesses', 'transactions', 'auditLog'];
+
+const createJsonStore = () => {
+    let db    = null;
+    let depth = 0;
+    let dirty = false;
+
+    const load = () => {
+        if (!db) db = readData();
+        if (!db._meta) db._meta = {};
+        return db;
+    };
+
+    // Writes immediately, or once at the end of the outermost transaction()
+    const commit = () => {
+        if (depth > 0) { dirty = true; return; }
+        db._meta.lastUpdatedAt = new Date().toISOString();
+        writeData(db);
+    };
+
+    const findTxIndex = (bizId, id) =>
+        (load().transactions[bizId] || []).findIndex(tx => String(tx.id) === String(id));
+
+    return {
+        driver: 'json',
+
+        getUserById:    (id)    => clone(Object.values(load().users).find(u => u.id === id)),
+        getUserByEmail: (email) => clone(load().users[email]),
+        saveUser: (user) => {
+            const users = load().users;
+            // Users are keyed by email — drop the old key if the email changed
+            for (const [email, u] of Object.entries(users)) {
+                if (u.id === user.id && email !== user.email) delete users[email];
+            }
+            users[user.email] = clone(user);
+            commit();
+        },
+
+        getBusiness:  (id)  => clone(load().businesses[id]),
+        saveBusiness: (biz) => {
+            load().businesses[biz.id] = clone(biz);
+            if (!db.transactions[biz.id]) db.transactions[biz.id] = [];
+            commit();
+        },
+
+        getTransactions: (bizId)     => clone(load().transactions[bizId] || []),
+        getTransaction:  (bizId, id) => {
+            const idx = findTxIndex(bizId, id);
+            return idx === -1 ? undefined : clone(db.transactions[bizId][idx]);
+        },
+        saveTransaction: (bizId, tx) => {
+            const list = load().transactions[bizId] = db.transactions[bizId] || [];
+            const idx  = findTxIndex(bizId, tx.id);
+            if (idx === -1) list.push(clone(tx)); else list[idx] = clone(tx);
+            commit();
+        },
+        deleteTransaction: (bizId, id) => {
+            const idx = findTxIndex(bizId, id);
+            if (idx !== -1) db.transactions[bizId].splice(idx, 1);
+            commit();
+        },
+        replaceTransactions: (bizId, list) => {
+            load().transactions[bizId] = clone(list);
+            commit();
+        },
+        queryTransactions: (bizId, query) => clone(queryTransactions(load().transactions[bizId] || [], query)),
+
+        getAccountTotals: (bizId, from, to) => sumByAccount(getJournalLines(load().transactions[bizId] || []), from, to),
+        getAccountLines:  (bizId, account, from, to) => getJournalLines(load().transactions[bizId] || [])
+            .filter(l => l.account === account && l.date >= from && l.date <= to),
+        getCategoryTypes: (bizId) => {
+            const seen = new Map();
+            for (const tx of load().transactions[bizId] || []) {
+                const key = `${tx.category}|${tx.accountType}`;
+                if (tx.category && !seen.has(key)) seen.set(key, { category: tx.category, accountType: tx.accountType });
+            }
+            return [...seen.values()];
+        },
+
+        getDoc: (collection, key) => clone((load()[collection] || {})[key]),
+        setDoc: (collection, key, value) => {
+            if (CORE_COLLECTIONS.includes(collection)) throw new Error(`${collection} is not a document collection`);
+            const data = load();
+            if (!data[collection]) data[collection] = {};
+            data[collection][key] = clone(value);
+            commit();
+        },
+        deleteDoc: (collection, key) => {
+            const docs = load()[collection];
+            if (CORE_COLLECTIONS.includes(collection) || !docs || !(key in docs)) return;
+            delete docs[key];
+            commit();
+        },
+        getDocs: (collection) => CORE_COLLECTIONS.includes(collection) ? {} : clone(load()[collection] || {}),
+
+        getMeta: (key) => load()._meta[key],
+        setMeta: (key, value) => {
+            load()._meta[key] = value;
+            commit();
+        },
+        nextSeq: (key) => {
+            const meta = load()._meta;
+            meta[key] = (meta[key] || 0) + 1;
+            commit();
+            return meta[key];
+        },
+
+        appendAudit: (entry) => {
+            const log = load().auditLog = db.auditLog || [];
+            const stored = { ...clone(entry), id: (log.length ? log[log.length - 1].id : 0) + 1 };
+            log.push(stored);
+            commit();
+            return clone(stored);
+        },
+        getAuditLog: (bizId, transactionId = null) => clone((load().auditLog || []).filter(e =>
+            e.businessId === bizId && (transactionId === null || e.transactionId === String(transactionId)))),
+        lastAudit: (bizId) => {
+            const log = load().auditLog || [];
+            for (let i = log.length - 1; i >= 0; i--) if (log[i].businessId === bizId) return clone(log[i]);
+            return undefined;
+        },
+
+        transaction: (fn) => {
+            load();
+            depth++;
+            try {
+                const result = fn();
+                depth--;
+                if (depth === 0 && dirty) {
+                    dirty = false;
+                    commit();
+                }
+                return result;
+            } catch (e) {
+                depth--;
+                // Roll back by discarding the in-memory copy
+                if (depth === 0) { db = null; dirty = false; }
+                throw e;
+            }
+        }
+    };
+};
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+        id            TEXT PRIMARY KEY,
+        email         TEXT NOT NULL UNIQUE,
+        name          TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        role          TEXT,
+        created_at    TEXT,
+        last_login_at TEXT,
+        extra         TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE TABLE IF NOT EXISTS businesses (
+        id                   TEXT PRIMARY KEY,
+        owner_id             TEXT,
+        name                 TEXT NOT NULL,
+        type                 TEXT,
+        currency             TEXT,
+        gst_number           TEXT,
+        financial_year_start TEXT,
+        locked_months        TEXT NOT NULL DEFAULT '[]',
+        created_at           TEXT,
+        extra                TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_businesses_owner ON businesses(owner_id);
+    CREATE TABLE IF NOT EXISTS user_businesses (
+        user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        business_id TEXT NOT NULL,
+        position    INTEGER NOT NULL,
+        PRIMARY KEY (user_id, business_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_businesses_business ON user_businesses(business_id);
+    CREATE TABLE IF NOT EXISTS transactions (
+        business_id  TEXT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+        id           TEXT NOT NULL,
+        date         TEXT,
+        account_type TEXT,
+        category     TEXT,
+        mode         TEXT,
+        status       TEXT,
+        net_amount   REAL,
+        gst_amount   REAL,
+        gross_amount REAL,
+        revision     INTEGER,
+        seq          INTEGER,
+        created_at   TEXT,
+        updated_at   TEXT,
+        data         TEXT NOT NULL,
+        PRIMARY KEY (business_id, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(business_id, date);
+    CREATE INDEX IF NOT EXISTS idx_transactions_seq  ON transactions(seq);
+    CREATE INDEX IF NOT EXISTS idx_transactions_sort_date      ON transactions(business_id, COALESCE(date, ''), id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_sort_amount    ON transactions(business_id, COALESCE(gross_amount, 0), id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_sort_createdAt ON transactions(business_id, COALESCE(created_at, ''), id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_sort_updatedAt ON transactions(business_id, COALESCE(updated_at, ''), id);
+    CREATE TABLE IF NOT EXISTS journal_lines (
+        business_id    TEXT NOT NULL,
+        transaction_id TEXT NOT NULL,
+        line_no        INTEGER NOT NULL,
+        date           TEXT,
+        account        TEXT NOT NULL,
+        dr             REAL NOT NULL DEFAULT 0,
+        cr             REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (business_id, transaction_id, line_no),
+        FOREIGN KEY (business_id, transaction_id) REFERENCES transactions(business_id, id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(business_id, account, date);
+    CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        key        TEXT NOT NULL,
+        data       TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    );
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        business_id    TEXT NOT NULL,
+        transaction_id TEXT,
+        action         TEXT NOT NULL,
+        at             TEXT NOT NULL,
+        data           TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_transaction ON audit_log(business_id, transaction_id);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`;
+
+// Transaction listing sort keys as SQL, matching TRANSACTION_SORTS and the
+// idx_transactions_sort_* indexes
+const TRANSACTION_SORT_SQL = {
+    date:      "COALESCE(date, '')",
+    amount:    'COALESCE(gross_amount, 0)',
+    createdAt: "COALESCE(created_at, '')",
+    updatedAt: "COALESCE(updated_at, '')"
+};
+
+const USER_COLUMNS     = ['id', 'name', 'email', 'passwordHash', 'role', 'createdAt', 'lastLoginAt', 'businesses'];
+const BUSINESS_COLUMNS = ['id', 'ownerId', 'name', 'type', 'currency', 'gstNumber', 'financialYearStart', 'createdAt', 'lockedMonths'];
+
+// Everything not mapped to a column round-trips through the `extra` JSON column
+const extraFields = (obj, columns) => {
+    const extra = { ...obj };
+    columns.forEach(k => delete extra[k]);
+    return JSON.stringify(extra);
+};
+
+const createSqliteStore = () => {
+    const sqlite = new Database(SQLITE_FILE);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('foreign_keys = ON');
+    sqlite.exec(SQLITE_SCHEMA);
+
+    const q = {
+        userById:       sqlite.prepare('SELECT * FROM users WHERE id = ?'),
+        userByEmail:    sqlite.prepare('SELECT * FROM users WHERE email = ?'),
+        userBusinesses: sqlite.prepare('SELECT business_id FROM user_businesses WHERE user_id = ? ORDER BY position'),
+        upsertUser: sqlite.prepare(`
+            INSERT INTO users (id, email, name, password_hash, role, created_at, last_login_at, extra)
+            VALUES (@id, @email, @name, @passwordHash, @role, @createdAt, @lastLoginAt, @extra)
+            ON CONFLICT(id) DO UPDATE SET email = excluded.email, name = excluded.name,
+                password_hash = excluded.password_hash, role = excluded.role,
+                created_at = excluded.created_at, last_login_at = excluded.last_login_at, extra = excluded.extra`),
+        clearUserBusinesses: sqlite.prepare('DELETE FROM user_businesses WHERE user_id = ?'),
+        addUserBusiness:     sqlite.prepare('INSERT INTO user_businesses (user_id, business_id, position) VALUES (?, ?, ?)'),
+
+        businessById: sqlite.prepare('SELECT * FROM businesses WHERE id = ?'),
+        upsertBusiness: sqlite.prepare(`
+            INSERT INTO businesses (id, owner_id, name, type, currency, gst_number, financial_year_start, locked_months, created_at, extra)
+            VALUES (@id, @ownerId, @name, @type, @currency, @gstNumber, @financialYearStart, @lockedMonths, @createdAt, @extra)
+            ON CONFLICT(id) DO UPDATE SET owner_id = excluded.owner_id, name = excluded.name, type = excluded.type,
+                currency = excluded.currency, gst_number = excluded.gst_number,
+                financial_year_start = excluded.financial_year_start, locked_months = excluded.locked_months,
+                created_at = excluded.created_at, extra = excluded.extra`),
+
+        transactions:   sqlite.prepare('SELECT data FROM transactions WHERE business_id = ? ORDER BY rowid'),
+        transaction:    sqlite.prepare('SELECT data FROM transactions WHERE business_id = ? AND id = ?'),
+        upsertTransaction: sqlite.prepare(`
+            INSERT INTO transactions (business_id, id, date, account_type, category, mode, status, net_amount,
+                gst_amount, gross_amount, revision, seq, created_at, updated_at, data)
+            VALUES (@businessId, @id, @date, @accountType, @category, @mode, @status, @netAmount,
+                @gstAmount, @grossAmount, @revision, @seq, @createdAt, @updatedAt, @data)
+            ON CONFLICT(business_id, id) DO UPDATE SET date = excluded.date, account_type = excluded.account_type,
+                category = excluded.category, mode = excluded.mode, status = excluded.status,
+                net_amount = excluded.net_amount, gst_amount = excluded.gst_amount, gross_amount = excluded.gross_amount,
+                revision = excluded.revision, seq = excluded.seq, created_at = excluded.created_at,
+                updated_at = excluded.updated_at, data = excluded.data`),
+        deleteTransaction:   sqlite.prepare('DELETE FROM transactions WHERE business_id = ? AND id = ?'),
+        deleteTransactions:  sqlite.prepare('DELETE FROM transactions WHERE business_id = ?'),
+        clearJournalLines:   sqlite.prepare('DELETE FROM journal_lines WHERE business_id = ? AND transaction_id = ?'),
+        addJournalLine: sqlite.prepare(`
+            INSERT INTO journal_lines (business_id, transaction_id, line_no, date, account, dr, cr)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`),
+        // Drafts never hit the books (see isPosted)
+        accountTotals: sqlite.prepare(`
+            SELECT l.account, SUM(l.dr) AS dr, SUM(l.cr) AS cr
+            FROM journal_lines l JOIN transactions t ON t.business_id = l.business_id AND t.id = l.transaction_id
+            WHERE l.business_id = @bizId AND t.status IS NOT 'draft' AND l.date IS NOT NULL
+              AND (@from IS NULL OR l.date >= @from) AND (@to IS NULL OR l.date <= @to)
+            GROUP BY l.account`),
+        accountLines: sqlite.prepare(`
+            SELECT l.date, l.transaction_id, json_extract(t.data, '$.desc') AS "desc", l.account, l.dr, l.cr
+            FROM journal_lines l JOIN transactions t ON t.business_id = l.business_id AND t.id = l.transaction_id
+            WHERE l.business_id = ? AND l.account = ? AND l.date >= ? AND l.date <= ? AND t.status IS NOT 'draft'
+            ORDER BY l.date, t.rowid, l.line_no`),
+        categoryTypes: sqlite.prepare(`
+            SELECT category, account_type FROM transactions
+            WHERE business_id = ? AND category IS NOT NULL
+            GROUP BY category, account_type ORDER BY MIN(rowid)`),
+
+        getDoc: sqlite.prepare('SELECT data FROM documents WHERE collection = ? AND key = ?'),
+        setDoc: sqlite.prepare(`
+            INSERT INTO documents (collection, key, data) VALUES (?, ?, ?)
+            ON CONFLICT(collection, key) DO UPDATE SET data = excluded.data`),
+        deleteDoc: sqlite.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+        getDocs:   sqlite.prepare('SELECT key, data FROM documents WHERE collection = ?'),
+
+        getMeta: sqlite.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: sqlite.prepare(`
+            INSERT INTO meta (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+
+        appendAudit: sqlite.prepare('INSERT INTO audit_log (business_id, transaction_id, action, at, data) VALUES (?, ?, ?, ?, ?)'),
+        auditLog:    sqlite.prepare('SELECT id, data FROM audit_log WHERE business_id = ? ORDER BY id'),
+        auditLogFor: sqlite.prepare('SELECT id, data FROM audit_log WHERE business_id = ? AND transaction_id = ? ORDER BY id'),
+        lastAudit:   sqlite.prepare('SELECT id, data FROM audit_log WHERE business_id = ? ORDER BY id DESC LIMIT 1')
+    };
+
+    const toUser = (row) => row && {
+        id:          row.id,
+        name:        row.name,
+        email:       row.email,
+        passwordHash: row.password_hash,
+        role:        row.role,
+        createdAt:   row.created_at,
+        lastLoginAt: row.last_login_at,
+        businesses:  q.userBusinesses.all(row.id).map(r => r.business_id),
+        ...JSON.parse(row.extra)
+    };
+
+    const toBusiness = (row) => row && {
+        id:                 row.id,
+        ownerId:            row.owner_id,
+        name:               row.name,
+        type:               row.type,
+        currency:           row.currency,
+        gstNumber:          row.gst_number,
+        financialYearStart: row.financial_year_start,
+        createdAt:          row.created_at,
+        lockedMonths:       JSON.parse(row.locked_months),
+        ...JSON.parse(row.extra)
+    };
+
+    const num = (v) => (v === undefined || v === null || isNaN(Number(v))) ? null : Number(v);
+    const str = (v) => (v === undefined || v === null) ? null : String(v);
+
+    const saveTransaction = (bizId, tx) => {
+        const id = String(tx.id);
+        q.upsertTransaction.run({
+            businessId:  bizId,
+            id,
+            date:        str(tx.date),
+            accountType: str(tx.accountType),
+            category:    str(tx.category),
+            mode:        str(tx.mode),
+            status:      str(tx.status),
+            netAmount:   num(tx.netAmount),
+            gstAmount:   num(tx.gstAmount),
+            grossAmount: num(tx.grossAmount),
+            revision:    num(tx.revision),
+            seq:         num(tx.seq),
+            createdAt:   str(tx.createdAt),
+            updatedAt:   str(tx.updatedAt),
+            data:        JSON.stringify(tx)
+        });
+        q.clearJournalLines.run(bizId, id);
+        (Array.isArray(tx.entries) ? tx.entries : []).forEach((e, i) => {
+            q.addJournalLine.run(bizId, id, i, str(tx.date), String(e.account), Number(e.dr) || 0, Number(e.cr) || 0);
+        });
+    };
+
+    const getMeta = (key) => {
+        const row = q.getMeta.get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    };
+
+    const toAudit = (row) => row && { ...JSON.parse(row.data), id: row.id };
+
+    return {
+        driver: 'sqlite',
+        sqlite,
+
+        getUserById:    (id)    => toUser(q.userById.get(id)),
+        getUserByEmail: (email) => toUser(q.userByEmail.get(email)),
+        saveUser: sqlite.transaction((user) => {
+            q.upsertUser.run({
+                id:           user.id,
+                email:        user.email,
+                name:         user.name,
+                passwordHash: user.passwordHash,
+                role:         str(user.role),
+                createdAt:    str(user.createdAt),
+                lastLoginAt:  str(user.lastLoginAt),
+                extra:        extraFields(user, USER_COLUMNS)
+            });
+            q.clearUserBusinesses.run(user.id);
+            (user.businesses || []).forEach((bizId, i) => q.addUserBusiness.run(user.id, bizId, i));
+        }),
+
+        getBusiness:  (id)  => toBusiness(q.businessById.get(id)),
+        saveBusiness: (biz) => {
+            q.upsertBusiness.run({
+                id:                 biz.id,
+                ownerId:            str(biz.ownerId),
+                name:               biz.name,
+                type:               str(biz.type),
+                currency:           str(biz.currency),
+                gstNumber:          str(biz.gstNumber),
+                financialYearStart: str(biz.financialYearStart),
+                lockedMonths:       JSON.stringify(biz.lockedMonths || []),
+                createdAt:          str(biz.createdAt),
+                extra:              extraFields(biz, BUSINESS_COLUMNS)
+            });
+        },
+
+        getTransactions: (bizId) => q.transactions.all(bizId).map(r => JSON.parse(r.data)),
+        getTransaction:  (bizId, id) => {
+            const row = q.transaction.get(bizId, String(id));
+            return row ? JSON.parse(row.data) : undefined;
+        },
+        saveTransaction:   sqlite.transaction(saveTransaction),
+        deleteTransaction: (bizId, id) => { q.deleteTransaction.run(bizId, String(id)); },
+        replaceTransactions: sqlite.transaction((bizId, list) => {
+            q.deleteTransactions.run(bizId);
+            list.forEach(tx => saveTransaction(bizId, tx));
+        }),
+        // The same filters as transactionMatches(), as SQL
+        queryTransactions: (bizId, query) => {
+            const where  = ['business_id = ?'];
+            const params = [bizId];
+            const inList = (expr, values) => {
+                if (!values.length) return;
+                where.push(`${expr} IN (${values.map(() => '?').join(', ')})`);
+                params.push(...values);
+            };
+            if (query.from) { where.push('date >= ?'); params.push(query.from); }
+            if (query.to)   { where.push('date <= ?'); params.push(query.to); }
+            inList('account_type', query.accountTypes);
+            inList('category', query.categories);
+            inList('mode', query.modes);
+            inList("COALESCE(CAST(json_extract(data, '$.gstRate') AS REAL), 0)", query.gstRates);
+            inList("CASE WHEN status = 'draft' THEN 'draft' ELSE 'confirmed' END", query.statuses);
+            if (query.minAmount !== null) { where.push('COALESCE(gross_amount, 0) >= ?'); params.push(query.minAmount); }
+            if (query.maxAmount !== null) { where.push('COALESCE(gross_amount, 0) <= ?'); params.push(query.maxAmount); }
+            query.terms.forEach(t => {
+                where.push("instr(lower(COALESCE(json_extract(data, '$.desc'), '')), ?) > 0");
+                params.push(t);
+            });
+
+            const groups = sqlite.prepare(`
+                SELECT account_type, COUNT(*) AS count, SUM(COALESCE(net_amount, 0)) AS net,
+                    SUM(COALESCE(gst_amount, 0)) AS gst, SUM(COALESCE(gross_amount, 0)) AS gross
+                FROM transactions WHERE ${where.join(' AND ')} GROUP BY account_type`).all(...params);
+
+            const sort = TRANSACTION_SORT_SQL[query.sort];
+            const dir  = query.order === 'desc' ? 'DESC' : 'ASC';
+            if (query.cursor) {
+                where.push(`(${sort}, id) ${query.order === 'desc' ? '<' : '>'} (?, ?)`);
+                params.push(...query.cursor.key);
+            }
+            const rows = sqlite.prepare(`SELECT data FROM transactions WHERE ${where.join(' AND ')} ORDER BY ${sort} ${dir}, id ${dir} LIMIT ?`)
+                .all(...params, query.limit + 1)
+                .map(r => JSON.parse(r.data));
+
+            const page = rows.slice(0, query.limit);
+            const sum  = (k) => round2(groups.reduce((s, g) => s + g[k], 0));
+            return {
+                transactions: page,
+                nextCursor:   rows.length > query.limit
+                    ? encodeCursor({ sort: query.sort, order: query.order, key: transactionSortKey(page[page.length - 1], query.sort) })
+                    : null,
+                totals: {
+                    count:         groups.reduce((s, g) => s + g.count, 0),
+                    netAmount:     sum('net'),
+                    gstAmount:     sum('gst'),
+                    grossAmount:   sum('gross'),
+                    byAccountType: Object.fromEntries(groups.map(g => [g.account_type, {
+                        count: g.count, netAmount: round2(g.net), gstAmount: round2(g.gst), grossAmount: round2(g.gross)
+                    }]))
+                }
+            };
+        },
+
+        getAccountTotals: (bizId, from, to) => Object.fromEntries(q.accountTotals.all({ bizId, from: from || null, to: to || null })
+            .map(r => [r.account, { dr: r.dr, cr: r.cr }])),
+        getAccountLines: (bizId, account, from, to) => q.accountLines.all(bizId, account, from, to).map(r => ({
+            date:          r.date,
+            transactionId: r.transaction_id,
+            desc:          r.desc,
+            account:       r.account,
+            dr:            r.dr,
+            cr:            r.cr
+        })),
+        getCategoryTypes: (bizId) => q.categoryTypes.all(bizId).map(r => ({ category: r.category, accountType: r.account_type })),
+
+        getDoc: (collection, key) => {
+            const row = q.getDoc.get(collection, String(key));
+            return row ? JSON.parse(row.data) : undefined;
+        },
+        setDoc: (collection, key, value) => { q.setDoc.run(collection, String(key), JSON.stringify(value)); },
+        deleteDoc: (collection, key) => { q.deleteDoc.run(collection, String(key)); },
+        getDocs: (collection) => Object.fromEntries(q.getDocs.all(collection).map(row => [row.key, JSON.parse(row.data)])),
+
+        getMeta,
+        nextSeq: sqlite.transaction((key) => {
+            const next = (getMeta(key) || 0) + 1;
+            q.setMeta.run(key, JSON.stringify(next));
+            return next;
+        }),
+        setMeta: (key, value) => { q.setMeta.run(key, JSON.stringify(value)); },
+
+        appendAudit: (entry) => {
+            const { id, ...data } = entry;
+            const info = q.appendAudit.run(entry.businessId, str(entry.transactionId), entry.action, entry.at, JSON.stringify(data));
+            return { ...clone(data), id: Number(info.lastInsertRowid) };
+        },
+        getAuditLog: (bizId, transactionId = null) => (transactionId === null
+            ? q.auditLog.all(bizId)
+            : q.auditLogFor.all(bizId, String(transactionId))).map(toAudit),
+        lastAudit: (bizId) => toAudit(q.lastAudit.get(bizId)),
+
+        transaction: (fn) => sqlite.transaction(fn)()
+    };
+};
+
+// One-shot import of an existing ledgerly_db.json into an empty SQLite store.
+// Runs on first boot with DB_DRIVER=sqlite; the JSON file is left untouched.
+const importJsonIntoSqlite = (target) => {
+    if (target.getMeta('importedFromJson') || !fs.existsSync(DATA_FILE)) return;
+    const hasUsers = target.sqlite.prepare('SELECT COUNT(*) AS n FROM users').get().n > 0;
+    if (hasUsers) return;
+
+    const data = readData();
+    let txCount = 0;
+    target.transaction(() => {
+        Object.values(data.users).forEach(u => target.saveUser(u));
+        Object.values(data.businesses).forEach(b => target.saveBusiness(b));
+        for (const [bizId, list] of Object.entries(data.transactions)) {
+            if (!data.businesses[bizId]) {
+                console.warn(`Import: skipping transactions of unknown business ${bizId}`);
+                continue;
+            }
+            (list || []).forEach(tx => { target.saveTransaction(bizId, tx); txCount++; });
+        }
+        for (const [collection, docs] of Object.entries(data)) {
+            if (CORE_COLLECTIONS.includes(collection) || !docs || typeof docs !== 'object') continue;
+            Object.entries(docs).forEach(([key, value]) => target.setDoc(collection, key, value));
+        }
+        (data.auditLog || []).forEach(e => target.appendAudit(e));
+        for (const [key, value] of Object.entries(data._meta || {})) {
+            if (typeof value === 'number') target.setMeta(key, value);
+        }
+        target.setMeta('importedFromJson', { file: DATA_FILE, at: new Date().toISOString() });
+    });
+    console.log(`Imported ${Object.keys(data.users).length} users, ${Object.keys(data.businesses).length} businesses and ${txCount} transactions from ${DATA_FILE}`);
+};
+
+const createStore = () => {
+    if (DB_DRIVER === 'json') return createJsonStore();
+    if (DB_DRIVER !== 'sqlite') {
+        console.error(`FATAL: Unknown DB_DRIVER '${DB_DRIVER}'. Use 'sqlite' or 'json'.`);
+        process.exit(1);
+    }
+    const sqliteStore = createSqliteStore();
+    importJsonIntoSqlite(sqliteStore);
+    return sqliteStore;
+};
+
+const store = createStore();
+
 // ─────────────────────────────────────────────
 // AUTH MIDDLEWARE
 // ─────────────────────────────────────────────
@@ -143,118 +784,626 @@ const verifyToken = (req, res, next) => {
         return res.status(401).json({ error: 'No token provided' });
     }
     const token = authHeader.split(' ')[1];
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.userId = decoded.id;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (e) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
+    // Logging out deletes the session, which ends its access tokens too
+    const session = decoded.sid && store.getDoc('sessions', decoded.sid);
+    if (!sessionIsLive(session) || session.userId !== decoded.id) {
+        return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+    req.userId    = decoded.id;
+    req.sessionId = decoded.sid;
+    next();
 };
 
+// ─────────────────────────────────────────────
+// SESSIONS
+// Login starts a session (store doc 'sessions', keyed by session id) and
+// returns a short-lived access token (JWT carrying { id, sid }) plus a
+// refresh token '<sessionId>.<secret>'. Only the SHA-256 of the secret is
+// kept, and every refresh rotates it; presenting the previous secret again
+// means the token was copied, so the session is ended. Ending a session
+// deletes it, which also invalidates its outstanding access tokens.
+// 'userSessions' lists each user's session ids for "log out all devices".
+// Password reset tokens are kept as { userId, expiresAt } in
+// 'passwordResets', keyed by their SHA-256, and deleted once used.
+// sweepExpiredAuthDocs() clears out expired sessions and reset tokens.
+// ─────────────────────────────────────────────
+const ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_MINUTES * 60;
+const REFRESH_TOKEN_TTL_MS     = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS    = PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+
+const sessionIsLive = (session) => !!session && new Date(session.expiresAt) > new Date();
+
+// Live sessions of the user; ended and expired ones are dropped from the store
+const getUserSessions = (userId) => {
+    const ids  = store.getDoc('userSessions', userId) || [];
+    const live = [];
+    for (const id of ids) {
+        const session = store.getDoc('sessions', id);
+        if (sessionIsLive(session)) live.push(session);
+        else if (session) store.deleteDoc('sessions', id);
+    }
+    if (live.length !== ids.length) store.setDoc('userSessions', userId, live.map(s => s.id));
+    return live;
+};
+
+// Rotates the session's refresh secret, extends it, and signs a new access token
+const issueTokens = (session) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now    = new Date();
+    session.previousTokenHash = session.tokenHash || null;
+    session.tokenHash  = hashToken(secret);
+    session.lastUsedAt = now.toISOString();
+    session.expiresAt  = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString();
+    store.setDoc('sessions', session.id, session);
+    return {
+        token:        jwt.sign({ id: session.userId, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn:    ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+const startSession = (userId, req) => store.transaction(() => {
+    const session = {
+        id:        newId(),
+        userId,
+        createdAt: new Date().toISOString(),
+        userAgent: String(req.get('user-agent') || '').slice(0, 200),
+        ip:        req.ip || null
+    };
+    const ids = getUserSessions(userId).map(s => s.id);
+    const tokens = issueTokens(session);
+    store.setDoc('userSessions', userId, [...ids, session.id]);
+    return tokens;
+});
+
+const endSession = (userId, sessionId) => store.transaction(() => {
+    store.deleteDoc('sessions', sessionId);
+    store.setDoc('userSessions', userId, (store.getDoc('userSessions', userId) || []).filter(id => id !== sessionId));
+});
+
+// Ends every session of the user except `keepId`. Returns how many ended.
+const endSessions = (userId, keepId = null) => store.transaction(() => {
+    const sessions = getUserSessions(userId);
+    const ended = sessions.filter(s => s.id !== keepId);
+    ended.forEach(s => store.deleteDoc('sessions', s.id));
+    store.setDoc('userSessions', userId, sessions.filter(s => s.id === keepId).map(s => s.id));
+    return ended.length;
+});
+
+// Deletes sessions and password reset tokens past their expiry. Runs at boot
+// and then hourly. Returns how many of each went.
+const AUTH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const sweepExpiredAuthDocs = () => store.transaction(() => {
+    const now   = new Date();
+    const swept = { sessions: 0, passwordResets: 0 };
+    for (const [id, session] of Object.entries(store.getDocs('sessions'))) {
+        if (sessionIsLive(session)) continue;
+        store.deleteDoc('sessions', id);
+        swept.sessions++;
+    }
+    for (const [tokenHash, reset] of Object.entries(store.getDocs('passwordResets'))) {
+        if (reset && !reset.usedAt && new Date(reset.expiresAt) > now) continue;
+        store.deleteDoc('passwordResets', tokenHash);
+        swept.passwordResets++;
+    }
+    return swept;
+});
+
+// Session as returned to the API — never includes the token hashes
+const publicSession = ({ tokenHash, previousTokenHash, ...session }, currentId) => ({ ...session, current: session.id === currentId });
+
 // ─────────────────────────────────────────────
 // INPUT VALIDATION HELPERS
 // FIX #11: Validate all inputs before processing
 // ─────────────────────────────────────────────
 const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
+const isValidPassword = (password) => typeof password === 'string' && password.length >= 6;
+
 const validateAuth = (email, password) => {
     const errors = [];
     if (!email || !isValidEmail(email))       errors.push('Valid email is required');
-    if (!password || password.length < 6)     errors.push('Password must be at least 6 characters');
+    if (!isValidPassword(password))           errors.push('Password must be at least 6 characters');
     return errors;
 };
 
+// ─────────────────────────────────────────────
+// CATEGORIZATION
+// Built-in keyword rules, plus per-business rules of the form
+//   { id, type: 'keyword', keywords: ['swiggy', 'zomato'], category, accountType, priority }
+//   { id, type: 'regex',   pattern: '^AMZN', flags: 'i',   category, accountType, priority }
+// Business rules are checked first, lowest priority number first.
+// ─────────────────────────────────────────────
+const DEFAULT_CATEGORY = { category: 'Office Supplies', accountType: 'Expense' };
+
+const DEFAULT_CATEGORY_RULES = [
+    // Income
+    { keys: ['sales','sold','revenue','received payment','income'],         cat: 'Sales',             type: 'Income'    },
+    { keys: ['service income','service fee','project payment','consulting'], cat: 'Service Income',    type: 'Income'    },
+    { keys: ['refund received','refunded'],                                  cat: 'Refunds',           type: 'Income'    },
+    // Expenses
+    { keys: ['rent','office rent','shop rent','lease'],                      cat: 'Rent',              type: 'Expense'   },
+    { keys: ['salary','salaries','wages','staff pay','payroll'],             cat: 'Salary',            type: 'Expense'   },
+    { keys: ['electric','electricity','internet','wifi','phone bill','utility','utilities','broadband'], cat: 'Utilities', type: 'Expense' },
+    { keys: ['professional fee','consultant','lawyer','ca fee','audit','legal'], cat: 'Professional Fees', type: 'Expense' },
+    { keys: ['office supply','stationery','supplies','printing','paper'],    cat: 'Office Supplies',   type: 'Expense'   },
+    // Assets
+    { keys: ['laptop','computer','equipment','machine','furniture','ac ','printer','vehicle'], cat: 'Equipment', type: 'Asset' },
+    { keys: ['receivable','debtor','money owed to'],                         cat: 'Receivables',       type: 'Asset'     },
+    // Liabilities
+    { keys: ['loan','borrowed','term loan','credit line','overdraft'],       cat: 'Term Loan',         type: 'Liability' },
+    { keys: ['gst payable','tax payable'],                                   cat: 'GST Payable',       type: 'Liability' },
+    { keys: ['vendor payable','supplier payable','accounts payable'],        cat: 'Vendor Payables',   type: 'Liability' },
+    // Equity
+    { keys: ['capital','invested','owner contribution','owner deposit'],     cat: 'Capital',           type: 'Equity'    },
+];
+
+// Rule patterns run on every smart entry, so ones that can backtrack
+// exponentially are refused: a repeated group that itself holds a quantifier
+// or an alternation, like (a+)+ or (a|ab)*, and backreferences
+const isSafeRegex = (pattern) => {
+    const groups = [{ quantified: false, alternation: false }];
+    let last = null; // 'atom', or the group just closed
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        const bounds = c === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i)) : null;
+        if (c === '*' || c === '+' || c === '?' || bounds) {
+            if (!last) continue;
+            const repeats = c === '*' || c === '+' || (bounds && (bounds[2] ? bounds[3] === '' || Number(bounds[3]) > 1 : Number(bounds[1]) > 1));
+            if (repeats && last !== 'atom' && (last.quantified || last.alternation)) return false;
+            groups[groups.length - 1].quantified = true;
+            if (bounds) i += bounds[0].length - 1;
+            if (pattern[i + 1] === '?') i++; // lazy
+            last = null;
+        } else if (c === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+            i++;
+            last = 'atom';
+        } else if (c === '[') {
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+            last = 'atom';
+        } else if (c === '(') {
+            groups.push({ quantified: false, alternation: false });
+            const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+            last = null;
+        } else if (c === ')') {
+            if (groups.length === 1) return false;
+            const group = groups.pop();
+            if (group.quantified) groups[groups.length - 1].quantified = true;
+            last = group;
+        } else if (c === '|') {
+            groups[groups.length - 1].alternation = true;
+            last = null;
+        } else {
+            last = 'atom';
+        }
+    }
+    return true;
+};
+
+const customRuleMatches = (rule, text, lower) => {
+    if (rule.type === 'regex') {
+        if (!isSafeRegex(rule.pattern)) return false;
+        try {
+            return new RegExp(rule.pattern, rule.flags || 'i').test(text);
+        } catch (_) {
+            return false;
+        }
+    }
+    return (rule.keywords || []).some(k => lower.includes(String(k).toLowerCase()));
+};
+
+// Returns { category, accountType, source, ruleId } for free text
+const categorize = (text, customRules = []) => {
+    const lower = String(text || '').toLowerCase();
+
+    const ordered = [...customRules].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    for (const rule of ordered) {
+        if (customRuleMatches(rule, text, lower)) {
+            return { category: rule.category, accountType: rule.accountType, source: 'custom', ruleId: rule.id };
+        }
+    }
+
+    for (const rule of DEFAULT_CATEGORY_RULES) {
+        if (rule.keys.some(k => lower.includes(k))) {
+            return { category: rule.cat, accountType: rule.type, source: 'default' };
+        }
+    }
+
+    return { ...DEFAULT_CATEGORY, source: 'fallback' };
+};
+
 // ─────────────────────────────────────────────
 // FIX #2: NLP PARSER — was called but never defined
-// Parses natural language transaction text into structured data
+// Parses natural language transaction text into structured data.
+// customRules are the business's own categorization rules (see CATEGORIZATION).
+// Every parsed field comes with a 0-1 confidence so the confirmation card can
+// flag the guesses (a defaulted date or mode scores low).
 // ─────────────────────────────────────────────
-const parseTransactionText = (text) => {
-    if (!text || typeof text !== 'string') return null;
-    const lower = text.toLowerCase().trim();
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_PATTERN_TEXT = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
-    // Extract amount — handles ₹5000, 5,000, 5k, 5.5k
-    let amount = 0;
-    const amtMatch = text.match(/(?:₹\s*)?(\d[\d,]*(?:\.\d{1,2})?)\s*(k)?/i);
-    if (amtMatch) {
-        amount = parseFloat(amtMatch[1].replace(/,/g, ''));
-        if (amtMatch[2]) amount *= 1000;
+// Indian notation: 1.2 lakh = 1,20,000; 2 cr = 2,00,00,000
+const AMOUNT_MULTIPLIERS = {
+    k: 1e3, thousand: 1e3,
+    l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5,
+    cr: 1e7, crore: 1e7, crores: 1e7
+};
+
+// Words that start a new transaction after "and", ",", ";" or "then"
+const TRANSACTION_VERBS = 'paid|pay|received|receive|got|sold|bought|purchased|spent|gave|deposited|withdrew|transferred|invested|borrowed|repaid';
+
+// ISO date for y/m/d, or null when the day does not exist in that month
+const isoFromParts = (y, m, d) => {
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+    return dt.toISOString().split('T')[0];
+};
+
+const shiftDays = (iso, days) => {
+    const dt = new Date(iso + 'T00:00:00Z');
+    dt.setUTCDate(dt.getUTCDate() + days);
+    return dt.toISOString().split('T')[0];
+};
+
+// Dates typed without a year are assumed to be in the past: "28 Dec" typed in
+// January is last December
+const isoWithoutYear = (m, d, today) => {
+    const year = Number(today.slice(0, 4));
+    const iso  = isoFromParts(year, m, d);
+    if (iso && iso > today) return isoFromParts(year - 1, m, d);
+    return iso;
+};
+
+const fullYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+
+// Finds the first date mention. Returns { date, confidence, match } where
+// match is the text to drop from the description, or null.
+const extractDate = (text, today = todayISO()) => {
+    let m;
+
+    if ((m = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+        const date = isoFromParts(Number(m[1]), Number(m[2]), Number(m[3]));
+        if (date) return { date, confidence: 1, match: m[0] };
+    }
+
+    if ((m = text.match(/(?<![\d.,])(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?(?![\d\/\-])/))) {
+        const date = m[3]
+            ? isoFromParts(fullYear(m[3]), Number(m[2]), Number(m[1]))
+            : isoWithoutYear(Number(m[2]), Number(m[1]), today);
+        if (date) return { date, confidence: m[3] ? 1 : 0.9, match: m[0] };
     }
 
-    // Extract date
-    let date = new Date().toISOString().split('T')[0];
-    const dateMatch = text.match(/(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?/);
-    if (dateMatch) {
-        const y = dateMatch[3]
-            ? (dateMatch[3].length === 2 ? '20' + dateMatch[3] : dateMatch[3])
-            : new Date().getFullYear();
-        date = `${y}-${String(dateMatch[2]).padStart(2, '0')}-${String(dateMatch[1]).padStart(2, '0')}`;
+    const dayMonth = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN_TEXT}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'i');
+    const monthDay = new RegExp(`\\b${MONTH_PATTERN_TEXT}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i');
+    for (const [re, dayIdx, monIdx] of [[dayMonth, 1, 2], [monthDay, 2, 1]]) {
+        if ((m = text.match(re))) {
+            const month = MONTHS[m[monIdx].slice(0, 3).toLowerCase()];
+            const day   = Number(m[dayIdx]);
+            const date  = m[3] ? isoFromParts(Number(m[3]), month, day) : isoWithoutYear(month, day, today);
+            if (date) return { date, confidence: m[3] ? 1 : 0.9, match: m[0] };
+        }
     }
 
-    // GST detection
-    let gstRate = 0;
-    const gstMatch = lower.match(/(\d+)\s*%?\s*gst|gst\s*(\d+)/);
-    if (gstMatch) {
-        const rate = parseInt(gstMatch[1] || gstMatch[2]);
-        if ([5, 12, 18, 28].includes(rate)) gstRate = rate;
+    if ((m = text.match(/\bday before yesterday\b/i))) return { date: shiftDays(today, -2), confidence: 0.95, match: m[0] };
+    if ((m = text.match(/\byesterday\b/i)))            return { date: shiftDays(today, -1), confidence: 0.95, match: m[0] };
+    if ((m = text.match(/\btoday\b/i)))                return { date: today, confidence: 0.95, match: m[0] };
+    if ((m = text.match(/\b(\d{1,3})\s+days?\s+ago\b/i))) {
+        return { date: shiftDays(today, -Number(m[1])), confidence: 0.95, match: m[0] };
     }
-    const isInclusiveGST = /incl|inclusive|inc\.?\s*tax|with\s*gst/.test(lower);
+    if ((m = text.match(/\blast\s+week\b/i)))          return { date: shiftDays(today, -7), confidence: 0.6, match: m[0] };
 
-    // Payment mode
-    let mode = 'Cash';
-    if (/\bupi\b|gpay|phonepe|paytm|neft|rtgs|imps/.test(lower)) mode = 'UPI';
-    else if (/\bbank\b|\bcheque\b|\bcheck\b/.test(lower))         mode = 'Bank';
-
-    // Account type & category detection
-    let accountType = 'Expense';
-    let category    = 'Office Supplies';
-
-    const rules = [
-        // Income
-        { keys: ['sales','sold','revenue','received payment','income'],         cat: 'Sales',             type: 'Income'    },
-        { keys: ['service income','service fee','project payment','consulting'], cat: 'Service Income',    type: 'Income'    },
-        { keys: ['refund received','refunded'],                                  cat: 'Refunds',           type: 'Income'    },
-        // Expenses
-        { keys: ['rent','office rent','shop rent','lease'],                      cat: 'Rent',              type: 'Expense'   },
-        { keys: ['salary','salaries','wages','staff pay','payroll'],             cat: 'Salary',            type: 'Expense'   },
-        { keys: ['electric','electricity','internet','wifi','phone bill','utility','utilities','broadband'], cat: 'Utilities', type: 'Expense' },
-        { keys: ['professional fee','consultant','lawyer','ca fee','audit','legal'], cat: 'Professional Fees', type: 'Expense' },
-        { keys: ['office supply','stationery','supplies','printing','paper'],    cat: 'Office Supplies',   type: 'Expense'   },
-        // Assets
-        { keys: ['laptop','computer','equipment','machine','furniture','ac ','printer','vehicle'], cat: 'Equipment', type: 'Asset' },
-        { keys: ['receivable','debtor','money owed to'],                         cat: 'Receivables',       type: 'Asset'     },
-        // Liabilities
-        { keys: ['loan','borrowed','term loan','credit'],                        cat: 'Term Loan',         type: 'Liability' },
-        { keys: ['gst payable','tax payable'],                                   cat: 'GST Payable',       type: 'Liability' },
-        { keys: ['vendor payable','supplier payable','accounts payable'],        cat: 'Vendor Payables',   type: 'Liability' },
-        // Equity
-        { keys: ['capital','invested','owner contribution','owner deposit'],     cat: 'Capital',           type: 'Equity'    },
+    // "on monday" is the most recent Monday, today included; "last monday" skips today
+    if ((m = text.match(new RegExp(`\\b(last\\s+|on\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i')))) {
+        const target = WEEKDAYS.indexOf(m[2].toLowerCase());
+        const now    = new Date(today + 'T00:00:00Z').getUTCDay();
+        let back = (now - target + 7) % 7;
+        if (back === 0 && /last/i.test(m[1] || '')) back = 7;
+        return { date: shiftDays(today, -back), confidence: 0.85, match: m[0] };
+    }
+
+    return null;
+};
+
+// GST rate mentions: "18% GST", "gst @ 12%", "GST 5", "18 gst", or a bare "28%"
+const extractGstRate = (text) => {
+    const patterns = [
+        /(?<![\d.,])(\d{1,2}(?:\.\d+)?)\s*%?\s*(?:gst|igst)\b/i,
+        /\b(?:gst|igst)\s*(?:@|at)?\s*(\d{1,2}(?:\.\d+)?)\s*%?(?![\d,])/i,
+        /(?<![\d.,])(\d{1,2}(?:\.\d+)?)\s*%/
     ];
+    for (const re of patterns) {
+        const m = text.match(re);
+        if (!m) continue;
+        const rate = Number(m[1]);
+        if (GST_RATES.includes(rate)) return { gstRate: rate, confidence: 0.95, match: m[0] };
+        return { gstRate: 0, confidence: 0.3, match: m[0] };
+    }
+    return { gstRate: 0, confidence: /\bgst\b/i.test(text) ? 0.4 : 0.7, match: null };
+};
 
-    for (const rule of rules) {
-        if (rule.keys.some(k => lower.includes(k))) {
-            category    = rule.cat;
-            accountType = rule.type;
-            break;
-        }
+// TDS mentions: "no TDS" / "without tds" leave it out, "10% TDS" / "tds @ 2%"
+// set the rate, and a bare "less TDS" / "after tds" asks for it at the rate of
+// the business's TDS section, thresholds or not
+const extractTds = (text) => {
+    const skip = text.match(/\b(?:no|without|excluding|nil)\s+tds\b/i);
+    if (skip) return { skip: true, match: skip[0] };
+    const rated = text.match(/(?:\b(?:less|after|minus|deducting)\s+)?(?<![\d.,])(\d{1,2}(?:\.\d+)?)\s*%\s*tds\b/i)
+        || text.match(/(?:\b(?:less|after|minus|deducting)\s+)?\btds\s*(?:@|at|of)?\s*(\d{1,2}(?:\.\d+)?)\s*%/i);
+    if (rated) return { rate: Number(rated[1]), match: rated[0] };
+    const bare = text.match(/(?:\b(?:less|after|minus|deducting)\s+)?\btds\b(?:\s+deducted)?/i);
+    return bare ? { deduct: true, match: bare[0] } : null;
+};
+
+// Picks the transaction amount among the numbers left once dates, GST rates
+// and GSTINs are removed. Numbers with a currency sign or a k/lakh/crore suffix
+// win; otherwise the largest number is taken.
+const extractAmount = (text) => {
+    const candidates = [];
+    const re = /\d[\d,]*(?:\.\d+)?/g;
+    let m;
+    while ((m = re.exec(text))) {
+        const before = text.slice(0, m.index);
+        const after  = text.slice(m.index + m[0].length);
+        const currency = before.match(/(?:₹|\brs\.?|\binr)\s*$/i);
+
+        if (/[a-z]$/i.test(before) && !currency) continue;                            // "covid19", "inv123"
+        if (/(?:#|\bno\.?|\binvoice|\binv|\bbill)\s*$/i.test(before)) continue;       // reference numbers
+        if (/^\s*%/.test(after)) continue;
+
+        const suffix = after.match(/^\s*(k|thousand|lakhs?|lacs?|l|crores?|cr)\b/i);
+        const value  = parseFloat(m[0].replace(/,/g, '')) * (suffix ? AMOUNT_MULTIPLIERS[suffix[1].toLowerCase()] : 1);
+        if (!(value > 0)) continue;
+
+        candidates.push({
+            value:  Math.round(value * 100) / 100,
+            marked: Boolean(currency || suffix),
+            match:  (currency ? currency[0] : '') + m[0] + (suffix ? suffix[0] : '')
+        });
+    }
+
+    if (!candidates.length) return { amount: 0, confidence: 0, match: null };
+    const marked = candidates.find(c => c.marked);
+    if (marked) return { amount: marked.value, confidence: 0.95, match: marked.match };
+    if (candidates.length === 1) return { amount: candidates[0].value, confidence: 0.85, match: candidates[0].match };
+    const largest = candidates.reduce((a, b) => (b.value > a.value ? b : a));
+    return { amount: largest.value, confidence: 0.6, match: largest.match };
+};
+
+const parseTransactionText = (text, customRules = []) => {
+    if (!text || typeof text !== 'string') return null;
+    const original = text.trim();
+
+    // Counterparty GSTIN — pulled out first so its digits are not read as an amount
+    const gstinMatch        = original.toUpperCase().match(GSTIN_PATTERN);
+    const counterpartyGstin = gstinMatch ? gstinMatch[1] : '';
+    let working = counterpartyGstin ? original.replace(new RegExp(counterpartyGstin, 'i'), ' ') : original;
+    const lower = working.toLowerCase();
+
+    // Dates and GST rates are removed before looking for the amount, so "18% GST"
+    // or the 3 in "3rd March" are never taken as the amount
+    const dateInfo = extractDate(working);
+    if (dateInfo) working = working.replace(dateInfo.match, ' ');
+    const date = dateInfo ? dateInfo.date : todayISO();
+
+    // A deductee PAN and TDS wording go next, or "PAN ABCDE1234F" and "10% TDS"
+    // would be read as the amount or the GST rate
+    const panMatch    = working.match(/\b(?:pan\s*[:#-]?\s*)?([A-Z]{5}\d{4}[A-Z])\b/i);
+    const deducteePan = panMatch ? panMatch[1].toUpperCase() : '';
+    if (panMatch) working = working.replace(panMatch[0], ' ');
+    const tds = extractTds(working);
+    if (tds) working = working.replace(tds.match, ' ');
+
+    const gstInfo = extractGstRate(working);
+    if (gstInfo.match) working = working.replace(gstInfo.match, ' ');
+    const gstRate        = gstInfo.gstRate;
+    const isInclusiveGST = /incl|inclusive|inc\.?\s*tax|with\s*gst/.test(lower);
+
+    const amountInfo = extractAmount(working);
+    if (amountInfo.match) working = working.replace(amountInfo.match, ' ');
+    const amount = amountInfo.amount;
+
+    // Place of supply — a quoted GSTIN wins over a state name
+    const counterpartyState = stateCodeFromGSTIN(counterpartyGstin) || detectStateInText(lower);
+
+    // Payment mode — NEFT/RTGS/IMPS and cheques go through the bank account;
+    // "on credit" / udhaar leaves the amount owed by or to the party
+    let mode = 'Cash';
+    let modeConfidence = 0.5;
+    if (/\bon credit\b|\bcredit (?:sale|purchase)\b|\budh?aar\b|\bunpaid\b|\bpay later\b/.test(lower)) {
+        mode = 'Credit';
+        modeConfidence = 0.9;
+    } else if (/\bupi\b|gpay|google pay|phonepe|paytm/.test(lower)) {
+        mode = 'UPI';
+        modeConfidence = 0.95;
+    } else if (/\bbank\b|\bneft\b|\brtgs\b|\bimps\b|\bcheque\b|\bcheck\b|\bcard\b|\btransfer/.test(lower)) {
+        mode = 'Bank';
+        modeConfidence = 0.95;
+    } else if (/\bcash\b/.test(lower)) {
+        modeConfidence = 0.95;
     }
 
+    // Account type & category detection — business rules first, then the defaults
+    const { accountType, category, source: categorySource } = categorize(original, customRules);
+
     // Clean description
-    const desc = text
-        .replace(/(?:₹\s*)?\d[\d,]*(?:\.\d{1,2})?\s*k?/gi, '')
-        .replace(/\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?/g, '')
+    const desc = working
         .replace(/\s+/g, ' ')
-        .trim() || text.trim();
+        .replace(/(?:\s+(?:on|dated|of|for|at|with|to|from|@))+\s*$/i, '')
+        .replace(/^\s*(?:on|of|for|at|with|@)\s+/i, '')
+        .trim() || original;
+
+    const confidence = {
+        amount:   amountInfo.confidence,
+        date:     dateInfo ? dateInfo.confidence : 0.5,
+        gstRate:  gstInfo.confidence,
+        mode:     modeConfidence,
+        category: RULE_CONFIDENCE[categorySource]
+    };
+
+    return {
+        amount, date, desc, gstRate, isInclusiveGST, mode, accountType, category, categorySource,
+        counterpartyGstin, counterpartyState, deducteePan, tds, dateExplicit: Boolean(dateInfo), confidence
+    };
+};
+
+// Splits "sold goods 5000 and paid rent 12000 on 3rd March" into one parse per
+// transaction. A split happens at ";", a new line, or at "and" / "," / "then"
+// followed by a transaction verb. A date mentioned in only some parts applies
+// to the parts that have none, at lower confidence.
+// Returns { parsed: [...], unparsed: [segments without an amount] }.
+const parseTransactions = (text, customRules = []) => {
+    if (!text || typeof text !== 'string') return { parsed: [], unparsed: [] };
+
+    const splitter = new RegExp(`\\s*(?:[;\\n]|,?\\s*\\b(?:and|then|also)\\b\\s*(?=(?:${TRANSACTION_VERBS})\\b)|,\\s*(?=(?:${TRANSACTION_VERBS})\\b))\\s*`, 'i');
+    const segments = text.split(splitter).map(s => s.trim()).filter(Boolean);
+
+    const parsed   = [];
+    const unparsed = [];
+    segments.forEach(segment => {
+        const p = parseTransactionText(segment, customRules);
+        if (p && p.amount > 0) parsed.push({ ...p, text: segment });
+        else unparsed.push(segment);
+    });
+
+    const dated = parsed.filter(p => p.dateExplicit);
+    if (dated.length && dated.length < parsed.length) {
+        parsed.forEach(p => {
+            if (p.dateExplicit) return;
+            p.date = dated[0].date;
+            p.confidence.date = Math.min(0.7, dated[0].confidence.date);
+        });
+    }
+
+    return { parsed, unparsed };
+};
+
+// ─────────────────────────────────────────────
+// GST PLACE OF SUPPLY
+// The first two digits of a GSTIN are the state code. Supplies within the
+// business's own state attract CGST + SGST; across states, IGST.
+// ─────────────────────────────────────────────
+const GST_STATES = {
+    '01': 'Jammu and Kashmir',  '02': 'Himachal Pradesh', '03': 'Punjab',
+    '04': 'Chandigarh',         '05': 'Uttarakhand',      '06': 'Haryana',
+    '07': 'Delhi',              '08': 'Rajasthan',        '09': 'Uttar Pradesh',
+    '10': 'Bihar',              '11': 'Sikkim',           '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',           '14': 'Manipur',          '15': 'Mizoram',
+    '16': 'Tripura',            '17': 'Meghalaya',        '18': 'Assam',
+    '19': 'West Bengal',        '20': 'Jharkhand',        '21': 'Odisha',
+    '22': 'Chhattisgarh',       '23': 'Madhya Pradesh',   '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',     '27': 'Maharashtra',
+    '29': 'Karnataka',          '30': 'Goa',              '31': 'Lakshadweep',
+    '32': 'Kerala',             '33': 'Tamil Nadu',       '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',                  '36': 'Telangana',
+    '37': 'Andhra Pradesh',     '38': 'Ladakh',           '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /\b(\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z])\b/;
+
+const stateCodeFromGSTIN = (gstin) => {
+    if (!gstin || typeof gstin !== 'string') return null;
+    const code = gstin.trim().slice(0, 2);
+    return GST_STATES[code] ? code : null;
+};
 
-    return { amount, date, desc, gstRate, isInclusiveGST, mode, accountType, category };
+// Accepts a 2-digit code, a state name, or a GSTIN and returns the state code
+const normalizeStateCode = (value) => {
+    if (!value) return null;
+    const v = String(value).trim();
+    if (/^\d{1,2}$/.test(v)) {
+        const code = v.padStart(2, '0');
+        return GST_STATES[code] ? code : null;
+    }
+    if (v.length === 15) return stateCodeFromGSTIN(v.toUpperCase());
+    const lower = v.toLowerCase();
+    const match = Object.entries(GST_STATES).find(([, name]) => name.toLowerCase() === lower);
+    return match ? match[0] : null;
+};
+
+// Finds a state name mentioned in free text ("sold to a client in Karnataka")
+const detectStateInText = (lower) => {
+    const match = Object.entries(GST_STATES)
+        .sort((a, b) => b[1].length - a[1].length)
+        .find(([, name]) => new RegExp(`\\b${name.toLowerCase()}\\b`).test(lower));
+    return match ? match[0] : null;
+};
+
+// Unknown states on either side are treated as intra-state, which matches
+// how unregistered and walk-in supplies are reported
+const getSupplyType = (businessState, counterpartyState) =>
+    (businessState && counterpartyState && businessState !== counterpartyState) ? 'INTER' : 'INTRA';
+
+const splitGST = (gstAmount, supplyType) => {
+    if (!gstAmount) return { cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
+    if (supplyType === 'INTER') return { cgstAmount: 0, sgstAmount: 0, igstAmount: gstAmount };
+    const cgstAmount = Math.round(gstAmount * 50) / 100;
+    return { cgstAmount, sgstAmount: Math.round((gstAmount - cgstAmount) * 100) / 100, igstAmount: 0 };
+};
+
+// GSTIN: 2-digit state code, PAN, entity number, 'Z', and a base-36 check
+// character computed over the first 14 characters
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+const gstinCheckChar = (first14) => {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARS.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+};
+
+// Returns an error message, or null when the GSTIN is valid
+const validateGSTIN = (gstin) => {
+    if (typeof gstin !== 'string' || !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) {
+        return 'GSTIN must be 15 characters in the format 22AAAAA0000A1Z5';
+    }
+    if (!GST_STATES[gstin.slice(0, 2)]) return `GSTIN state code ${gstin.slice(0, 2)} is not valid`;
+    if (gstinCheckChar(gstin.slice(0, 14)) !== gstin[14]) return 'GSTIN checksum does not match';
+    return null;
 };
 
 // ─────────────────────────────────────────────
 // FIX #2: JOURNAL ENTRY GENERATOR — was called but never defined
 // Produces balanced double-entry bookkeeping entries
+// GST is posted as CGST + SGST for intra-state supplies and IGST for
+// inter-state supplies (see getSupplyType)
+// Mode 'Credit' settles through the party's account instead of Cash/Bank:
+// Receivables for income, Vendor Payables for everything else.
+// With a TDS rate, an expense pays out only what is left after the tax
+// deducted at source, which is owed to the government as TDS Payable.
 // ─────────────────────────────────────────────
-const generateJournalEntries = (amount, mode, accountType, category, gstRate, isInclusiveGST) => {
-    const cashAccount = (mode === 'Cash') ? 'Cash' : 'Bank';
+const PAYMENT_MODES = ['Cash', 'Bank', 'UPI', 'Credit'];
+
+// TDS is worked out on the amount before GST and rounded to the rupee (s. 288B)
+const tdsOn = (netAmount, tdsRate) => Math.round(netAmount * tdsRate / 100);
+
+const settlementAccount = (mode, accountType) => {
+    if (mode === 'Cash')   return 'Cash';
+    if (mode === 'Credit') return accountType === 'Income' ? 'Receivables' : 'Vendor Payables';
+    return 'Bank';
+};
+
+// tds is the TDS amount held back from an expense payment (see resolveTds)
+const generateJournalEntries = (amount, mode, accountType, category, gstRate, isInclusiveGST, supplyType = 'INTRA', tds = 0) => {
+    const cashAccount = settlementAccount(mode, accountType);
 
     // Calculate GST
     let netAmount   = amount;
@@ -271,18 +1420,28 @@ const generateJournalEntries = (amount, mode, accountType, category, gstRate, is
         }
     }
 
+    const { cgstAmount, sgstAmount, igstAmount } = splitGST(gstAmount, supplyType);
+    const tdsAmount = accountType === 'Expense' && tds > 0 ? tds : 0;
+    const taxLines = (prefix) => [
+        { account: `${prefix} CGST`, amount: cgstAmount },
+        { account: `${prefix} SGST`, amount: sgstAmount },
+        { account: `${prefix} IGST`, amount: igstAmount }
+    ].filter(t => t.amount > 0);
+
     const entries = [];
 
     if (accountType === 'Expense') {
         entries.push({ account: category,           dr: netAmount,   cr: 0 });
-        if (gstAmount > 0)
-            entries.push({ account: 'Input Tax Credit', dr: gstAmount,   cr: 0 });
-        entries.push({ account: cashAccount,         dr: 0,           cr: grossAmount });
+        taxLines('Input').forEach(t =>
+            entries.push({ account: t.account,      dr: t.amount,    cr: 0 }));
+        entries.push({ account: cashAccount,         dr: 0,           cr: round2(grossAmount - tdsAmount) });
+        if (tdsAmount > 0)
+            entries.push({ account: 'TDS Payable',   dr: 0,           cr: tdsAmount });
 
     } else if (accountType === 'Income') {
         entries.push({ account: cashAccount,         dr: grossAmount, cr: 0 });
-        if (gstAmount > 0)
-            entries.push({ account: 'GST Payable',   dr: 0,           cr: gstAmount });
+        taxLines('Output').forEach(t =>
+            entries.push({ account: t.account,      dr: 0,           cr: t.amount }));
         entries.push({ account: category,            dr: 0,           cr: netAmount });
 
     } else if (accountType === 'Asset') {
@@ -298,7 +1457,15 @@ const generateJournalEntries = (amount, mode, accountType, category, gstRate, is
         entries.push({ account: category,            dr: 0,           cr: netAmount });
     }
 
-    return { entries, netAmount, gstAmount, grossAmount };
+    return { entries, netAmount, gstAmount, grossAmount, cgstAmount, sgstAmount, igstAmount, tdsAmount };
+};
+
+// Money received from a customer or paid to a vendor against their account
+const generateSettlementEntries = (amount, mode, partyType) => {
+    const cashAccount = settlementAccount(mode === 'Credit' ? 'Bank' : mode);
+    return partyType === 'customer'
+        ? [{ account: cashAccount, dr: amount, cr: 0 }, { account: 'Receivables', dr: 0, cr: amount }]
+        : [{ account: 'Vendor Payables', dr: amount, cr: 0 }, { account: cashAccount, dr: 0, cr: amount }];
 };
 
 // ─────────────────────────────────────────────
@@ -307,312 +1474,7791 @@ const generateJournalEntries = (amount, mode, accountType, category, gstRate, is
 const newId = () => uuidv4();
 
 // ─────────────────────────────────────────────
-// ROUTES
+// MAILER
+// Pluggable transport. MAIL_TRANSPORT=log (default) appends every message
+// to MAIL_LOG_FILE instead of sending it — the local stand-in for email.
 // ─────────────────────────────────────────────
+const mailTransports = {
+    log: (message) => {
+        const entry = [
+            `--- ${new Date().toISOString()}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            ''
+        ].join('\n');
+        fs.appendFileSync(MAIL_LOG_FILE, entry + '\n', 'utf8');
+    }
+};
 
-// Health check
-app.get('/', (req, res) => {
-    res.json({ status: 'ok', app: 'Ledgerly.ai', version: '2.0' });
-});
-
-// ── FIX #4: GET /api/smart-entry — frontend pings this to check if smart engine is online
-app.get('/api/smart-entry', verifyToken, (req, res) => {
-    res.json({ status: 'ok', engine: 'smart', version: '2.0' });
-});
+const sendMail = (message) => {
+    const transport = mailTransports[MAIL_TRANSPORT];
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT '${MAIL_TRANSPORT}'`);
+    transport(message);
+};
 
-// ── SMART ENTRY ──────────────────────────────
-// FIX #3: NO LONGER SAVES to DB — just parses & returns transaction object
-// Saving happens when frontend calls POST /api/sync after user confirms
-app.post('/api/smart-entry', verifyToken, (req, res) => {
-    const { text } = req.body;
-    if (!text || typeof text !== 'string' || !text.trim()) {
-        return res.status(400).json({ error: 'Transaction text is required' });
-    }
+// ─────────────────────────────────────────────
+// ACCESS HELPERS
+// A business is shared through business.members ([{ userId, role }]); its
+// ownerId is always 'owner'. user.businesses lists every business the user
+// can open, whatever the role.
+// ─────────────────────────────────────────────
+const ROLE_PERMISSIONS = {
+    owner:      ['read', 'write', 'draft', 'close', 'reconcile', 'manage'],
+    accountant: ['read', 'close', 'reconcile'], // CA: read-only plus period close and bank reconciliation
+    editor:     ['read', 'draft'],          // data-entry staff: drafts only
+    viewer:     ['read']
+};
+const INVITABLE_ROLES = ['accountant', 'editor', 'viewer'];
 
-    try {
-        const parsed = parseTransactionText(text.trim());
-        if (!parsed || parsed.amount === 0) {
-            return res.status(400).json({ error: 'No valid amount found. Try: "Paid rent 5000"' });
-        }
+const getBusinessRole = (business, userId) => {
+    if (!business) return null;
+    if (business.ownerId === userId) return 'owner';
+    const member = (business.members || []).find(m => m.userId === userId);
+    return member ? member.role : null;
+};
 
-        const { entries, netAmount, gstAmount, grossAmount } = generateJournalEntries(
-            parsed.amount,
-            parsed.mode,
-            parsed.accountType,
-            parsed.category,
-            parsed.gstRate,
-            parsed.isInclusiveGST
-        );
-
-        // Return structured transaction — frontend shows confirmation card
-        // NOTE: id is temporary; final id assigned when frontend confirms via /api/sync
-        const transaction = {
-            id:             Date.now(), // temp id for UI only
-            desc:           parsed.desc,
-            date:           parsed.date,
-            accountType:    parsed.accountType,
-            category:       parsed.category,
-            mode:           parsed.mode,
-            netAmount,
-            gstAmount,
-            grossAmount,
-            gstRate:        parsed.gstRate,
-            isInclusiveGST: parsed.isInclusiveGST,
-            status:         'draft',
-            entries
-        };
+const roleCan = (role, permission) => !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
 
-        res.json({ success: true, transaction });
+// Resolves the business a route is asking for (req.params.bizId, or `bizId`
+// when given) and checks the user's role grants `permission`. Sends the
+// error response and returns null when access is refused.
+const loadBusinessForUser = (req, res, permission = 'read', bizId = req.params.bizId) => {
+    const user = store.getUserById(req.userId);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    const business = (user.businesses || []).includes(bizId) ? store.getBusiness(bizId) : null;
+    const role     = getBusinessRole(business, user.id);
+    if (!business || !role) {
+        res.status(403).json({ error: 'Access denied to this business' });
+        return null;
+    }
+    if (!roleCan(role, permission)) {
+        res.status(403).json({ error: `Your role (${role}) does not allow this action` });
+        return null;
+    }
+    return { user, business, role };
+};
 
-    } catch (e) {
-        console.error('Smart Entry Error:', e.message);
-        // FIX #16: Never leak stack traces to client
-        res.status(500).json({ error: 'Failed to process transaction' });
+// Same as loadBusinessForUser, but archived businesses are read-only
+const loadWritableBusiness = (req, res, permission = 'write', bizId = req.params.bizId) => {
+    const ctx = loadBusinessForUser(req, res, permission, bizId);
+    if (ctx && ctx.business.archivedAt) {
+        res.status(409).json({ error: 'This business is archived. Restore it before making changes.' });
+        return null;
     }
-});
+    return ctx;
+};
 
-// ── REGISTER ─────────────────────────────────
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { email, password, name } = req.body;
+// ─────────────────────────────────────────────
+// BUSINESS MANAGEMENT
+// ─────────────────────────────────────────────
+const BUSINESS_TYPES = ['general', 'retail', 'service', 'manufacturing', 'trading', 'freelance', 'other'];
+
+// Validates the editable business fields. With `partial`, only the fields
+// present in `input` are checked (PUT); otherwise name is required (POST).
+// Returns { errors, fields } with fields normalised for storage.
+const validateBusiness = (input, partial = false) => {
+    const errors = [];
+    const fields = {};
+    const has = (k) => input[k] !== undefined;
+
+    if (has('name') || !partial) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (name.length < 2 || name.length > 100) errors.push('Business name must be 2-100 characters');
+        else fields.name = name;
+    }
+    if (has('type')) {
+        if (!BUSINESS_TYPES.includes(input.type)) errors.push(`type must be one of: ${BUSINESS_TYPES.join(', ')}`);
+        else fields.type = input.type;
+    }
+    if (has('currency')) {
+        const currency = String(input.currency).trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) errors.push('currency must be a 3-letter ISO code such as INR');
+        else fields.currency = currency;
+    }
+    if (has('financialYearStart')) {
+        const month = String(input.financialYearStart).padStart(2, '0');
+        if (!/^(0[1-9]|1[0-2])$/.test(month)) errors.push('financialYearStart must be a month from 01 to 12');
+        else fields.financialYearStart = month;
+    }
+    if (has('gstNumber')) {
+        const gstin = String(input.gstNumber || '').trim().toUpperCase();
+        const gstError = gstin ? validateGSTIN(gstin) : null;
+        if (gstError) errors.push(gstError);
+        else fields.gstNumber = gstin;
+    }
+    if (has('address')) {
+        const address = typeof input.address === 'string' ? input.address.trim() : '';
+        if (address.length > 300) errors.push('address must be at most 300 characters');
+        else fields.address = address;
+    }
+    return { errors, fields };
+};
+
+// ─────────────────────────────────────────────
+// CHART OF ACCOUNTS
+// Stored per business in the 'chartOfAccounts' document; businesses that
+// never edited theirs use DEFAULT_CHART. Accounts are referenced by name in
+// journal entries, so a name is fixed once it has been posted to.
+// ─────────────────────────────────────────────
+const DEFAULT_CHART = [
+    { code: '1000', name: 'Assets',               type: 'Asset',     parent: null,   isGroup: true },
+    { code: '1100', name: 'Current Assets',       type: 'Asset',     parent: '1000', isGroup: true },
+    { code: '1110', name: 'Cash',                 type: 'Asset',     parent: '1100' },
+    { code: '1120', name: 'Bank',                 type: 'Asset',     parent: '1100' },
+    { code: '1130', name: 'Receivables',          type: 'Asset',     parent: '1100' },
+    { code: '1140', name: 'Input CGST',           type: 'Asset',     parent: '1100' },
+    { code: '1141', name: 'Input SGST',           type: 'Asset',     parent: '1100' },
+    { code: '1142', name: 'Input IGST',           type: 'Asset',     parent: '1100' },
+    { code: '1150', name: 'Input Tax Credit',     type: 'Asset',     parent: '1100' },
+    { code: '1500', name: 'Fixed Assets',         type: 'Asset',     parent: '1000', isGroup: true },
+    { code: '1510', name: 'Equipment',            type: 'Asset',     parent: '1500' },
+    { code: '1590', name: 'Accumulated Depreciation', type: 'Asset', parent: '1500' },
+    { code: '2000', name: 'Liabilities',          type: 'Liability', parent: null,   isGroup: true },
+    { code: '2100', name: 'Current Liabilities',  type: 'Liability', parent: '2000', isGroup: true },
+    { code: '2110', name: 'Output CGST',          type: 'Liability', parent: '2100' },
+    { code: '2111', name: 'Output SGST',          type: 'Liability', parent: '2100' },
+    { code: '2112', name: 'Output IGST',          type: 'Liability', parent: '2100' },
+    { code: '2120', name: 'GST Payable',          type: 'Liability', parent: '2100' },
+    { code: '2130', name: 'Vendor Payables',      type: 'Liability', parent: '2100' },
+    { code: '2140', name: 'TDS Payable',          type: 'Liability', parent: '2100' },
+    { code: '2500', name: 'Long-term Liabilities', type: 'Liability', parent: '2000', isGroup: true },
+    { code: '2510', name: 'Term Loan',            type: 'Liability', parent: '2500' },
+    { code: '3000', name: 'Equity',               type: 'Equity',    parent: null,   isGroup: true },
+    { code: '3100', name: 'Capital',              type: 'Equity',    parent: '3000' },
+    { code: '3200', name: 'Retained Earnings',    type: 'Equity',    parent: '3000' },
+    { code: '4000', name: 'Income',               type: 'Income',    parent: null,   isGroup: true },
+    { code: '4100', name: 'Sales',                type: 'Income',    parent: '4000' },
+    { code: '4200', name: 'Service Income',       type: 'Income',    parent: '4000' },
+    { code: '4300', name: 'Refunds',              type: 'Income',    parent: '4000' },
+    { code: '4400', name: 'Gain on Sale of Assets', type: 'Income',  parent: '4000' },
+    { code: '5000', name: 'Expenses',             type: 'Expense',   parent: null,   isGroup: true },
+    { code: '5100', name: 'Rent',                 type: 'Expense',   parent: '5000' },
+    { code: '5200', name: 'Salary',               type: 'Expense',   parent: '5000' },
+    { code: '5300', name: 'Utilities',            type: 'Expense',   parent: '5000' },
+    { code: '5400', name: 'Professional Fees',    type: 'Expense',   parent: '5000' },
+    { code: '5500', name: 'Office Supplies',      type: 'Expense',   parent: '5000' },
+    { code: '5600', name: 'Depreciation',         type: 'Expense',   parent: '5000' },
+    { code: '5700', name: 'Loss on Sale of Assets', type: 'Expense', parent: '5000' }
+].map(a => ({ isGroup: false, system: true, ...a }));
+
+const getChartOfAccounts = (bizId) => store.getDoc('chartOfAccounts', bizId) || clone(DEFAULT_CHART);
+
+// Posting accounts (not groups) by name, for lookups from journal entries
+const chartAccountByName = (chart, name) => chart.find(a => !a.isGroup && a.name === name);
+
+const accountIsPosted = (transactions, name) =>
+    transactions.some(tx => (tx.entries || []).some(e => e.account === name));
+
+// Validates a chart account against the rest of the chart. `existing` is the
+// account being edited (PUT), if any. Returns { errors, fields }.
+const validateChartAccount = (input, chart, existing = null) => {
+    const errors = [];
+    const merged = { ...(existing || {}), ...input };
+    const fields = {};
+
+    const code = String(merged.code || '').trim();
+    if (!/^[0-9A-Za-z.-]{1,20}$/.test(code)) errors.push('code must be 1-20 letters, digits, dots or dashes');
+    else if (chart.some(a => a.code === code && a !== existing)) errors.push(`Account code ${code} already exists`);
+    else fields.code = code;
+
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (name.length < 2 || name.length > 100) errors.push('name must be 2-100 characters');
+    else if (chart.some(a => a.name.toLowerCase() === name.toLowerCase() && a !== existing)) errors.push(`An account named '${name}' already exists`);
+    else fields.name = name;
+
+    if (!ACCOUNT_TYPES.includes(merged.type)) errors.push(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+    else fields.type = merged.type;
+
+    fields.isGroup = !!merged.isGroup;
+    fields.parent  = merged.parent ? String(merged.parent) : null;
+    if (fields.parent) {
+        const parent = chart.find(a => a.code === fields.parent);
+        if (!parent || !parent.isGroup)                   errors.push('parent must be the code of an account group');
+        else if (parent.type !== fields.type)             errors.push(`parent group ${parent.code} is ${parent.type}, not ${fields.type}`);
+        else if (existing && parent.code === existing.code) errors.push('An account cannot be its own parent');
+    }
+    return { errors, fields };
+};
+
+const CATEGORY_RULE_TYPES = ['keyword', 'regex'];
+
+// Rule categories must be posting accounts in the business's chart; the
+// rule's accountType always follows the chart
+const validateCategoryRule = (input, chart) => {
+    const errors = [];
+    const fields = {};
+
+    fields.type = input.type || 'keyword';
+    if (!CATEGORY_RULE_TYPES.includes(fields.type)) errors.push(`type must be one of: ${CATEGORY_RULE_TYPES.join(', ')}`);
+
+    if (fields.type === 'keyword') {
+        const keywords = (Array.isArray(input.keywords) ? input.keywords : [])
+            .map(k => String(k).trim().toLowerCase())
+            .filter(Boolean);
+        if (!keywords.length || keywords.length > 50) errors.push('keywords must be a list of 1-50 words or phrases');
+        else fields.keywords = keywords;
+    } else if (fields.type === 'regex') {
+        const pattern = typeof input.pattern === 'string' ? input.pattern : '';
+        const flags   = typeof input.flags === 'string' ? input.flags : 'i';
+        if (!pattern || pattern.length > 200) errors.push('pattern must be 1-200 characters');
+        else if (!/^[gimsuy]*$/.test(flags))  errors.push('flags may only contain g, i, m, s, u, y');
+        else {
+            try {
+                new RegExp(pattern, flags);
+                if (!isSafeRegex(pattern)) {
+                    errors.push('pattern has a repeated group that contains a quantifier or |, or a backreference; these can make matching hang');
+                } else {
+                    fields.pattern = pattern;
+                    fields.flags   = flags;
+                }
+            } catch (e) {
+                errors.push(`pattern is not a valid regular expression: ${e.message}`);
+            }
+        }
+    }
+
+    const account = chartAccountByName(chart, input.category);
+    if (!account) errors.push('category must be the name of a posting account in the chart of accounts');
+    else {
+        fields.category    = account.name;
+        fields.accountType = account.type;
+    }
+
+    fields.priority = Number.isInteger(input.priority) ? input.priority : 100;
+    return { errors, fields };
+};
+
+const getCategoryRules = (bizId) => store.getDoc('categoryRules', bizId) || [];
+
+// ─────────────────────────────────────────────
+// CATEGORY LEARNING
+// Smart-entry drafts carry `smartEntry: { text, category, accountType }`, the
+// guess shown on the confirmation card. When such a transaction becomes
+// confirmed, whether created that way or updated from a draft, its category
+// is learned into the business's 'categoryModel' document — a naive Bayes
+// token model — and any difference from the guess is logged in
+// 'categoryCorrections'.
+// ─────────────────────────────────────────────
+const LEARNING_STOPWORDS = new Set([
+    'a', 'an', 'the', 'to', 'for', 'from', 'of', 'on', 'in', 'at', 'by', 'via', 'and', 'with', 'my', 'our',
+    'paid', 'pay', 'payment', 'received', 'got', 'spent', 'bought', 'rs', 'inr', 'rupees',
+    'cash', 'bank', 'upi', 'card', 'gst', 'incl', 'including', 'inclusive', 'igst', 'cgst', 'sgst'
+]);
+
+// A correction is a stronger signal than an accepted guess
+const CORRECTION_WEIGHT   = 2;
+const MAX_CORRECTIONS_LOG = 200;
+
+// How much the rule-based guess is trusted, by categorize() source
+const RULE_CONFIDENCE = { custom: 0.9, default: 0.6, fallback: 0.1 };
+
+// Learned suggestions stay below a matching custom rule
+const MAX_LEARNED_CONFIDENCE = 0.85;
+
+const learningTokens = (text) => [...new Set(
+    String(text || '').toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(t => t.length > 1 && !LEARNING_STOPWORDS.has(t))
+)];
+
+const getCategoryModel = (bizId) => store.getDoc('categoryModel', bizId) || { examples: 0, corrections: 0, categories: {} };
+
+const getCategoryCorrections = (bizId) => store.getDoc('categoryCorrections', bizId) || [];
+
+// Records a smart-entry transaction that has just been confirmed; `before` is
+// the stored version it replaces, if any. Drafts, edits of transactions that
+// were already confirmed, transactions without a smartEntry block, and text
+// with no usable tokens are ignored.
+const learnFromConfirmation = (bizId, tx, userId, before = null) => {
+    const draft = tx && tx.smartEntry;
+    if (!draft || !tx.category || !isPosted(tx) || isPosted(before)) return;
+    const tokens = learningTokens(draft.text);
+    if (!tokens.length) return;
+
+    const corrected = draft.category !== tx.category || draft.accountType !== tx.accountType;
+    const weight    = corrected ? CORRECTION_WEIGHT : 1;
+
+    const model = getCategoryModel(bizId);
+    const entry = model.categories[tx.category] || { accountType: tx.accountType, weight: 0, tokenTotal: 0, tokens: {} };
+    entry.accountType = tx.accountType;
+    entry.weight     += weight;
+    tokens.forEach(t => {
+        entry.tokens[t]   = (entry.tokens[t] || 0) + weight;
+        entry.tokenTotal += weight;
+    });
+    model.categories[tx.category] = entry;
+    model.examples   += 1;
+    model.corrections = (model.corrections || 0) + (corrected ? 1 : 0);
+    model.updatedAt   = new Date().toISOString();
+    store.setDoc('categoryModel', bizId, model);
+
+    if (corrected) {
+        const log = getCategoryCorrections(bizId);
+        log.push({
+            transactionId: tx.id,
+            text:          String(draft.text).slice(0, 200),
+            suggested:     { category: draft.category, accountType: draft.accountType },
+            confirmed:     { category: tx.category, accountType: tx.accountType },
+            userId,
+            at:            model.updatedAt
+        });
+        store.setDoc('categoryCorrections', bizId, log.slice(-MAX_CORRECTIONS_LOG));
+    }
+};
+
+// Learned suggestions for free text, best first. Confidence is the naive Bayes
+// posterior, scaled down when the text has words the model has never seen and
+// when a category has little training behind it.
+const learnedSuggestions = (text, model) => {
+    const names  = Object.keys(model.categories || {});
+    const tokens = learningTokens(text);
+    if (!names.length || !tokens.length) return [];
+
+    const vocab = new Set();
+    names.forEach(n => Object.keys(model.categories[n].tokens).forEach(t => vocab.add(t)));
+    const known = tokens.filter(t => vocab.has(t));
+    if (!known.length) return [];
+
+    const totalWeight = names.reduce((s, n) => s + model.categories[n].weight, 0);
+    const scores = names.map(n => {
+        const c = model.categories[n];
+        let score = Math.log(c.weight / totalWeight);
+        known.forEach(t => { score += Math.log(((c.tokens[t] || 0) + 1) / (c.tokenTotal + vocab.size)); });
+        return score;
+    });
+    const max  = Math.max(...scores);
+    const exps = scores.map(s => Math.exp(s - max));
+    const sum  = exps.reduce((s, e) => s + e, 0);
+    const coverage = known.length / tokens.length;
+
+    return names
+        .map((n, i) => {
+            const c = model.categories[n];
+            return {
+                category:    n,
+                accountType: c.accountType,
+                confidence:  Math.min(MAX_LEARNED_CONFIDENCE, round2((exps[i] / sum) * coverage * (c.weight / (c.weight + 1)))),
+                source:      'learned'
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Ranks the rule-based guess together with the learned suggestions; the first
+// entry is what smart entry and imports use. Returns { guess, suggestions }.
+const classifyCategory = (text, customRules = [], model = null) => {
+    const guess = categorize(text, customRules);
+    const byCategory = new Map();
+    const consider = (s) => {
+        const current = byCategory.get(s.category);
+        if (!current || s.confidence > current.confidence) byCategory.set(s.category, s);
+    };
+
+    consider({ category: guess.category, accountType: guess.accountType, confidence: RULE_CONFIDENCE[guess.source], source: guess.source });
+    if (model) learnedSuggestions(text, model).forEach(consider);
+
+    const suggestions = [...byCategory.values()].sort((a, b) => b.confidence - a.confidence).slice(0, 3);
+    return { guess, suggestions };
+};
+
+// ─────────────────────────────────────────────
+// TEAM INVITATIONS
+// Invitations live in the 'invitations' document per business. The token is
+// only ever sent by mail; the store keeps its SHA-256 and an index document
+// ('invitationTokens') from hash to business, so accepting is one lookup.
+// ─────────────────────────────────────────────
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Invitation as returned to the API — never includes the token hash
+const publicInvitation = ({ tokenHash, ...invitation }) => ({
+    ...invitation,
+    status: invitation.status === 'pending' && new Date(invitation.expiresAt) < new Date() ? 'expired' : invitation.status
+});
+
+// Members as returned to the API, owner first, with names resolved
+const listMembers = (business) => {
+    const owner = store.getUserById(business.ownerId);
+    const members = [{ userId: business.ownerId, role: 'owner', name: owner && owner.name, email: owner && owner.email }];
+    for (const m of business.members || []) {
+        const u = store.getUserById(m.userId);
+        members.push({ ...m, name: u && u.name, email: u && u.email });
+    }
+    return members;
+};
+
+// ─────────────────────────────────────────────
+// BANK STATEMENT IMPORT
+// CSV statements are read with an RFC 4180 parser and mapped to
+// transactions through an import profile — a saved column mapping per bank,
+// kept in the business's 'importProfiles' document:
+//   { id, name, delimiter, skipRows, hasHeader, dateColumn, dateFormat,
+//     descriptionColumn, amountColumn | debitColumn + creditColumn,
+//     balanceColumn, referenceColumn, invertAmount, decimalSeparator }
+// Columns are header names (case-insensitive) or 0-based indexes. Without a
+// profile the columns and date format are detected from the header row.
+// ─────────────────────────────────────────────
+const IMPORT_DELIMITERS   = [',', ';', '\t', '|'];
+const STATEMENT_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD/MM/YY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'DD MMM YYYY', 'MMM DD, YYYY', 'YYYYMMDD'];
+
+// Header patterns used when no profile is given
+const HEADER_PATTERNS = {
+    date:        /^(?:txn |transaction |value |posting )?date$|^date\b/i,
+    description: /desc|narration|particulars|details|remarks|memo|payee/i,
+    debit:       /debit|withdrawal|\bdr\b|paid out|money out/i,
+    credit:      /credit|deposit|\bcr\b|paid in|money in/i,
+    amount:      /amount|amt/i,
+    balance:     /balance|bal\b/i,
+    reference:   /ref|chq|cheque|utr|instrument/i
+};
+
+// Imported rows must move money the way their account type does: Income,
+// Liability and Equity bring money in, Expense and Asset send it out
+const DIRECTION_OF_TYPE = { Income: 'in', Liability: 'in', Equity: 'in', Expense: 'out', Asset: 'out' };
+const DIRECTION_DEFAULTS = {
+    in:  { category: 'Sales', accountType: 'Income' },
+    out: DEFAULT_CATEGORY
+};
+
+// RFC 4180: quoted fields may hold delimiters, line breaks and "" escapes;
+// records end in CRLF or LF. Returns an array of rows (arrays of strings).
+const parseCSV = (content, delimiter = ',') => {
+    const text = String(content || '').replace(/^﻿/, '');
+    const rows = [];
+    let row   = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') { field += '"'; i++; }
+                else quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row   = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Most frequent candidate delimiter in the first line
+const detectDelimiter = (content) => {
+    const firstLine = String(content || '').split(/\r?\n/)[0] || '';
+    return IMPORT_DELIMITERS
+        .map(d => ({ d, n: firstLine.split(d).length }))
+        .sort((a, b) => b.n - a.n)[0].d;
+};
+
+// Parses a statement date with a format such as 'DD/MM/YYYY' or 'DD-MMM-YY'.
+// Any of / - . and space is accepted as a separator. Returns ISO or null.
+const parseStatementDate = (value, format) => {
+    const v = String(value || '').trim();
+    if (!v) return null;
+    const tokens = [];
+    const pattern = format.replace(/YYYY|YY|MMM|MM|DD|[\/\-. ]|./g, t => {
+        if (['YYYY', 'YY', 'MMM', 'MM', 'DD'].includes(t)) {
+            tokens.push(t);
+            return { YYYY: '(\\d{4})', YY: '(\\d{2})', MMM: '([A-Za-z]{3,9})', MM: '(\\d{1,2})', DD: '(\\d{1,2})' }[t];
+        }
+        if (/[\/\-. ]/.test(t)) return '[\\/\\-. ]';
+        return t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    const m = v.match(new RegExp(`^${pattern}(?:[ T].*)?$`));
+    if (!m) return null;
+
+    const parts = {};
+    tokens.forEach((t, i) => { parts[t] = m[i + 1]; });
+    const year  = parts.YYYY ? Number(parts.YYYY) : 2000 + Number(parts.YY);
+    const month = parts.MMM ? MONTHS[parts.MMM.slice(0, 3).toLowerCase()] : Number(parts.MM);
+    if (!month) return null;
+    return isoFromParts(year, month, Number(parts.DD));
+};
+
+// First format that parses every sample date, or null
+const detectDateFormat = (samples) => {
+    const values = samples.filter(v => String(v || '').trim());
+    if (!values.length) return null;
+    return STATEMENT_DATE_FORMATS.find(f => values.every(v => parseStatementDate(v, f))) || null;
+};
+
+// "1,20,000.50", "(500.00)", "500 Dr", "-₹75" → signed number; blank → null.
+// With decimalSeparator ',' the European "1.234,50" is read instead.
+const parseStatementAmount = (value, decimalSeparator = '.') => {
+    let v = String(value || '').trim();
+    if (!v) return null;
+    let sign = 1;
+    if (/^\(.*\)$/.test(v))      { sign = -1; v = v.slice(1, -1); }
+    if (/\bdr\.?$/i.test(v))     { sign = -1; v = v.replace(/\bdr\.?$/i, ''); }
+    else if (/\bcr\.?$/i.test(v)) v = v.replace(/\bcr\.?$/i, '');
+    v = v.replace(/₹|\binr\b|\brs\.?/gi, '').replace(/\s/g, '');
+    v = decimalSeparator === ',' ? v.replace(/\./g, '').replace(',', '.') : v.replace(/,/g, '');
+    if (v.startsWith('-')) { sign = -sign; v = v.slice(1); }
+    else if (v.startsWith('+')) v = v.slice(1);
+    if (!/^\d+(?:\.\d+)?$/.test(v)) return null;
+    return sign * Number(v);
+};
+
+// Resolves a profile column (header name or index) to an index, or -1
+const resolveColumn = (ref, header) => {
+    if (ref === undefined || ref === null || ref === '') return -1;
+    if (Number.isInteger(ref)) return ref;
+    if (/^\d+$/.test(String(ref))) return Number(ref);
+    return (header || []).findIndex(h => h.trim().toLowerCase() === String(ref).trim().toLowerCase());
+};
+
+// Builds a profile when none was given. The header is the first of the top
+// rows naming a date and an amount column (bank exports often start with a
+// few lines of account details). Files without one are read by content:
+// the first all-date column, the first numeric column after it, and the
+// longest text column.
+const detectImportProfile = (records) => {
+    const headerIdx = records.slice(0, 15).findIndex(r =>
+        r.some(h => HEADER_PATTERNS.date.test(h.trim()))
+        && r.some(h => HEADER_PATTERNS.amount.test(h) || HEADER_PATTERNS.debit.test(h) || HEADER_PATTERNS.credit.test(h)));
+
+    if (headerIdx !== -1) {
+        const header = records[headerIdx];
+        const find = (re, taken = []) => header.findIndex((h, i) => !taken.includes(i) && re.test(h.trim()));
+        const date        = find(HEADER_PATTERNS.date);
+        const description = find(HEADER_PATTERNS.description, [date]);
+        const debit       = find(HEADER_PATTERNS.debit, [date, description]);
+        const credit      = find(HEADER_PATTERNS.credit, [date, description, debit]);
+        const balance     = find(HEADER_PATTERNS.balance, [date, description, debit, credit]);
+        const split       = debit !== -1 && credit !== -1;
+        const amount      = split ? -1 : find(HEADER_PATTERNS.amount, [date, description, balance]);
+        const reference   = find(HEADER_PATTERNS.reference, [date, description, debit, credit, amount, balance]);
+        return {
+            name:              'Detected',
+            hasHeader:         true,
+            skipRows:          headerIdx,
+            dateColumn:        date,
+            descriptionColumn: description,
+            amountColumn:      amount,
+            debitColumn:       split ? debit : -1,
+            creditColumn:      split ? credit : -1,
+            balanceColumn:     balance,
+            referenceColumn:   reference
+        };
+    }
+
+    const sample  = records.slice(0, 20);
+    const width   = Math.max(0, ...sample.map(r => r.length));
+    const columns = Array.from({ length: width }, (_, i) => sample.map(r => String(r[i] ?? '').trim()));
+    const date    = columns.findIndex(c => detectDateFormat(c));
+    const amount  = columns.findIndex((c, i) => i !== date && c.every(v => parseStatementAmount(v) !== null));
+    const lengths = columns.map((c, i) => (i === date || i === amount ? -1 : c.join('').length));
+    const description = lengths.some(l => l > 0) ? lengths.indexOf(Math.max(...lengths)) : -1;
+    return {
+        name:              'Detected',
+        hasHeader:         false,
+        skipRows:          0,
+        dateColumn:        date,
+        descriptionColumn: description,
+        amountColumn:      amount,
+        debitColumn:       -1,
+        creditColumn:      -1,
+        balanceColumn:     -1,
+        referenceColumn:   -1
+    };
+};
+
+const validateImportProfile = (input) => {
+    const errors = [];
+    const fields = {};
+    const columnRef = (v) => v === undefined || v === null || v === ''
+        || (Number.isInteger(v) && v >= 0)
+        || (typeof v === 'string' && v.trim().length > 0 && v.length <= 100);
+
+    fields.name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!fields.name || fields.name.length > 100) errors.push('name is required (max 100 characters)');
+
+    fields.delimiter = input.delimiter === undefined ? ',' : input.delimiter;
+    if (!IMPORT_DELIMITERS.includes(fields.delimiter)) errors.push('delimiter must be one of: , ; | or a tab');
+
+    fields.hasHeader = input.hasHeader === undefined ? true : input.hasHeader === true;
+    fields.skipRows  = input.skipRows === undefined ? 0 : input.skipRows;
+    if (!Number.isInteger(fields.skipRows) || fields.skipRows < 0 || fields.skipRows > 50) errors.push('skipRows must be a whole number from 0 to 50');
+
+    fields.dateFormat = input.dateFormat || 'auto';
+    if (fields.dateFormat !== 'auto' && !STATEMENT_DATE_FORMATS.includes(fields.dateFormat)) {
+        errors.push(`dateFormat must be 'auto' or one of: ${STATEMENT_DATE_FORMATS.join(', ')}`);
+    }
+
+    ['dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn', 'balanceColumn', 'referenceColumn'].forEach(k => {
+        if (!columnRef(input[k])) errors.push(`${k} must be a header name or a column index`);
+        else if (input[k] !== undefined && input[k] !== null && input[k] !== '') fields[k] = input[k];
+    });
+    if (fields.dateColumn === undefined)        errors.push('dateColumn is required');
+    if (fields.descriptionColumn === undefined) errors.push('descriptionColumn is required');
+    const hasSplit = fields.debitColumn !== undefined || fields.creditColumn !== undefined;
+    if (fields.amountColumn === undefined && !hasSplit) errors.push('Either amountColumn or debitColumn/creditColumn is required');
+    if (fields.amountColumn !== undefined && hasSplit)  errors.push('Use amountColumn or debitColumn/creditColumn, not both');
+
+    fields.invertAmount = input.invertAmount === true;
+    fields.decimalSeparator = input.decimalSeparator || '.';
+    if (!['.', ','].includes(fields.decimalSeparator)) errors.push("decimalSeparator must be '.' or ','");
+    if (fields.decimalSeparator === fields.delimiter)  errors.push('decimalSeparator and delimiter must differ');
+    return { errors, fields };
+};
+
+const getImportProfiles = (bizId) => store.getDoc('importProfiles', bizId) || [];
+
+// Which way a stored transaction moved money, from its Cash/Bank line
+const cashDirection = (tx) => {
+    const line = (tx.entries || []).find(e => e.account === 'Bank' || e.account === 'Cash');
+    if (!line) return null;
+    return line.dr > 0 ? 'in' : 'out';
+};
+
+const importFingerprint = (row) => crypto.createHash('sha256')
+    .update([row.date, row.amount, row.direction, learningTokens(row.desc).join(' '), row.reference || '', row.balance ?? ''].join('|'))
+    .digest('hex')
+    .slice(0, 32);
+
+// Finds the ledger transaction an imported row duplicates: the same import
+// fingerprint, or the same date, amount and direction with a matching
+// reference or mostly the same description words
+const findDuplicate = (row, existing) => {
+    const exact = existing.find(tx => tx.importFingerprint && tx.importFingerprint === row.importFingerprint);
+    if (exact) return { id: exact.id, match: 'exact' };
+
+    const words = new Set(learningTokens(row.desc));
+    for (const tx of existing) {
+        if (tx.date !== row.date) continue;
+        if (round2(tx.grossAmount ?? tx.amount) !== row.amount) continue;
+        const dir = cashDirection(tx);
+        if (dir && dir !== row.direction) continue;
+        if (row.reference && tx.reference && String(tx.reference) === row.reference) return { id: tx.id, match: 'reference' };
+
+        const other  = learningTokens(tx.desc);
+        const shared = other.filter(t => words.has(t)).length;
+        const union  = new Set([...other, ...words]).size;
+        if (!union || shared / union >= 0.5) return { id: tx.id, match: 'probable' };
+    }
+    return null;
+};
+
+// Maps parsed CSV rows through a profile. Returns { rows, skipped, profile }
+// where skipped lists row numbers (1-based, as in the file) that had no
+// usable date or amount.
+const mapStatementRows = (records, profile) => {
+    let body   = records.slice(profile.skipRows || 0);
+    let header = null;
+    if (profile.hasHeader !== false) {
+        header = body[0] || [];
+        body   = body.slice(1);
+    }
+    const firstRow = (profile.skipRows || 0) + (header ? 2 : 1);
+
+    const col = {};
+    ['date', 'description', 'amount', 'debit', 'credit', 'balance', 'reference'].forEach(k => {
+        col[k] = resolveColumn(profile[`${k}Column`], header);
+    });
+    const cell = (r, k) => (col[k] >= 0 ? String(r[col[k]] ?? '').trim() : '');
+
+    const dateFormat = profile.dateFormat && profile.dateFormat !== 'auto'
+        ? profile.dateFormat
+        : detectDateFormat(body.slice(0, 20).map(r => cell(r, 'date')));
+
+    const amountOf = (r, k) => parseStatementAmount(cell(r, k), profile.decimalSeparator);
+
+    const rows    = [];
+    const skipped = [];
+    body.forEach((r, i) => {
+        const date = dateFormat ? parseStatementDate(cell(r, 'date'), dateFormat) : null;
+
+        let signed = null;
+        if (col.amount >= 0) {
+            signed = amountOf(r, 'amount');
+            if (signed !== null && profile.invertAmount) signed = -signed;
+        } else {
+            const debit  = amountOf(r, 'debit');
+            const credit = amountOf(r, 'credit');
+            if (credit) signed = Math.abs(credit);
+            else if (debit) signed = -Math.abs(debit);
+        }
+
+        if (!date || !signed) {
+            skipped.push(firstRow + i);
+            return;
+        }
+
+        const balance = amountOf(r, 'balance');
+        rows.push({
+            date,
+            desc:      (cell(r, 'description') || 'Unknown').replace(/\s+/g, ' ').slice(0, 100),
+            amount:    round2(Math.abs(signed)),
+            direction: signed < 0 ? 'out' : 'in',
+            balance:   balance === null ? undefined : balance,
+            reference: cell(r, 'reference') || undefined
+        });
+    });
+
+    return { rows, skipped, profile: { ...profile, dateFormat: dateFormat || profile.dateFormat } };
+};
+
+// Picks the best category whose account type moves money the row's way
+const categorizeStatementRow = (row, customRules, model) => {
+    const { suggestions } = classifyCategory(row.desc, customRules, model);
+    const fit = suggestions.find(s => DIRECTION_OF_TYPE[s.accountType] === row.direction && s.source !== 'fallback');
+    if (fit) return { category: fit.category, accountType: fit.accountType, confidence: fit.confidence };
+    return { ...DIRECTION_DEFAULTS[row.direction], confidence: RULE_CONFIDENCE.fallback };
+};
+
+// ─────────────────────────────────────────────
+// STATEMENT FORMATS
+// OFX/QFX, MT940 and Tally XML day-book parsers. OFX and MT940 produce the
+// same { date, desc, amount, direction, balance, reference } rows as the CSV
+// mapper; Tally vouchers already carry their ledger lines, so they become
+// drafts directly. Each parser also returns the statement's opening and
+// closing balances ({ amount, date }) when the format carries them.
+// ─────────────────────────────────────────────
+const decodeXmlEntities = (s) => String(s || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+// Value of <TAG>value in OFX 1.x SGML (no closing tags) and OFX 2.x XML alike
+const ofxValue = (block, tag) => {
+    const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return m ? decodeXmlEntities(m[1]).trim() : '';
+};
+
+// OFX dates are YYYYMMDD[HHMMSS[.XXX]][[TZ]]
+const ofxDate = (v) => {
+    const m = String(v || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return m ? isoFromParts(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+};
+
+const parseOFX = (content) => {
+    const rows    = [];
+    const skipped = [];
+    const blocks  = content.split(/<STMTTRN>/i).slice(1);
+    blocks.forEach((raw, i) => {
+        const block  = raw.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+        const date   = ofxDate(ofxValue(block, 'DTPOSTED'));
+        const signed = parseStatementAmount(ofxValue(block, 'TRNAMT'));
+        if (!date || !signed) {
+            skipped.push(i + 1);
+            return;
+        }
+        const desc = [ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' ') || ofxValue(block, 'TRNTYPE') || 'Unknown';
+        rows.push({
+            date,
+            desc:      desc.replace(/\s+/g, ' ').slice(0, 100),
+            amount:    round2(Math.abs(signed)),
+            direction: signed < 0 ? 'out' : 'in',
+            reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM') || ofxValue(block, 'FITID') || undefined
+        });
+    });
+
+    // OFX only reports the ledger balance at the end of the statement
+    const ledger = (content.match(/<LEDGERBAL>([\s\S]*?)(?:<\/LEDGERBAL>|<AVAILBAL>|$)/i) || [])[1] || '';
+    const closingAmount = parseStatementAmount(ofxValue(ledger, 'BALAMT'));
+    const closingBalance = closingAmount === null ? null : { amount: closingAmount, date: ofxDate(ofxValue(ledger, 'DTASOF')) };
+
+    return { rows, skipped, openingBalance: null, closingBalance };
+};
+
+// MT940 balance fields (:60F:, :62F:): D/C mark, YYMMDD, currency, amount with decimal comma
+const mt940Balance = (value) => {
+    const m = String(value || '').match(/^([CD])(\d{2})(\d{2})(\d{2})([A-Z]{3})([\d,]+)/);
+    if (!m) return null;
+    const amount = parseStatementAmount(m[6], ',');
+    return {
+        amount:   m[1] === 'D' ? -amount : amount,
+        date:     isoFromParts(2000 + Number(m[2]), Number(m[3]), Number(m[4])),
+        currency: m[5]
+    };
+};
+
+const parseMT940 = (content) => {
+    // Split into :tag:value fields; values may run over several lines
+    const fields = [];
+    content.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const m = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (m) fields.push({ tag: m[1], value: m[2] });
+        else if (fields.length && line.trim() && !/^-\}?$/.test(line.trim())) fields[fields.length - 1].value += '\n' + line;
+    });
+
+    const rows    = [];
+    const skipped = [];
+    let openingBalance = null;
+    let closingBalance = null;
+    let current = null;
+
+    fields.forEach(f => {
+        if (f.tag === '60F' || f.tag === '60M') {
+            if (!openingBalance) openingBalance = mt940Balance(f.value);
+        } else if (f.tag === '62F' || f.tag === '62M') {
+            closingBalance = mt940Balance(f.value);
+        } else if (f.tag === '61') {
+            // YYMMDD [MMDD] (R)C|D [funds code] amount type+code reference [//bank reference]
+            const [first, ...rest] = f.value.split('\n');
+            const m = first.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([A-Z][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+            if (!m) {
+                skipped.push(rows.length + skipped.length + 1);
+                current = null;
+                return;
+            }
+            // RC (reversal of credit) takes money out, RD puts it back
+            const out = m[5] === 'D' || m[5] === 'RC';
+            current = {
+                date:      isoFromParts(2000 + Number(m[1]), Number(m[2]), Number(m[3])),
+                desc:      rest.join(' ').trim(),
+                amount:    round2(parseStatementAmount(m[7], ',')),
+                direction: out ? 'out' : 'in',
+                reference: (m[9].trim() !== 'NONREF' && m[9].trim()) || (m[10] || '').trim() || undefined
+            };
+            rows.push(current);
+        } else if (f.tag === '86' && current) {
+            // Structured ?20-?29 subfields hold the remittance text
+            const info = f.value.replace(/\n/g, '');
+            const text = info.includes('?')
+                ? info.split('?').slice(1).filter(p => /^2\d|^3[23]/.test(p)).map(p => p.slice(2)).join(' ')
+                : info;
+            current.desc = (text || current.desc).trim();
+            current = null;
+        }
+    });
+
+    rows.forEach(r => { r.desc = (r.desc || 'Unknown').replace(/\s+/g, ' ').slice(0, 100); });
+    return {
+        rows: rows.filter(r => r.date && r.amount),
+        skipped,
+        openingBalance: openingBalance && { amount: openingBalance.amount, date: openingBalance.date },
+        closingBalance: closingBalance && { amount: closingBalance.amount, date: closingBalance.date }
+    };
+};
+
+const xmlValue = (block, tag) => {
+    const m = block.match(new RegExp(`<${tag.replace('.', '\\.')}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag.replace('.', '\\.')}>`, 'i'));
+    return m ? decodeXmlEntities(m[1]).trim() : '';
+};
+
+const TALLY_CASH_LEDGER = /\bcash\b/i;
+const TALLY_BANK_LEDGER = /\bbank\b|\bhdfc\b|\bicici\b|\bsbi\b|\baxis\b|\bkotak\b|\bcurrent a\/?c\b|\bsavings a\/?c\b|\bod a\/?c\b/i;
+const TALLY_TAX_LEDGER  = /\b(cgst|sgst|utgst|igst)\b/i;
+
+// Turns a Tally day-book voucher into a draft transaction. Cash and bank
+// ledgers map to Cash/Bank, GST ledgers to the Input/Output tax accounts
+// (by side), and ledgers named like a chart account keep that name. Of the
+// rest, the largest line opposite the money side is categorized from its
+// ledger name and the narration; party ledgers on a credit voucher (no cash
+// or bank line) become Receivables or Vendor Payables.
+const tallyVoucherToDraft = (voucher, chart, customRules, model) => {
+    const date = ofxDate(xmlValue(voucher, 'DATE'));
+    const type = (voucher.match(/VCHTYPE="([^"]*)"/i) || [])[1] || xmlValue(voucher, 'VOUCHERTYPENAME');
+    const narration = xmlValue(voucher, 'NARRATION');
+    const number    = xmlValue(voucher, 'VOUCHERNUMBER');
+
+    const lines = [];
+    const lineRe = /<(ALLLEDGERENTRIES\.LIST|LEDGERENTRIES\.LIST)>([\s\S]*?)<\/\1>/gi;
+    let m;
+    while ((m = lineRe.exec(voucher))) {
+        const ledger = xmlValue(m[2], 'LEDGERNAME');
+        const amount = parseStatementAmount(xmlValue(m[2], 'AMOUNT'));
+        // Tally stores debits as negative amounts
+        if (ledger && amount) lines.push({ ledger, dr: amount < 0 ? -amount : 0, cr: amount > 0 ? amount : 0 });
+    }
+    if (!date || !lines.length) return null;
+
+    const cashLine = lines.find(l => TALLY_CASH_LEDGER.test(l.ledger) || TALLY_BANK_LEDGER.test(l.ledger));
+    const taxLines = lines.filter(l => l !== cashLine && TALLY_TAX_LEDGER.test(l.ledger));
+    const others   = lines.filter(l => l !== cashLine && !taxLines.includes(l));
+    const largest  = (list) => list.reduce((a, b) => (b.dr + b.cr > a.dr + a.cr ? b : a), list[0]);
+
+    let direction;
+    if (cashLine)                                       direction = cashLine.dr > 0 ? 'in' : 'out';
+    else if (/sales|receipt|credit note/i.test(type))   direction = 'in';
+    else if (/purchase|payment|debit note/i.test(type)) direction = 'out';
+    else                                                direction = (largest(others) || lines[0]).dr > 0 ? 'out' : 'in';
+
+    // Money coming in is credited to the income side, money going out debited
+    const counterSide = others.filter(l => (direction === 'in' ? l.cr > 0 : l.dr > 0));
+    const main = largest(counterSide) || largest(others) || lines[0];
+    const partyAccount = direction === 'in' ? 'Receivables' : 'Vendor Payables';
+
+    // Tally ledger names are matched to chart accounts ignoring case
+    const chartLedger = (name) => chart.find(a => !a.isGroup && a.name.toLowerCase() === name.toLowerCase());
+
+    const party = xmlValue(voucher, 'PARTYLEDGERNAME');
+    const desc  = (narration || [type, party || main.ledger].filter(Boolean).join(' - ') || 'Unknown').replace(/\s+/g, ' ').slice(0, 100);
+    const known = chartLedger(main.ledger);
+    const pick  = known && DIRECTION_OF_TYPE[known.type] === direction
+        ? { category: known.name, accountType: known.type, confidence: 1 }
+        : categorizeStatementRow({ desc: `${main.ledger} ${narration}`, direction }, customRules, model);
+
+    const mapLedger = (l) => {
+        if (l === cashLine) return TALLY_CASH_LEDGER.test(l.ledger) ? 'Cash' : 'Bank';
+        if (taxLines.includes(l)) {
+            const tax = l.ledger.match(TALLY_TAX_LEDGER)[1].toUpperCase().replace('UTGST', 'SGST');
+            return `${l.dr > 0 ? 'Input' : 'Output'} ${tax}`;
+        }
+        const account = chartLedger(l.ledger);
+        if (account) return account.name;
+        return counterSide.includes(l) ? pick.category : partyAccount;
+    };
+
+    const entries     = lines.map(l => ({ account: mapLedger(l), dr: round2(l.dr), cr: round2(l.cr) }));
+    const grossAmount = round2(cashLine ? cashLine.dr + cashLine.cr : lines.reduce((s, l) => s + l.dr, 0));
+    const gstAmount   = round2(taxLines.reduce((s, l) => s + l.dr + l.cr, 0));
+    const netAmount   = round2(grossAmount - gstAmount);
+    const gstRate     = netAmount > 0 ? Math.round(gstAmount / netAmount * 100) : 0;
+
+    return {
+        date,
+        desc,
+        amount:      grossAmount,
+        direction,
+        reference:   number || undefined,
+        accountType: pick.accountType,
+        category:    pick.category,
+        categoryConfidence: pick.confidence,
+        mode:        cashLine && TALLY_CASH_LEDGER.test(cashLine.ledger) ? 'Cash' : 'Bank',
+        netAmount,
+        gstAmount,
+        grossAmount,
+        gstRate:     GST_RATES.includes(gstRate) ? gstRate : 0,
+        entries,
+        voucherType: type || undefined
+    };
+};
+
+const parseTallyXML = (content, chart, customRules, model) => {
+    const drafts  = [];
+    const skipped = [];
+    const vouchers = content.match(/<VOUCHER[\s>][\s\S]*?<\/VOUCHER>/gi) || [];
+    vouchers.forEach((v, i) => {
+        const draft = tallyVoucherToDraft(v, chart, customRules, model);
+        if (draft) drafts.push(draft);
+        else skipped.push(i + 1);
+    });
+    return { drafts, skipped, openingBalance: null, closingBalance: null };
+};
+
+// Picks a parser from the file name, falling back to sniffing the content
+const detectStatementFormat = (filename, content) => {
+    const head = content.slice(0, 4000);
+    if (/\.(ofx|qfx)$/.test(filename) || /<OFX>|OFXHEADER/i.test(head))           return 'ofx';
+    if (/\.(sta|mt940|940)$/.test(filename) || (/^:20:/m.test(head) && /^:61:|^:60F:/m.test(head))) return 'mt940';
+    if (/<ENVELOPE>/i.test(head) && /<VOUCHER[\s>]/i.test(content))               return 'tally';
+    if (/\.(csv|tsv)$/.test(filename))                                            return 'csv';
+    if (/\.txt$/.test(filename) && !/^%PDF/.test(head))                           return 'csv';
+    return null;
+};
+
+// Reads an uploaded statement file. CSV files go through `profile` (or a
+// detected one); OFX and MT940 through their parsers. Tally files are only
+// recognised here, since they become drafts rather than statement rows.
+// Returns { format, rows, skipped, openingBalance, closingBalance, profile },
+// { format: 'tally', content }, or { error } with a message for a 422.
+const readStatementFile = (file, profile = null) => {
+    const content  = file.buffer.toString('utf8');
+    const filename = file.originalname.toLowerCase();
+    const format   = profile ? 'csv' : detectStatementFormat(filename, content);
+
+    if (!format) {
+        // PDF or unsupported — return guidance message
+        return { error: 'Unsupported file. Upload a CSV, OFX/QFX, MT940 or Tally XML statement (PDF parsing requires a PDF extraction library).' };
+    }
+    if (format === 'tally') return { format, content };
+    if (format === 'ofx')   return { format, ...parseOFX(content) };
+    if (format === 'mt940') return { format, ...parseMT940(content) };
+
+    const delimiter = profile ? profile.delimiter : (filename.endsWith('.tsv') ? '\t' : detectDelimiter(content));
+    const records   = parseCSV(content, delimiter);
+    if (!profile) profile = detectImportProfile(records);
+    if (profile.dateColumn === -1 || profile.descriptionColumn === -1
+        || (profile.amountColumn === -1 && profile.debitColumn === -1 && profile.creditColumn === -1)) {
+        return { error: 'Could not find date, description and amount columns. Save an import profile for this bank.' };
+    }
+    return { format, ...mapStatementRows(records, profile), openingBalance: null, closingBalance: null };
+};
+
+// ─────────────────────────────────────────────
+// BANK RECONCILIATION
+// An imported statement is stored in the business's 'reconciliations'
+// document with one entry per statement line. Lines are auto-matched to
+// posted transactions that move the same amount through the Bank account
+// within a date window; matches start as 'suggested' until confirmed.
+// A line can also be matched by hand to several transactions, or split into
+// parts that are matched one by one.
+//   line: { id, date, desc, amount (+in / -out), reference, balance,
+//           status: 'unmatched' | 'suggested' | 'matched', transactionIds,
+//           score, splitFrom }
+// ─────────────────────────────────────────────
+const RECONCILE_DATE_WINDOW = 5;      // days either side of the statement date
+const RECONCILE_MIN_SCORE   = 0.6;
+
+const getReconciliations = (bizId) => store.getDoc('reconciliations', bizId) || [];
+
+// Signed movement through the Bank account: + money in, - money out
+const bankMovement = (tx) => round2((tx.entries || [])
+    .filter(e => e.account === 'Bank')
+    .reduce((s, e) => s + (Number(e.dr) || 0) - (Number(e.cr) || 0), 0));
+
+const daysBetween = (a, b) => Math.round(Math.abs(Date.parse(a + 'T00:00:00Z') - Date.parse(b + 'T00:00:00Z')) / 86400000);
+
+// Ids of transactions already matched on any statement line of the business
+const reconciledTransactionIds = (reconciliations, except = null) => {
+    const ids = new Set();
+    reconciliations.forEach(rec => rec.lines.forEach(l => {
+        if (l === except || l.status === 'unmatched') return;
+        (l.transactionIds || []).forEach(id => ids.add(String(id)));
+    }));
+    return ids;
+};
+
+// 0-1 score for a statement line against a transaction with the same amount:
+// mostly the amount, then date closeness, description words and reference
+const reconcileScore = (line, tx, window) => {
+    const words  = learningTokens(line.desc);
+    const other  = new Set(learningTokens(tx.desc));
+    const shared = words.filter(t => other.has(t)).length;
+    const union  = new Set([...words, ...other]).size;
+    const refHit = line.reference && tx.reference && String(line.reference) === String(tx.reference);
+    return round2(0.6
+        + 0.2 * (1 - daysBetween(line.date, tx.date) / (window + 1))
+        + 0.15 * (union ? shared / union : 0)
+        + (refHit ? 0.05 : 0));
+};
+
+// Suggests a transaction for every unmatched line, best scores first, each
+// transaction used once. Mutates the lines of `rec`.
+const autoMatchLines = (rec, transactions, reconciliations, window = RECONCILE_DATE_WINDOW) => {
+    const taken = reconciledTransactionIds(reconciliations);
+    const bankTxs = transactions.filter(tx => isPosted(tx) && isValidDate(tx.date) && bankMovement(tx) !== 0 && !taken.has(String(tx.id)));
+
+    const pairs = [];
+    rec.lines.filter(l => l.status === 'unmatched').forEach(line => {
+        bankTxs.forEach(tx => {
+            if (bankMovement(tx) !== line.amount) return;
+            if (daysBetween(line.date, tx.date) > window) return;
+            const score = reconcileScore(line, tx, window);
+            if (score >= RECONCILE_MIN_SCORE) pairs.push({ line, tx, score });
+        });
+    });
+
+    const usedLines = new Set();
+    const usedTxs   = new Set();
+    pairs.sort((a, b) => b.score - a.score).forEach(({ line, tx, score }) => {
+        if (usedLines.has(line.id) || usedTxs.has(String(tx.id))) return;
+        usedLines.add(line.id);
+        usedTxs.add(String(tx.id));
+        Object.assign(line, { status: 'suggested', transactionIds: [tx.id], score });
+    });
+    return usedLines.size;
+};
+
+// Book balance of the Bank account at the end of `asOf`
+const bookBankBalance = (transactions, asOf) => round2(transactions
+    .filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date <= asOf)
+    .reduce((s, tx) => s + bankMovement(tx), 0));
+
+// Bank reconciliation statement:
+//   book balance + statement lines not in the books - book entries not yet
+//   on the statement = bank balance
+// `difference` is what is still unexplained.
+const buildReconciliationReport = (rec, transactions, reconciliations) => {
+    const byId   = new Map(transactions.map(tx => [String(tx.id), tx]));
+    const window = rec.dateWindow || RECONCILE_DATE_WINDOW;
+
+    // Matches to transactions deleted since count as unmatched
+    const lineIsMatched = (l) => l.status === 'matched' && (l.transactionIds || []).every(id => byId.has(String(id)));
+    const unmatchedLines = rec.lines.filter(l => !lineIsMatched(l));
+
+    const matchedIds = reconciledTransactionIds(reconciliations.filter(r => r.id !== rec.id));
+    rec.lines.filter(lineIsMatched).forEach(l => l.transactionIds.forEach(id => matchedIds.add(String(id))));
+    const windowStart = shiftDays(rec.from, -window);
+    const uncleared = transactions
+        .filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date >= windowStart && tx.date <= rec.to)
+        .filter(tx => bankMovement(tx) !== 0 && !matchedIds.has(String(tx.id)))
+        .map(tx => ({ id: tx.id, date: tx.date, desc: tx.desc, amount: bankMovement(tx) }));
+
+    const lineSum = round2(rec.lines.reduce((s, l) => s + l.amount, 0));
+    let bankBalance = null;
+    if (rec.closingBalance !== null && rec.closingBalance !== undefined) bankBalance = rec.closingBalance;
+    else if (rec.openingBalance !== null && rec.openingBalance !== undefined) bankBalance = round2(rec.openingBalance + lineSum);
+    else {
+        const last = [...rec.lines].reverse().find(l => typeof l.balance === 'number');
+        if (last) bankBalance = last.balance;
+    }
+
+    const bookBalance          = bookBankBalance(transactions, rec.to);
+    const unmatchedStatement   = round2(unmatchedLines.reduce((s, l) => s + l.amount, 0));
+    const unclearedBook        = round2(uncleared.reduce((s, t) => s + t.amount, 0));
+    const adjustedBookBalance  = round2(bookBalance + unmatchedStatement - unclearedBook);
+
+    return {
+        asOf:            rec.to,
+        bookBalance,
+        bankBalance,
+        unmatchedStatementTotal: unmatchedStatement,
+        unclearedBookTotal:      unclearedBook,
+        adjustedBookBalance,
+        difference:      bankBalance === null ? null : round2(bankBalance - adjustedBookBalance),
+        counts: {
+            lines:     rec.lines.length,
+            matched:   rec.lines.filter(lineIsMatched).length,
+            suggested: rec.lines.filter(l => l.status === 'suggested').length,
+            unmatched: rec.lines.filter(l => l.status === 'unmatched').length
+        },
+        unclearedTransactions: uncleared,
+        reconciled: bankBalance !== null && round2(bankBalance - adjustedBookBalance) === 0 && unmatchedLines.length === 0
+    };
+};
+
+// Loads the reconciliation (and optionally one of its lines) named in the URL
+const loadReconciliation = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+
+    const reconciliations = getReconciliations(ctx.business.id);
+    const rec = reconciliations.find(r => r.id === req.params.recId);
+    if (!rec) {
+        res.status(404).json({ error: 'Reconciliation not found' });
+        return null;
+    }
+    let line = null;
+    if (req.params.lineId) {
+        line = rec.lines.find(l => l.id === req.params.lineId);
+        if (!line) {
+            res.status(404).json({ error: 'Statement line not found' });
+            return null;
+        }
+    }
+    return { ...ctx, reconciliations, rec, line };
+};
+
+// Saves the reconciliation and responds with it and a fresh report
+const sendReconciliation = (res, ctx, extra = {}) => {
+    store.setDoc('reconciliations', ctx.business.id, ctx.reconciliations);
+    const transactions = store.getTransactions(ctx.business.id);
+    res.json({ success: true, ...extra, reconciliation: ctx.rec, report: buildReconciliationReport(ctx.rec, transactions, ctx.reconciliations) });
+};
+
+// Reconciliation as listed, without its lines
+const reconciliationSummary = (rec) => {
+    const { lines, ...summary } = rec;
+    return { ...summary, lineCount: lines.length, matched: lines.filter(l => l.status === 'matched').length };
+};
+
+// ─────────────────────────────────────────────
+// PARTIES
+// Customers and vendors live in the business's 'parties' document. A
+// transaction belongs to a party through `tx.partyId`; what the party owes
+// (or is owed) is the movement of that transaction on the party's control
+// account — Receivables for customers, Vendor Payables for vendors.
+// Sales and purchases in mode 'Credit' raise open items; settlements knock
+// them off, first through their explicit `allocations`
+// ([{ transactionId, amount }]) and then oldest first.
+// ─────────────────────────────────────────────
+const PARTY_TYPES = ['customer', 'vendor'];
+const PARTY_CONTROL_ACCOUNTS = { customer: 'Receivables', vendor: 'Vendor Payables' };
+
+// Ageing by days since the invoice or bill date
+const AGEING_BUCKETS = [
+    { key: '0-30',  min: 0,  max: 30 },
+    { key: '31-60', min: 31, max: 60 },
+    { key: '61-90', min: 61, max: 90 },
+    { key: '90+',   min: 91, max: Infinity }
+];
+
+const getParties = (bizId) => store.getDoc('parties', bizId) || [];
+
+// Same contract as validateBusiness: `partial` only checks the fields given
+const validateParty = (input, partial = false) => {
+    const errors = [];
+    const fields = {};
+    const has = (k) => input[k] !== undefined;
+
+    if (has('name') || !partial) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (name.length < 2 || name.length > 100) errors.push('Party name must be 2-100 characters');
+        else fields.name = name;
+    }
+    if (has('type') || !partial) {
+        if (!PARTY_TYPES.includes(input.type)) errors.push(`type must be one of: ${PARTY_TYPES.join(', ')}`);
+        else fields.type = input.type;
+    }
+    if (has('gstin')) {
+        const gstin = String(input.gstin || '').trim().toUpperCase();
+        const gstError = gstin ? validateGSTIN(gstin) : null;
+        if (gstError) errors.push(gstError);
+        else fields.gstin = gstin;
+    }
+    if (has('pan')) {
+        const pan = String(input.pan || '').trim().toUpperCase();
+        if (pan && !PAN_PATTERN.test(pan)) errors.push('PAN must be 10 characters in the format AAAAA0000A');
+        else fields.pan = pan;
+    }
+    if (has('state')) {
+        const state = input.state ? normalizeStateCode(input.state) : '';
+        if (state === null) errors.push('state must be a GST state code or state name');
+        else fields.state = state;
+    }
+    if (has('email')) {
+        const email = String(input.email || '').trim().toLowerCase();
+        if (email && !isValidEmail(email)) errors.push('email is not valid');
+        else fields.email = email;
+    }
+    if (has('address')) {
+        const address = typeof input.address === 'string' ? input.address.trim() : '';
+        if (address.length > 300) errors.push('address must be at most 300 characters');
+        else fields.address = address;
+    }
+    if (has('phone')) {
+        const phone = String(input.phone || '').trim();
+        if (phone && !/^\+?[\d\s-]{7,20}$/.test(phone)) errors.push('phone must be 7-20 digits');
+        else fields.phone = phone;
+    }
+    if (has('creditDays')) {
+        if (!Number.isInteger(input.creditDays) || input.creditDays < 0 || input.creditDays > 365) {
+            errors.push('creditDays must be a whole number from 0 to 365');
+        } else fields.creditDays = input.creditDays;
+    }
+    // A GSTIN fixes the state, and carries the PAN
+    if (fields.gstin && !has('state')) fields.state = stateCodeFromGSTIN(fields.gstin);
+    if (fields.gstin && !has('pan'))   fields.pan   = fields.gstin.slice(2, 12);
+    return { errors, fields };
+};
+
+// The party whose name appears in free text, longest name first
+const findPartyInText = (parties, text) => {
+    const lower = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9&]+/g, ' ')} `;
+    return [...parties]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(p => {
+            const name = p.name.toLowerCase().replace(/[^a-z0-9&]+/g, ' ').trim();
+            return name && lower.includes(` ${name} `);
+        }) || null;
+};
+
+// What a transaction adds to the party's balance: + raises what they owe us
+// (customer) or we owe them (vendor), - settles it
+const controlMovement = (tx, partyType) => {
+    const account = PARTY_CONTROL_ACCOUNTS[partyType];
+    const net = (tx.entries || [])
+        .filter(e => e.account === account)
+        .reduce((s, e) => s + (Number(e.dr) || 0) - (Number(e.cr) || 0), 0);
+    return round2(partyType === 'customer' ? net : -net);
+};
+
+// Open items of a party as of `asOf`. Returns { items, unapplied, balance }:
+// items are the invoices/bills with something still open, unapplied is
+// settlement money not yet set against any of them.
+const partyOpenItems = (party, transactions, asOf = null) => {
+    const txs = transactions
+        .filter(tx => isPosted(tx) && isValidDate(tx.date) && String(tx.partyId) === String(party.id))
+        .filter(tx => !asOf || tx.date <= asOf)
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+    const items = [];
+    const settlements = [];
+    for (const tx of txs) {
+        const amount = controlMovement(tx, party.type);
+        if (amount > 0) {
+            items.push({
+                transactionId: tx.id,
+                date:          tx.date,
+                dueDate:       shiftDays(tx.date, party.creditDays || 0),
+                desc:          tx.desc,
+                amount,
+                open:          amount
+            });
+        } else if (amount < 0) settlements.push({ tx, remaining: -amount });
+    }
+
+    const byId = new Map(items.map(i => [String(i.transactionId), i]));
+    for (const s of settlements) {
+        for (const a of s.tx.allocations || []) {
+            const item = byId.get(String(a.transactionId));
+            if (!item) continue;
+            const applied = round2(Math.min(item.open, s.remaining, Number(a.amount) || 0));
+            item.open   = round2(item.open - applied);
+            s.remaining = round2(s.remaining - applied);
+        }
+    }
+    for (const s of settlements) {
+        for (const item of items) {
+            if (s.remaining <= 0) break;
+            const applied = round2(Math.min(item.open, s.remaining));
+            item.open   = round2(item.open - applied);
+            s.remaining = round2(s.remaining - applied);
+        }
+    }
+
+    const open      = items.filter(i => i.open > 0);
+    const unapplied = round2(settlements.reduce((s, x) => s + x.remaining, 0));
+    return { items: open, unapplied, balance: round2(open.reduce((s, i) => s + i.open, 0) - unapplied) };
+};
+
+// The posted transaction for money received from or paid to a party
+const settlementTransaction = (business, party, { amount, date, mode, desc, reference, allocations = [] }) => {
+    const now = new Date().toISOString();
+    const account = PARTY_CONTROL_ACCOUNTS[party.type];
+    return {
+        desc:           (typeof desc === 'string' && desc.trim().slice(0, 200))
+            || `${party.type === 'customer' ? 'Received from' : 'Paid to'} ${party.name}`,
+        date,
+        accountType:    SYSTEM_ACCOUNTS[account],
+        category:       account,
+        mode,
+        netAmount:      amount,
+        gstAmount:      0,
+        grossAmount:    amount,
+        gstRate:        0,
+        isInclusiveGST: false,
+        status:         'confirmed',
+        kind:           'settlement',
+        partyId:        party.id,
+        reference:      typeof reference === 'string' ? reference.trim().slice(0, 100) : '',
+        allocations,
+        entries:        generateSettlementEntries(amount, mode, party.type),
+        id:             newId(),
+        businessId:     business.id,
+        revision:       1,
+        seq:            nextSyncSeq(),
+        createdAt:      now,
+        updatedAt:      now
+    };
+};
+
+// Ageing of every party of `type` at `asOf`. Control account movements of
+// transactions without a party are reported as `unassigned`.
+const buildAgeingReport = (parties, transactions, type, asOf) => {
+    const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(b => [b.key, 0]));
+    const totals = { ...emptyBuckets(), overdue: 0, unapplied: 0, balance: 0 };
+    const rows = [];
+
+    for (const party of parties.filter(p => p.type === type)) {
+        const { items, unapplied, balance } = partyOpenItems(party, transactions, asOf);
+        if (!items.length && !unapplied) continue;
+
+        const buckets = emptyBuckets();
+        let overdue = 0;
+        for (const item of items) {
+            const age = daysBetween(item.date, asOf);
+            const bucket = AGEING_BUCKETS.find(b => age >= b.min && age <= b.max);
+            buckets[bucket.key] = round2(buckets[bucket.key] + item.open);
+            if (item.dueDate < asOf) overdue = round2(overdue + item.open);
+        }
+        rows.push({ partyId: party.id, name: party.name, creditDays: party.creditDays || 0, buckets, overdue, unapplied, balance });
+
+        AGEING_BUCKETS.forEach(b => { totals[b.key] = round2(totals[b.key] + buckets[b.key]); });
+        totals.overdue   = round2(totals.overdue + overdue);
+        totals.unapplied = round2(totals.unapplied + unapplied);
+        totals.balance   = round2(totals.balance + balance);
+    }
+
+    const partyIds = new Set(parties.map(p => String(p.id)));
+    const unassigned = round2(transactions
+        .filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date <= asOf && !partyIds.has(String(tx.partyId)))
+        .reduce((s, tx) => s + controlMovement(tx, type), 0));
+
+    return {
+        type,
+        account: PARTY_CONTROL_ACCOUNTS[type],
+        asOf,
+        buckets: AGEING_BUCKETS.map(b => b.key),
+        parties: rows.sort((a, b) => b.balance - a.balance),
+        totals,
+        unassigned
+    };
+};
+
+// Loads the party named in the URL
+const loadParty = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+
+    const parties = getParties(ctx.business.id);
+    const party = parties.find(p => p.id === req.params.partyId);
+    if (!party) {
+        res.status(404).json({ error: 'Party not found' });
+        return null;
+    }
+    return { ...ctx, parties, party };
+};
+
+// ─────────────────────────────────────────────
+// FINANCIAL REPORTS
+// Aggregates the balanced `entries` stored on each transaction into
+// trial balance, P&L, balance sheet and per-account ledgers
+// ─────────────────────────────────────────────
+const ACCOUNT_TYPES = ['Asset', 'Liability', 'Equity', 'Income', 'Expense'];
+
+// Accounts generateJournalEntries and the fixed asset register post to that
+// are not a transaction category
+const SYSTEM_ACCOUNTS = {
+    'Cash':                     'Asset',
+    'Bank':                     'Asset',
+    'Input Tax Credit':         'Asset',
+    'Input CGST':               'Asset',
+    'Input SGST':               'Asset',
+    'Input IGST':               'Asset',
+    'Receivables':              'Asset',
+    'GST Payable':              'Liability',
+    'Vendor Payables':          'Liability',
+    'TDS Payable':              'Liability',
+    'Output CGST':              'Liability',
+    'Output SGST':              'Liability',
+    'Output IGST':              'Liability',
+    'Retained Earnings':        'Equity',
+    'Accumulated Depreciation': 'Asset',
+    'Depreciation':             'Expense',
+    'Gain on Sale of Assets':   'Income',
+    'Loss on Sale of Assets':   'Expense'
+};
+
+// Asset and Expense accounts carry debit balances; the rest carry credit balances
+const isDebitNature = (type) => type === 'Asset' || type === 'Expense';
+const isProfitAndLoss = (type) => type === 'Income' || type === 'Expense';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const isValidDate = (s) => typeof s === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(s)
+    && !isNaN(new Date(s + 'T00:00:00Z').getTime())
+    && new Date(s + 'T00:00:00Z').toISOString().slice(0, 10) === s;
+
+const todayISO = () => new Date().toISOString().split('T')[0];
+
+// Drafts are unconfirmed smart-entry output and never hit the books
+const isPosted = (tx) => tx && tx.status !== 'draft' && Array.isArray(tx.entries);
+
+// Financial year containing `date`, given the business's start month ('04' = April)
+const getFinancialYear = (date, financialYearStart) => {
+    const startMonth = parseInt(financialYearStart, 10) || 4;
+    const [y, m] = date.split('-').map(Number);
+    const startYear = m >= startMonth ? y : y - 1;
+    const start = `${startYear}-${String(startMonth).padStart(2, '0')}-01`;
+    const endDate = new Date(Date.UTC(startYear + 1, startMonth - 1, 0));
+    return { start, end: endDate.toISOString().split('T')[0] };
+};
+
+const previousDay = (date) => {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().split('T')[0];
+};
+
+// Validates ?from=&to= and defaults to the current financial year
+const resolveReportPeriod = (query, business) => {
+    const fy = getFinancialYear(todayISO(), business.financialYearStart);
+    const from = query.from || fy.start;
+    const to   = query.to   || fy.end;
+    if (!isValidDate(from) || !isValidDate(to)) return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    if (from > to) return { error: 'from must be on or before to' };
+    return { from, to };
+};
+
+// Maps every account name seen in the books to its account type. Takes
+// transactions or store.getCategoryTypes() pairs.
+const buildAccountTypeMap = (transactions) => {
+    const types = { ...SYSTEM_ACCOUNTS };
+    for (const tx of transactions) {
+        if (tx.category && ACCOUNT_TYPES.includes(tx.accountType) && !types[tx.category]) {
+            types[tx.category] = tx.accountType;
+        }
+    }
+    return types;
+};
+
+// Flattens posted transactions into dated journal lines, sorted by date
+const getJournalLines = (transactions) => {
+    const lines = [];
+    for (const tx of transactions) {
+        if (!isPosted(tx) || !isValidDate(tx.date)) continue;
+        for (const e of tx.entries) {
+            lines.push({
+                date:          tx.date,
+                transactionId: tx.id,
+                desc:          tx.desc,
+                account:       e.account,
+                dr:            Number(e.dr) || 0,
+                cr:            Number(e.cr) || 0
+            });
+        }
+    }
+    return lines.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Sums debits and credits per account for lines within [from, to]
+const sumByAccount = (lines, from, to) => {
+    const totals = {};
+    for (const l of lines) {
+        if ((from && l.date < from) || (to && l.date > to)) continue;
+        if (!totals[l.account]) totals[l.account] = { dr: 0, cr: 0 };
+        totals[l.account].dr += l.dr;
+        totals[l.account].cr += l.cr;
+    }
+    return totals;
+};
+
+// The books the financial reports read: { types, totals(from, to),
+// lines(account, from, to) }. storeLedger() asks the store, which sums the
+// journal_lines table under SQLite; transactionLedger() works over a list of
+// transactions already in memory.
+const transactionLedger = (transactions) => {
+    const lines = getJournalLines(transactions);
+    return {
+        types:  buildAccountTypeMap(transactions),
+        totals: (from, to) => sumByAccount(lines, from, to),
+        lines:  (account, from, to) => lines.filter(l => l.account === account && l.date >= from && l.date <= to)
+    };
+};
+
+const storeLedger = (bizId) => ({
+    types:  buildAccountTypeMap(store.getCategoryTypes(bizId)),
+    totals: (from, to) => store.getAccountTotals(bizId, from, to),
+    lines:  (account, from, to) => store.getAccountLines(bizId, account, from, to)
+});
+
+// Signed balance in the account's natural direction
+const naturalBalance = (type, dr, cr) => isDebitNature(type) ? dr - cr : cr - dr;
+
+// Opening balances at `from`: balance sheet accounts carry forward from the
+// beginning, P&L accounts only from the start of the financial year, and the
+// P&L of earlier years is rolled into Retained Earnings
+const openingBalances = (ledger, from, business) => {
+    const { types } = ledger;
+    const fyStart = getFinancialYear(from, business.financialYearStart).start;
+    const before  = ledger.totals(null, previousDay(from));
+    const priorYears = ledger.totals(null, previousDay(fyStart));
+    const opening = {};
+
+    for (const [account, t] of Object.entries(before)) {
+        const type = types[account] || 'Expense';
+        if (isProfitAndLoss(type)) continue;
+        opening[account] = { dr: t.dr, cr: t.cr };
+    }
+
+    const currentYear = ledger.totals(fyStart, previousDay(from));
+    for (const [account, t] of Object.entries(currentYear)) {
+        const type = types[account] || 'Expense';
+        if (isProfitAndLoss(type)) opening[account] = { dr: t.dr, cr: t.cr };
+    }
+
+    let retained = 0;
+    for (const [account, t] of Object.entries(priorYears)) {
+        const type = types[account] || 'Expense';
+        if (isProfitAndLoss(type)) retained += t.cr - t.dr;
+    }
+    if (retained !== 0) {
+        const re = opening['Retained Earnings'] || { dr: 0, cr: 0 };
+        if (retained > 0) re.cr += retained; else re.dr += -retained;
+        opening['Retained Earnings'] = re;
+    }
+    return opening;
+};
+
+const buildTrialBalance = (ledger, business, from, to) => {
+    const { types } = ledger;
+    const opening = openingBalances(ledger, from, business);
+    const period  = ledger.totals(from, to);
+
+    const accounts = [...new Set([...Object.keys(opening), ...Object.keys(period)])];
+    const rows = accounts.map(account => {
+        const type = types[account] || 'Expense';
+        const o = opening[account] || { dr: 0, cr: 0 };
+        const p = period[account]  || { dr: 0, cr: 0 };
+        const closing = (o.dr + p.dr) - (o.cr + p.cr);
+        return {
+            account,
+            type,
+            openingBalance: round2(naturalBalance(type, o.dr, o.cr)),
+            debit:          round2(p.dr),
+            credit:         round2(p.cr),
+            closingDebit:   round2(closing > 0 ? closing : 0),
+            closingCredit:  round2(closing < 0 ? -closing : 0)
+        };
+    }).sort((a, b) => ACCOUNT_TYPES.indexOf(a.type) - ACCOUNT_TYPES.indexOf(b.type)
+        || a.account.localeCompare(b.account));
+
+    const totalDebit  = round2(rows.reduce((s, r) => s + r.closingDebit, 0));
+    const totalCredit = round2(rows.reduce((s, r) => s + r.closingCredit, 0));
+
+    return { from, to, accounts: rows, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+};
+
+const buildProfitAndLoss = (ledger, from, to) => {
+    const { types } = ledger;
+    const period = ledger.totals(from, to);
+
+    const income = [];
+    const expenses = [];
+    for (const [account, t] of Object.entries(period)) {
+        const type = types[account] || 'Expense';
+        if (type === 'Income')  income.push({ account, amount: round2(t.cr - t.dr) });
+        if (type === 'Expense') expenses.push({ account, amount: round2(t.dr - t.cr) });
+    }
+    income.sort((a, b) => a.account.localeCompare(b.account));
+    expenses.sort((a, b) => a.account.localeCompare(b.account));
+
+    const totalIncome   = round2(income.reduce((s, r) => s + r.amount, 0));
+    const totalExpenses = round2(expenses.reduce((s, r) => s + r.amount, 0));
+
+    return { from, to, income, expenses, totalIncome, totalExpenses, netProfit: round2(totalIncome - totalExpenses) };
+};
+
+const buildBalanceSheet = (ledger, business, asOf) => {
+    const fyStart = getFinancialYear(asOf, business.financialYearStart).start;
+    const trial   = buildTrialBalance(ledger, business, fyStart, asOf);
+    const pnl     = buildProfitAndLoss(ledger, fyStart, asOf);
+
+    const section = (type) => trial.accounts
+        .filter(r => r.type === type)
+        .map(r => ({ account: r.account, amount: round2(naturalBalance(type, r.closingDebit, r.closingCredit)) }))
+        .filter(r => r.amount !== 0);
+
+    const assets      = section('Asset');
+    const liabilities = section('Liability');
+    const equity      = section('Equity');
+    if (pnl.netProfit !== 0) equity.push({ account: 'Current Period Profit', amount: pnl.netProfit });
+
+    const totalAssets      = round2(assets.reduce((s, r) => s + r.amount, 0));
+    const totalLiabilities = round2(liabilities.reduce((s, r) => s + r.amount, 0));
+    const totalEquity      = round2(equity.reduce((s, r) => s + r.amount, 0));
+
+    return {
+        asOf,
+        financialYearStart: fyStart,
+        assets, liabilities, equity,
+        totalAssets, totalLiabilities, totalEquity,
+        balanced: totalAssets === round2(totalLiabilities + totalEquity)
+    };
+};
+
+const buildGeneralLedger = (ledger, business, account, from, to) => {
+    const type    = ledger.types[account] || 'Expense';
+    const opening = openingBalances(ledger, from, business)[account] || { dr: 0, cr: 0 };
+
+    let balance = naturalBalance(type, opening.dr, opening.cr);
+    const openingBalance = round2(balance);
+    let totalDebit = 0, totalCredit = 0;
+
+    const entries = ledger.lines(account, from, to)
+        .map(l => {
+            balance     += naturalBalance(type, l.dr, l.cr);
+            totalDebit  += l.dr;
+            totalCredit += l.cr;
+            return { date: l.date, transactionId: l.transactionId, desc: l.desc, dr: l.dr, cr: l.cr, balance: round2(balance) };
+        });
+
+    return {
+        account, type, from, to,
+        openingBalance,
+        entries,
+        totalDebit:     round2(totalDebit),
+        totalCredit:    round2(totalCredit),
+        closingBalance: round2(balance)
+    };
+};
+
+// ─────────────────────────────────────────────
+// LEDGER EXPORT
+// Posted transactions in a date range as Tally XML vouchers, a flat CSV of
+// journal lines, or an .xlsx workbook (day book + trial balance). Account
+// names are taken as-is from each transaction's `entries`.
+// ─────────────────────────────────────────────
+const EXPORT_FORMATS = ['tally', 'csv', 'xlsx'];
+
+// Tally parent group for ledgers created on import
+const TALLY_GROUPS = {
+    Cash:                       'Cash-in-Hand',
+    Bank:                       'Bank Accounts',
+    Receivables:                'Sundry Debtors',
+    'Vendor Payables':          'Sundry Creditors',
+    Equipment:                  'Fixed Assets',
+    'Accumulated Depreciation': 'Fixed Assets',
+    'Gain on Sale of Assets':   'Indirect Incomes',
+    'TDS Payable':              'Duties & Taxes',
+    Asset:                      'Current Assets',
+    Liability:                  'Current Liabilities',
+    Equity:                     'Capital Account',
+    Income:                     'Sales Accounts',
+    Expense:                    'Indirect Expenses',
+    Tax:                        'Duties & Taxes'
+};
+
+const escapeXml = (s) => String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Text starting with = + - @ or a tab/CR would run as a formula in Excel, so it
+// gets a leading apostrophe
+const csvCell = (v) => {
+    let s = String(v ?? '');
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Posted transactions dated within [from, to], oldest first
+const exportTransactions = (transactions, from, to) => transactions
+    .filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date >= from && tx.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+// Payment/Receipt when money moves through Cash or Bank, Contra between the two
+const tallyVoucherType = (tx) => {
+    const cash   = tx.entries.filter(e => e.account === 'Cash' || e.account === 'Bank');
+    const others = tx.entries.filter(e => !cash.includes(e));
+    if (cash.length && !others.length) return 'Contra';
+    if (cash.some(e => Number(e.dr) > 0)) return 'Receipt';
+    if (cash.some(e => Number(e.cr) > 0)) return 'Payment';
+    // Credit sales and purchases
+    if (others.some(e => e.account === 'Receivables' && Number(e.dr) > 0))     return 'Sales';
+    if (others.some(e => e.account === 'Vendor Payables' && Number(e.cr) > 0)) return 'Purchase';
+    return 'Journal';
+};
+
+const toTallyXML = (business, transactions, includeMasters = false) => {
+    const compact = (date) => date.replace(/-/g, '');
+    const types   = buildAccountTypeMap(transactions);
+    const out = [];
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<ENVELOPE>');
+    out.push('<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>');
+    out.push('<BODY><IMPORTDATA>');
+    out.push(`<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME><STATICVARIABLES><SVCURRENTCOMPANY>${escapeXml(business.name)}</SVCURRENTCOMPANY></STATICVARIABLES></REQUESTDESC>`);
+    out.push('<REQUESTDATA>');
+
+    if (includeMasters) {
+        const ledgers = [...new Set(transactions.flatMap(tx => tx.entries.map(e => e.account)))].sort();
+        ledgers.forEach(name => {
+            const group = TALLY_GROUPS[name]
+                || (/\b(CGST|SGST|IGST)\b|GST Payable|Input Tax Credit/.test(name) ? TALLY_GROUPS.Tax : TALLY_GROUPS[types[name] || 'Expense']);
+            out.push('<TALLYMESSAGE xmlns:UDF="TallyUDF">'
+                + `<LEDGER NAME="${escapeXml(name)}" ACTION="Create">`
+                + `<NAME.LIST><NAME>${escapeXml(name)}</NAME></NAME.LIST>`
+                + `<PARENT>${escapeXml(group)}</PARENT>`
+                + '</LEDGER></TALLYMESSAGE>');
+        });
+    }
+
+    transactions.forEach((tx, i) => {
+        const type = tallyVoucherType(tx);
+        out.push('<TALLYMESSAGE xmlns:UDF="TallyUDF">');
+        out.push(`<VOUCHER VCHTYPE="${type}" ACTION="Create">`);
+        out.push(`<DATE>${compact(tx.date)}</DATE>`);
+        out.push(`<VOUCHERTYPENAME>${type}</VOUCHERTYPENAME>`);
+        out.push(`<VOUCHERNUMBER>${i + 1}</VOUCHERNUMBER>`);
+        out.push(`<REFERENCE>${escapeXml(tx.id)}</REFERENCE>`);
+        out.push(`<NARRATION>${escapeXml(tx.desc)}</NARRATION>`);
+        // Tally amounts are negative for debits, with ISDEEMEDPOSITIVE=Yes
+        tx.entries.forEach(e => {
+            const dr = Number(e.dr) || 0;
+            const cr = Number(e.cr) || 0;
+            out.push('<ALLLEDGERENTRIES.LIST>'
+                + `<LEDGERNAME>${escapeXml(e.account)}</LEDGERNAME>`
+                + `<ISDEEMEDPOSITIVE>${dr > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`
+                + `<AMOUNT>${(dr > 0 ? -dr : cr).toFixed(2)}</AMOUNT>`
+                + '</ALLLEDGERENTRIES.LIST>');
+        });
+        out.push('</VOUCHER>');
+        out.push('</TALLYMESSAGE>');
+    });
+
+    out.push('</REQUESTDATA></IMPORTDATA></BODY>');
+    out.push('</ENVELOPE>');
+    return out.join('\n');
+};
+
+// One row per journal line; the BOM makes Excel read the file as UTF-8
+const toJournalCSV = (transactions) => {
+    const types  = buildAccountTypeMap(transactions);
+    const header = ['Date', 'Voucher No', 'Voucher Type', 'Transaction ID', 'Description', 'Account', 'Account Type', 'Debit', 'Credit'];
+    const rows   = [header];
+    transactions.forEach((tx, i) => {
+        tx.entries.forEach(e => rows.push([
+            tx.date, i + 1, tallyVoucherType(tx), tx.id, tx.desc || '', e.account, types[e.account] || '',
+            round2(e.dr).toFixed(2), round2(e.cr).toFixed(2)
+        ]));
+    });
+    return '﻿' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// ── Minimal .xlsx writer: a zip of SpreadsheetML parts ──
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (buf) => {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+// files: [{ name, data: Buffer|string }] → deflated zip archive
+const buildZip = (files) => {
+    const locals  = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(f => {
+        const name = Buffer.from(f.name, 'utf8');
+        const raw  = Buffer.isBuffer(f.data) ? f.data : Buffer.from(f.data, 'utf8');
+        const data = zlib.deflateRawSync(raw);
+        const crc  = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt16LE(0, 10);          // time
+        local.writeUInt16LE(0x21, 12);       // date: 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, data);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt16LE(0, 12);
+        entry.writeUInt16LE(0x21, 14);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, name);
+
+        offset += local.length + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((s, b) => s + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...central, end]);
+};
+
+const xlsxColumn = (i) => {
+    let s = '';
+    for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    return s;
+};
+
+// Excel serial day number (days since 1899-12-30)
+const xlsxDateSerial = (iso) => (Date.parse(iso + 'T00:00:00Z') - Date.UTC(1899, 11, 30)) / 86400000;
+
+// Cell styles: 0 text, 1 date, 2 bold header, 3 amount (#,##0.00)
+const XLSX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs></styleSheet>';
+
+// sheets: [{ name, header: [...], rows: [[...]] }]. Numbers are written as
+// amounts, { date: 'YYYY-MM-DD' } as dates, everything else as text.
+const buildXlsx = (sheets) => {
+    const sheetXml = (sheet) => {
+        const cell = (v, ref, header) => {
+            if (header)                       return `<c r="${ref}" s="2" t="inlineStr"><is><t>${escapeXml(v)}</t></is></c>`;
+            if (typeof v === 'number')        return `<c r="${ref}" s="3"><v>${v}</v></c>`;
+            if (v && v.date)                  return `<c r="${ref}" s="1"><v>${xlsxDateSerial(v.date)}</v></c>`;
+            if (v === null || v === undefined || v === '') return '';
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`;
+        };
+        const rows = [sheet.header, ...sheet.rows].map((r, ri) =>
+            `<row r="${ri + 1}">${r.map((v, ci) => cell(v, `${xlsxColumn(ci)}${ri + 1}`, ri === 0)).join('')}</row>`);
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+    };
+
+    const files = [
+        { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+            + '</Types>' },
+        { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>' },
+        { name: 'xl/workbook.xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + '<sheets>' + sheets.map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>'
+            + '</workbook>' },
+        { name: 'xl/_rels/workbook.xml.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+            + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+            + '</Relationships>' },
+        { name: 'xl/styles.xml', data: XLSX_STYLES },
+        ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s) }))
+    ];
+    return buildZip(files);
+};
+
+const toLedgerWorkbook = (business, allTransactions, transactions, from, to) => {
+    const dayBook = [];
+    transactions.forEach((tx, i) => {
+        tx.entries.forEach((e, j) => dayBook.push([
+            { date: tx.date }, i + 1, j === 0 ? tallyVoucherType(tx) : '', j === 0 ? (tx.desc || '') : '',
+            e.account, Number(e.dr) ? round2(e.dr) : '', Number(e.cr) ? round2(e.cr) : ''
+        ]));
+    });
+
+    const trial = buildTrialBalance(transactionLedger(allTransactions), business, from, to);
+    const trialRows = trial.accounts.map(r => [r.account, r.type, r.openingBalance, r.debit, r.credit, r.closingDebit, r.closingCredit]);
+    trialRows.push(['Total', '', '', '', '', trial.totalDebit, trial.totalCredit]);
+
+    return buildXlsx([
+        { name: 'Day Book', header: ['Date', 'Voucher No', 'Voucher Type', 'Narration', 'Account', 'Debit', 'Credit'], rows: dayBook },
+        { name: 'Trial Balance', header: ['Account', 'Type', 'Opening Balance', 'Debit', 'Credit', 'Closing Debit', 'Closing Credit'], rows: trialRows }
+    ]);
+};
+
+// ─────────────────────────────────────────────
+// GST RETURNS
+// GSTR-1 (outward supplies) and GSTR-3B (summary + net tax) for a month,
+// plus the JSON shape the GST portal's offline utility imports
+// ─────────────────────────────────────────────
+const GST_RATES = [5, 12, 18, 28];
+
+// ?period=YYYY-MM → first/last day of that month
+const resolveTaxPeriod = (period) => {
+    if (!period || !/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) return { error: 'period must be a month in YYYY-MM format' };
+    const [y, m] = period.split('-').map(Number);
+    const end = new Date(Date.UTC(y, m, 0)).toISOString().split('T')[0];
+    // Portal return period is MMYYYY
+    return { period, from: `${period}-01`, to: end, fp: `${String(m).padStart(2, '0')}${y}` };
+};
+
+// Tax split of a stored transaction. Older transactions carry only gstAmount,
+// so the split is derived from their counterparty state when missing.
+const getTransactionTax = (tx, businessState) => {
+    const counterpartyState = normalizeStateCode(tx.counterpartyState)
+        || stateCodeFromGSTIN(tx.counterpartyGstin)
+        || normalizeStateCode(tx.placeOfSupply);
+    const supplyType = tx.supplyType || getSupplyType(businessState, counterpartyState);
+    const hasSplit = ['cgstAmount', 'sgstAmount', 'igstAmount'].some(k => typeof tx[k] === 'number');
+    const split = hasSplit
+        ? { cgstAmount: tx.cgstAmount || 0, sgstAmount: tx.sgstAmount || 0, igstAmount: tx.igstAmount || 0 }
+        : splitGST(Number(tx.gstAmount) || 0, supplyType);
+    return {
+        ...split,
+        supplyType,
+        placeOfSupply: counterpartyState || businessState || '',
+        taxableValue:  Number(tx.netAmount) || 0,
+        rate:          Number(tx.gstRate) || 0
+    };
+};
+
+const emptyTax = () => ({ taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const addTax = (acc, t, sign = 1) => {
+    acc.taxableValue += sign * t.taxableValue;
+    acc.igst += sign * t.igstAmount;
+    acc.cgst += sign * t.cgstAmount;
+    acc.sgst += sign * t.sgstAmount;
+    return acc;
+};
+
+// Credit notes take their supplies off the period they are dated in
+const supplySign = (tx) => tx.kind === 'credit-note' ? -1 : 1;
+
+const roundTax = (t) => Object.fromEntries(Object.entries(t).map(([k, v]) => [k, typeof v === 'number' ? round2(v) : v]));
+
+const periodTransactions = (transactions, from, to) =>
+    transactions.filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date >= from && tx.date <= to);
+
+const buildGSTR1 = (transactions, business, period) => {
+    const businessState = stateCodeFromGSTIN(business.gstNumber);
+    const sales = periodTransactions(transactions, period.from, period.to)
+        .filter(tx => tx.accountType === 'Income');
+
+    const byRate = {};
+    const b2b    = [];
+    const cdnr   = [];
+    const b2cs   = {};
+    const nil    = emptyTax();
+
+    for (const tx of sales) {
+        const t    = getTransactionTax(tx, businessState);
+        const sign = supplySign(tx);
+        if (!GST_RATES.includes(t.rate)) {
+            addTax(nil, t, sign);
+            continue;
+        }
+        byRate[t.rate] = addTax(byRate[t.rate] || { rate: t.rate, count: 0, ...emptyTax() }, t, sign);
+        byRate[t.rate].count++;
+
+        if (tx.counterpartyGstin) {
+            const tax = roundTax({ placeOfSupply: t.placeOfSupply, supplyType: t.supplyType, rate: t.rate,
+                taxableValue: t.taxableValue, igst: t.igstAmount, cgst: t.cgstAmount, sgst: t.sgstAmount, cess: 0 });
+            if (sign < 0) {
+                cdnr.push({
+                    transactionId: tx.id,
+                    date:          tx.date,
+                    ctin:          tx.counterpartyGstin,
+                    noteNumber:    tx.noteNumber || String(tx.id),
+                    invoiceNumber: tx.invoiceNumber || '',
+                    noteValue:     round2(tx.noteValue || tx.grossAmount),
+                    ...tax
+                });
+            } else {
+                b2b.push({
+                    transactionId: tx.id,
+                    date:          tx.date,
+                    ctin:          tx.counterpartyGstin,
+                    invoiceNumber: tx.invoiceNumber || String(tx.id),
+                    invoiceValue:  round2(tx.invoiceValue || tx.grossAmount),
+                    ...tax
+                });
+            }
+        } else {
+            const key = `${t.placeOfSupply}|${t.rate}`;
+            b2cs[key] = addTax(b2cs[key] || { placeOfSupply: t.placeOfSupply, supplyType: t.supplyType, rate: t.rate, ...emptyTax() }, t, sign);
+        }
+    }
+
+    const outwardByRate = Object.values(byRate).sort((a, b) => a.rate - b.rate).map(roundTax);
+    const total = outwardByRate.reduce((acc, r) => {
+        for (const k of ['taxableValue', 'igst', 'cgst', 'sgst', 'cess']) acc[k] += r[k];
+        return acc;
+    }, emptyTax());
+
+    return {
+        period:        period.period,
+        gstin:         business.gstNumber || '',
+        outwardByRate,
+        b2b,
+        cdnr,
+        b2cs:          Object.values(b2cs).map(roundTax),
+        nilRated:      roundTax(nil),
+        total:         roundTax(total)
+    };
+};
+
+// ITC is set off IGST first (against IGST, then CGST, then SGST), then
+// CGST (against CGST, then IGST) and SGST (against SGST, then IGST).
+// CGST credit may never be used against SGST or vice versa.
+const setOffITC = (output, itc) => {
+    const payable = { igst: output.igst, cgst: output.cgst, sgst: output.sgst };
+    const credit  = { igst: itc.igst,    cgst: itc.cgst,    sgst: itc.sgst };
+
+    const use = (from, against) => {
+        const amt = Math.min(credit[from], payable[against]);
+        credit[from]     -= amt;
+        payable[against] -= amt;
+    };
+    use('igst', 'igst'); use('igst', 'cgst'); use('igst', 'sgst');
+    use('cgst', 'cgst'); use('cgst', 'igst');
+    use('sgst', 'sgst'); use('sgst', 'igst');
+
+    return {
+        payable:       roundTax(payable),
+        creditCarried: roundTax(credit),
+        totalPayable:  round2(payable.igst + payable.cgst + payable.sgst)
+    };
+};
+
+const buildGSTR3B = (transactions, business, period) => {
+    const businessState = stateCodeFromGSTIN(business.gstNumber);
+    const txs = periodTransactions(transactions, period.from, period.to);
+
+    const outwardTaxable = emptyTax();
+    const outwardNil     = emptyTax();
+    const interStateB2C  = {};
+    const itc            = emptyTax();
+
+    for (const tx of txs) {
+        const t    = getTransactionTax(tx, businessState);
+        const sign = supplySign(tx);
+        if (tx.accountType === 'Income') {
+            if (GST_RATES.includes(t.rate)) {
+                addTax(outwardTaxable, t, sign);
+                if (t.supplyType === 'INTER' && !tx.counterpartyGstin) {
+                    const pos = t.placeOfSupply;
+                    interStateB2C[pos] = addTax(interStateB2C[pos] || { placeOfSupply: pos, ...emptyTax() }, t, sign);
+                }
+            } else {
+                addTax(outwardNil, t, sign);
+            }
+        } else if (tx.accountType === 'Expense' && Number(tx.gstAmount) > 0) {
+            addTax(itc, t);
+        }
+    }
+
+    const netTax = setOffITC(outwardTaxable, itc);
+
+    return {
+        period:          period.period,
+        gstin:           business.gstNumber || '',
+        outwardSupplies: { taxable: roundTax(outwardTaxable), nilRatedExempt: roundTax(outwardNil) },
+        interStateSuppliesToUnregistered: Object.values(interStateB2C).map(roundTax),
+        eligibleITC:     roundTax(itc),
+        ...netTax
+    };
+};
+
+// Portal date format is dd-mm-yyyy
+const portalDate = (date) => date.split('-').reverse().join('-');
+
+// An issued invoice (and the credit note cancelling it) posts one
+// transaction per GST rate; the portal wants each as one document with an
+// item per rate, valued at the whole document (which each of its rows
+// carries). Returns [{ ctin, [listKey]: documents }].
+const portalDocuments = (rows, listKey, numberOf, header) => {
+    const byCtin    = {};
+    const documents = {};
+    for (const row of rows) {
+        if (!byCtin[row.ctin]) byCtin[row.ctin] = { ctin: row.ctin, [listKey]: [] };
+        const key = `${row.ctin}|${numberOf(row)}`;
+        if (!documents[key]) {
+            documents[key] = { ...header(row), itms: [] };
+            byCtin[row.ctin][listKey].push(documents[key]);
+        }
+        const itms = documents[key].itms;
+        let item = itms.find(i => i.itm_det.rt === row.rate);
+        if (!item) {
+            item = { num: itms.length + 1, itm_det: { txval: 0, rt: row.rate, iamt: 0, camt: 0, samt: 0, csamt: 0 } };
+            itms.push(item);
+        }
+        const det = item.itm_det;
+        det.txval = round2(det.txval + row.taxableValue);
+        det.iamt  = round2(det.iamt + row.igst);
+        det.camt  = round2(det.camt + row.cgst);
+        det.samt  = round2(det.samt + row.sgst);
+    }
+    return Object.values(byCtin);
+};
+
+// JSON accepted by the GSTR-1 offline utility
+const toGSTR1PortalJSON = (gstr1, period) => ({
+    gstin: gstr1.gstin,
+    fp:    period.fp,
+    b2b:   portalDocuments(gstr1.b2b, 'inv', row => row.invoiceNumber, row => ({
+        inum:    row.invoiceNumber,
+        idt:     portalDate(row.date),
+        val:     row.invoiceValue,
+        pos:     row.placeOfSupply,
+        rchrg:   'N',
+        inv_typ: 'R'
+    })),
+    cdnr:  portalDocuments(gstr1.cdnr, 'nt', row => row.noteNumber, row => ({
+        ntty:    'C',
+        nt_num:  row.noteNumber,
+        nt_dt:   portalDate(row.date),
+        val:     row.noteValue,
+        pos:     row.placeOfSupply,
+        rchrg:   'N',
+        inv_typ: 'R'
+    })),
+    b2cs:  gstr1.b2cs.map(r => ({
+        sply_ty: r.supplyType,
+        pos:     r.placeOfSupply,
+        typ:     'OE',
+        rt:      r.rate,
+        txval:   r.taxableValue,
+        iamt:    r.igst,
+        camt:    r.cgst,
+        samt:    r.sgst,
+        csamt:   0
+    })),
+    nil: {
+        inv: [{ sply_ty: 'INTRB2C', expt_amt: 0, nil_amt: gstr1.nilRated.taxableValue, ngsup_amt: 0 }]
+    }
+});
+
+// JSON accepted by the GSTR-3B offline utility
+const toGSTR3BPortalJSON = (gstr3b, period) => {
+    const tax = (t) => ({ txval: t.taxableValue, iamt: t.igst, camt: t.cgst, samt: t.sgst, csamt: 0 });
+    const itc = { iamt: gstr3b.eligibleITC.igst, camt: gstr3b.eligibleITC.cgst, samt: gstr3b.eligibleITC.sgst, csamt: 0 };
+    const none = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+    return {
+        gstin:      gstr3b.gstin,
+        ret_period: period.fp,
+        sup_details: {
+            osup_det:      tax(gstr3b.outwardSupplies.taxable),
+            osup_zero:     { txval: 0, iamt: 0, csamt: 0 },
+            osup_nil_exmp: { txval: gstr3b.outwardSupplies.nilRatedExempt.taxableValue },
+            isup_rev:      { txval: 0, ...none },
+            osup_nongst:   { txval: 0 }
+        },
+        inter_sup: {
+            unreg_details: gstr3b.interStateSuppliesToUnregistered.map(r => ({ pos: r.placeOfSupply, txval: r.taxableValue, iamt: r.igst })),
+            comp_details:  [],
+            uin_details:   []
+        },
+        itc_elg: {
+            itc_avl:   [{ ty: 'OTH', ...itc }],
+            itc_rev:   [],
+            itc_net:   itc,
+            itc_inelg: []
+        }
+    };
+};
+
+// ─────────────────────────────────────────────
+// TDS
+// Tax deducted at source on payments. Each business keeps its sections in
+// the 'tdsSections' document (DEFAULT_TDS_SECTIONS until it changes them);
+// a section covers a set of expense categories. A payment in one of them
+// attracts TDS once it crosses the section's single-payment threshold, or
+// once the deductee's payments in the section that financial year cross the
+// annual one; the payment that crosses it also covers the year's earlier
+// payments. Deductees are parties, or a PAN given on the transaction.
+// Without a PAN the rate is at least 20% (s. 206AA).
+// A payment in a section carries { tdsSection, deducteePan } so that it
+// counts towards the deductee's year even when nothing is deducted from it;
+// one with TDS also carries { tdsRate, tdsAmount } and credits tdsAmount to
+// TDS Payable (see generateJournalEntries).
+// TDS quarters and thresholds follow the April-March financial year whatever
+// the business's own year is.
+// ─────────────────────────────────────────────
+const DEFAULT_TDS_SECTIONS = [
+    { section: '194J', description: 'Fees for professional or technical services', rate: 10, singleThreshold: null,  annualThreshold: 50000,   categories: ['Professional Fees'], form: '26Q', active: true },
+    { section: '194I', description: 'Rent of land, building or furniture',         rate: 10, singleThreshold: null,  annualThreshold: 600000,  categories: ['Rent'],              form: '26Q', active: true },
+    { section: '194C', description: 'Payments to contractors',                     rate: 2,  singleThreshold: 30000, annualThreshold: 100000,  categories: [],                    form: '26Q', active: true },
+    // Salary is taxed at the employee's average slab rate; the threshold is
+    // where the new regime starts to levy tax
+    { section: '192',  description: 'Salary',                                      rate: 10, singleThreshold: null,  annualThreshold: 1275000, categories: ['Salary'],            form: '24Q', active: true }
+];
+const TDS_FORMS = ['24Q', '26Q'];
+const NO_PAN_TDS_RATE = 20;
+const TDS_YEAR_START  = '04';
+
+// Quarterly returns (24Q/26Q) are due on `returnDue`; for Q3 and Q4 that is in
+// the second calendar year of the financial year
+const TDS_QUARTERS = [
+    { quarter: 'Q1', startMonth: 4,  returnDue: '07-31', nextYear: false },
+    { quarter: 'Q2', startMonth: 7,  returnDue: '10-31', nextYear: false },
+    { quarter: 'Q3', startMonth: 10, returnDue: '01-31', nextYear: true  },
+    { quarter: 'Q4', startMonth: 1,  returnDue: '05-31', nextYear: true  }
+];
+
+const getTdsSections = (bizId) => store.getDoc('tdsSections', bizId) || clone(DEFAULT_TDS_SECTIONS);
+
+const isThreshold = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+// Validates a whole list of sections. A category can be in one active
+// section only. Returns { errors, fields } with fields the normalised list.
+const validateTdsSections = (input, chart) => {
+    const errors = [];
+    if (!Array.isArray(input) || input.length > 50) return { errors: ['sections must be a list of at most 50 sections'], fields: [] };
+
+    const seen = new Set();
+    const categoryOwner = new Map();
+    const fields = input.map((s, i) => {
+        const at = `sections[${i}]`;
+        s = s && typeof s === 'object' ? s : {};
+        const section = {
+            section:         String(s.section || '').trim().toUpperCase(),
+            description:     typeof s.description === 'string' ? s.description.trim() : '',
+            rate:            s.rate,
+            singleThreshold: s.singleThreshold === undefined ? null : s.singleThreshold,
+            annualThreshold: s.annualThreshold === undefined ? 0 : s.annualThreshold,
+            categories:      Array.isArray(s.categories) ? [...new Set(s.categories)] : s.categories,
+            form:            s.form || (String(s.section).trim() === '192' ? '24Q' : '26Q'),
+            active:          s.active === undefined ? true : s.active === true
+        };
+        if (!/^[0-9][0-9A-Z()]{0,9}$/.test(section.section)) errors.push(`${at}.section must be a section number such as 194J`);
+        else if (seen.has(section.section)) errors.push(`${at}.section ${section.section} is listed twice`);
+        seen.add(section.section);
+        if (section.description.length > 100) errors.push(`${at}.description must be at most 100 characters`);
+        if (!(typeof section.rate === 'number' && section.rate > 0 && section.rate <= 100)) errors.push(`${at}.rate must be a percentage above 0 and up to 100`);
+        if (section.singleThreshold !== null && !isThreshold(section.singleThreshold)) errors.push(`${at}.singleThreshold must be a non-negative amount or null`);
+        if (!isThreshold(section.annualThreshold)) errors.push(`${at}.annualThreshold must be a non-negative amount`);
+        if (!TDS_FORMS.includes(section.form)) errors.push(`${at}.form must be one of: ${TDS_FORMS.join(', ')}`);
+        if (!Array.isArray(section.categories)) {
+            errors.push(`${at}.categories must be a list of expense categories`);
+            section.categories = [];
+        }
+        section.categories.forEach(name => {
+            const account = chartAccountByName(chart, name);
+            if (!account || account.type !== 'Expense') errors.push(`${at}.categories: ${name} is not an expense account in the chart of accounts`);
+            else if (section.active && categoryOwner.has(name)) errors.push(`${at}.categories: ${name} is already covered by ${categoryOwner.get(name)}`);
+            else if (section.active) categoryOwner.set(name, section.section);
+        });
+        return section;
+    });
+    return { errors, fields };
+};
+
+// TDS on a payment. `payment` is { id?, accountType, category, netAmount,
+// date, party, pan, mention } where mention is what the text said
+// (extractTds): skip, a rate of its own, or deduct regardless of the
+// thresholds. Only the deductee's payments up to `date` count towards the
+// year, leaving out the payment itself when it is already booked.
+// Returns null when no active section covers the category, else the section
+// with `applied`, the rate and amount, and the deductee's aggregate to date.
+const resolveTds = (sections, transactions, payment) => {
+    const mention = payment.mention || {};
+    if (payment.accountType !== 'Expense' || mention.skip) return null;
+    const section = sections.find(s => s.active && s.categories.includes(payment.category));
+    if (!section) return null;
+
+    const party = payment.party || null;
+    const pan   = payment.pan || (party && party.pan) || '';
+    const fy    = getFinancialYear(payment.date, TDS_YEAR_START);
+    const sameDeductee = (tx) => party ? tx.partyId === party.id : !!pan && tx.deducteePan === pan;
+    const earlier = transactions
+        .filter(tx => isPosted(tx) && section.categories.includes(tx.category) && sameDeductee(tx))
+        .filter(tx => tx.date >= fy.start && tx.date <= payment.date && (payment.id === undefined || String(tx.id) !== String(payment.id)));
+    const paidBefore     = earlier.reduce((s, tx) => s + (Number(tx.netAmount) || 0), 0);
+    const deductedBefore = round2(earlier.reduce((s, tx) => s + (Number(tx.tdsAmount) || 0), 0));
+    const aggregate = round2(paidBefore + payment.netAmount);
+
+    const crossedAnnual = aggregate > section.annualThreshold;
+    const crossed = (section.singleThreshold !== null && payment.netAmount > section.singleThreshold) || crossedAnnual;
+    const applied = crossed || mention.rate !== undefined || mention.deduct === true;
+    const rate    = mention.rate !== undefined ? mention.rate : (pan ? section.rate : Math.max(section.rate, NO_PAN_TDS_RATE));
+
+    // The payment that first takes the year past the annual threshold carries
+    // TDS on the whole aggregate, less what was already deducted, up to the
+    // payment itself
+    let amount = applied ? tdsOn(payment.netAmount, rate) : 0;
+    const catchUp = crossedAnnual && paidBefore <= section.annualThreshold;
+    if (catchUp) amount = Math.min(payment.netAmount, Math.max(amount, tdsOn(aggregate, rate) - deductedBefore));
+    return {
+        section:         section.section,
+        applied,
+        rate,
+        amount,
+        catchUp,
+        deductedBefore,
+        deducteePan:     pan,
+        deducteeName:    party ? party.name : '',
+        aggregate,
+        singleThreshold: section.singleThreshold,
+        annualThreshold: section.annualThreshold
+    };
+};
+
+// ?fy=2026-27&quarter=Q2, defaulting to the quarter containing today.
+// Returns { fy, quarter, from, to, returnDueDate } or { error }.
+const resolveTdsQuarter = (query) => {
+    const today   = todayISO();
+    const current = Number(getFinancialYear(today, TDS_YEAR_START).start.slice(0, 4));
+    const fy = query.fy || `${current}-${String(current + 1).slice(2)}`;
+    const m = /^(\d{4})-(\d{2})$/.exec(fy);
+    if (!m || (Number(m[1]) + 1) % 100 !== Number(m[2])) return { error: 'fy must be a financial year such as 2026-27' };
+    const startYear = Number(m[1]);
+
+    const todayMonth = Number(today.slice(5, 7));
+    const quarterName = query.quarter ? String(query.quarter).toUpperCase()
+        : TDS_QUARTERS.find(q => todayMonth >= q.startMonth && todayMonth < q.startMonth + 3).quarter;
+    const q = TDS_QUARTERS.find(x => x.quarter === quarterName);
+    if (!q) return { error: `quarter must be one of: ${TDS_QUARTERS.map(x => x.quarter).join(', ')}` };
+
+    const year = q.startMonth < 4 ? startYear + 1 : startYear;
+    const to   = new Date(Date.UTC(year, q.startMonth + 2, 0)).toISOString().split('T')[0];
+    return {
+        fy,
+        quarter:       q.quarter,
+        from:          isoFromParts(year, q.startMonth, 1),
+        to,
+        returnDueDate: `${q.nextYear ? startYear + 1 : startYear}-${q.returnDue}`
+    };
+};
+
+// TDS deducted in [from, to] by section and deductee PAN, plus what was paid
+// over to the government (debits to TDS Payable) in the same period.
+// Deductees without a PAN are reported as PANNOTAVBL, as the return expects.
+const buildTdsSummary = (transactions, parties, sections, from, to) => {
+    const partyById = new Map(parties.map(p => [p.id, p]));
+    const inPeriod  = transactions.filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date >= from && tx.date <= to);
+    const bySection = new Map();
+
+    inPeriod.filter(tx => Number(tx.tdsAmount) > 0).forEach(tx => {
+        const config = sections.find(s => s.section === tx.tdsSection) || {};
+        if (!bySection.has(tx.tdsSection)) {
+            bySection.set(tx.tdsSection, {
+                section:     tx.tdsSection,
+                description: config.description || '',
+                form:        config.form || (tx.tdsSection === '192' ? '24Q' : '26Q'),
+                deductees:   new Map(),
+                amountPaid:  0,
+                tdsAmount:   0
+            });
+        }
+        const section = bySection.get(tx.tdsSection);
+        const party   = partyById.get(tx.partyId);
+        const pan     = tx.deducteePan || (party && party.pan) || 'PANNOTAVBL';
+        const key     = `${pan}|${pan === 'PANNOTAVBL' ? tx.partyId || tx.id : ''}`;
+        if (!section.deductees.has(key)) {
+            section.deductees.set(key, { pan, name: party ? party.name : (tx.deducteeName || ''), partyId: tx.partyId || null, payments: 0, amountPaid: 0, tdsAmount: 0 });
+        }
+        const deductee = section.deductees.get(key);
+        deductee.payments   += 1;
+        deductee.amountPaid  = round2(deductee.amountPaid + tx.netAmount);
+        deductee.tdsAmount   = round2(deductee.tdsAmount + tx.tdsAmount);
+        section.amountPaid   = round2(section.amountPaid + tx.netAmount);
+        section.tdsAmount    = round2(section.tdsAmount + tx.tdsAmount);
+    });
+
+    const summary = [...bySection.values()]
+        .sort((a, b) => a.section.localeCompare(b.section))
+        .map(s => ({ ...s, deductees: [...s.deductees.values()].sort((a, b) => b.tdsAmount - a.tdsAmount) }));
+    const deducted  = round2(summary.reduce((s, x) => s + x.tdsAmount, 0));
+    const deposited = round2(inPeriod.flatMap(tx => tx.entries)
+        .filter(e => e.account === 'TDS Payable')
+        .reduce((s, e) => s + (Number(e.dr) || 0), 0));
+    return {
+        sections: summary,
+        totals: {
+            amountPaid:  round2(summary.reduce((s, x) => s + x.amountPaid, 0)),
+            deducted,
+            deposited,
+            outstanding: round2(deducted - deposited),
+            withoutPan:  summary.reduce((n, x) => n + x.deductees.filter(d => d.pan === 'PANNOTAVBL').length, 0)
+        }
+    };
+};
+
+// ─────────────────────────────────────────────
+// SALES INVOICES
+// Invoices live in the business's 'invoices' document and are raised on a
+// customer party. Drafts can be edited freely. Issuing one gives it the next
+// number of its financial year's series (INV/2026-27/0001) and posts it on
+// credit through generateJournalEntries, one transaction per GST rate so
+// that GSTR-1 sees every rate on the invoice. Marking it paid posts a receipt
+// allocated to those transactions. Cancelling leaves them in the books and
+// posts a credit note (CN/2026-27/0001) reversing them on the day it is
+// cancelled, which GSTR-1 reports under cdnr.
+//   status: 'draft' -> 'issued' -> 'paid'
+//                         \-> 'cancelled'
+// ─────────────────────────────────────────────
+const INVOICE_STATUSES = ['draft', 'issued', 'paid', 'cancelled'];
+const INVOICE_PREFIX   = 'INV';
+const CREDIT_NOTE_PREFIX = 'CN';
+const MAX_INVOICE_LINES = 100;
+
+const getInvoices = (bizId) => store.getDoc('invoices', bizId) || [];
+
+const defaultInvoiceCategory = (business) =>
+    ['service', 'freelance'].includes(business.type) ? 'Service Income' : 'Sales';
+
+// '2026-27' for an April-March year, '2026' for a calendar year
+const financialYearLabel = (date, financialYearStart) => {
+    const fy = getFinancialYear(date, financialYearStart);
+    const start = fy.start.slice(0, 4);
+    const end   = fy.end.slice(0, 4);
+    return start === end ? start : `${start}-${end.slice(2)}`;
+};
+
+// Takes the next number of the financial year's series. Numbers are never
+// reused, not even those of cancelled invoices. Credit notes have a series
+// of their own.
+const nextInvoiceNumber = (business, date, prefix = INVOICE_PREFIX) => {
+    const series = store.getDoc('invoiceSeries', business.id) || {};
+    const label  = financialYearLabel(date, business.financialYearStart);
+    const key    = prefix === INVOICE_PREFIX ? label : `${prefix}/${label}`;
+    series[key] = (series[key] || 0) + 1;
+    store.setDoc('invoiceSeries', business.id, series);
+    return `${prefix}/${label}/${String(series[key]).padStart(4, '0')}`;
+};
+
+// Validates a whole invoice (PUT merges the stored draft with the body first).
+// Returns { errors, fields }; lines are returned without amounts, see priceInvoice.
+const validateInvoice = (input, business, parties, chart) => {
+    const errors = [];
+    const fields = {};
+
+    const party = parties.find(p => p.id === input.partyId);
+    if (!party)                          errors.push('partyId must be a customer of this business');
+    else if (party.type !== 'customer')  errors.push(`${party.name} is a vendor, not a customer`);
+    else fields.partyId = party.id;
+
+    fields.date = input.date || todayISO();
+    if (!isValidDate(fields.date)) errors.push('date must be YYYY-MM-DD');
+
+    if (input.dueDate !== undefined && input.dueDate !== null && input.dueDate !== '') {
+        if (!isValidDate(input.dueDate))      errors.push('dueDate must be YYYY-MM-DD');
+        else if (input.dueDate < fields.date) errors.push('dueDate cannot be before date');
+        else fields.dueDate = input.dueDate;
+    } else if (party && isValidDate(fields.date)) {
+        fields.dueDate = shiftDays(fields.date, party.creditDays || 0);
+    }
+
+    fields.notes = typeof input.notes === 'string' ? input.notes.trim().slice(0, 500) : '';
+
+    if (!Array.isArray(input.lines) || !input.lines.length || input.lines.length > MAX_INVOICE_LINES) {
+        errors.push(`lines must hold 1-${MAX_INVOICE_LINES} items`);
+        return { errors, fields };
+    }
+    fields.lines = input.lines.map((l, i) => {
+        const n = `Line ${i + 1}`;
+        const line = l || {};
+        const description = typeof line.description === 'string' ? line.description.trim() : '';
+        const hsn      = line.hsn === undefined || line.hsn === null ? '' : String(line.hsn).trim();
+        const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+        const rate     = Number(line.rate);
+        const gstRate  = line.gstRate === undefined ? 0 : Number(line.gstRate);
+        const unit     = typeof line.unit === 'string' ? line.unit.trim().toUpperCase().slice(0, 10) : '';
+        const category = line.category || defaultInvoiceCategory(business);
+        const account  = chartAccountByName(chart, category);
+
+        if (!description || description.length > 200)          errors.push(`${n}: description must be 1-200 characters`);
+        if (hsn && !/^\d{4}(\d{2}){0,2}$/.test(hsn))             errors.push(`${n}: hsn must be a 4, 6 or 8 digit HSN/SAC code`);
+        if (!(quantity > 0))                                     errors.push(`${n}: quantity must be a positive number`);
+        if (!(rate >= 0))                                        errors.push(`${n}: rate must be zero or more`);
+        if (![0, ...GST_RATES].includes(gstRate))                errors.push(`${n}: gstRate must be one of: 0, ${GST_RATES.join(', ')}`);
+        if (!account || account.type !== 'Income')               errors.push(`${n}: category must be an income account in the chart of accounts`);
+        return { description, hsn, quantity, unit, rate, gstRate, category };
+    });
+    return { errors, fields };
+};
+
+// Fills in place of supply, line amounts and totals from the current party
+// and business details. Tax follows generateJournalEntries exactly.
+const priceInvoice = (invoice, business, party) => {
+    const businessState = stateCodeFromGSTIN(business.gstNumber);
+    const partyState    = party.state || stateCodeFromGSTIN(party.gstin);
+    const supplyType    = getSupplyType(businessState, partyState);
+    const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0, total: 0 };
+
+    const lines = invoice.lines.map(l => {
+        const taxable = round2(l.quantity * l.rate);
+        const { gstAmount, cgstAmount, sgstAmount, igstAmount } =
+            generateJournalEntries(taxable, 'Credit', 'Income', l.category, l.gstRate, false, supplyType);
+        const priced = { ...l, taxable, cgst: cgstAmount, sgst: sgstAmount, igst: igstAmount, tax: gstAmount, total: round2(taxable + gstAmount) };
+        totals.taxable += taxable;
+        totals.cgst    += cgstAmount;
+        totals.sgst    += sgstAmount;
+        totals.igst    += igstAmount;
+        totals.tax     += gstAmount;
+        totals.total   += priced.total;
+        return priced;
+    });
+
+    return {
+        ...invoice,
+        customer: { name: party.name, gstin: party.gstin || '', state: partyState || '', address: party.address || '' },
+        supplyType,
+        placeOfSupply: partyState || businessState || '',
+        lines,
+        totals: roundTax(totals)
+    };
+};
+
+// Sums journal lines per account, keeping the order accounts first appear in
+const mergeEntries = (entries) => {
+    const byAccount = new Map();
+    for (const e of entries) {
+        const t = byAccount.get(e.account) || { account: e.account, dr: 0, cr: 0 };
+        t.dr = round2(t.dr + (Number(e.dr) || 0));
+        t.cr = round2(t.cr + (Number(e.cr) || 0));
+        byAccount.set(e.account, t);
+    }
+    return [...byAccount.values()];
+};
+
+// The ledger transactions an issued invoice posts: one per GST rate
+const invoiceTransactions = (invoice, business) => {
+    const byRate = new Map();
+    invoice.lines.forEach(l => byRate.set(l.gstRate, [...(byRate.get(l.gstRate) || []), l]));
+
+    const now = new Date().toISOString();
+    return [...byRate.entries()].map(([gstRate, lines]) => {
+        const posted = lines.map(l => generateJournalEntries(l.taxable, 'Credit', 'Income', l.category, gstRate, false, invoice.supplyType));
+        const sum = (k) => round2(posted.reduce((s, p) => s + p[k], 0));
+        return {
+            desc:              `Invoice ${invoice.number} - ${invoice.customer.name}`,
+            date:              invoice.date,
+            accountType:       'Income',
+            category:          lines[0].category,
+            mode:              'Credit',
+            netAmount:         sum('netAmount'),
+            gstAmount:         sum('gstAmount'),
+            grossAmount:       sum('grossAmount'),
+            gstRate,
+            isInclusiveGST:    false,
+            cgstAmount:        sum('cgstAmount'),
+            sgstAmount:        sum('sgstAmount'),
+            igstAmount:        sum('igstAmount'),
+            supplyType:        invoice.supplyType,
+            placeOfSupply:     invoice.placeOfSupply,
+            counterpartyGstin: invoice.customer.gstin,
+            status:            'confirmed',
+            kind:              'invoice',
+            invoiceId:         invoice.id,
+            invoiceNumber:     invoice.number,
+            invoiceValue:      invoice.totals.total,
+            partyId:           invoice.partyId,
+            entries:           mergeEntries(posted.flatMap(p => p.entries)),
+            id:                newId(),
+            businessId:        business.id,
+            revision:          1,
+            seq:               nextSyncSeq(),
+            createdAt:         now,
+            updatedAt:         now
+        };
+    });
+};
+
+// The credit note cancelling an issued invoice: one transaction per invoice
+// transaction, posting its journal lines the other way round and allocated
+// against it so that it no longer shows as open
+const creditNoteTransactions = (invoice, postings, number, date, business) => {
+    const now = new Date().toISOString();
+    return postings.map(tx => ({
+        desc:              `Credit note ${number} - cancels invoice ${invoice.number}`,
+        date,
+        accountType:       tx.accountType,
+        category:          tx.category,
+        mode:              tx.mode,
+        netAmount:         tx.netAmount,
+        gstAmount:         tx.gstAmount,
+        grossAmount:       tx.grossAmount,
+        gstRate:           tx.gstRate,
+        isInclusiveGST:    false,
+        cgstAmount:        tx.cgstAmount,
+        sgstAmount:        tx.sgstAmount,
+        igstAmount:        tx.igstAmount,
+        supplyType:        tx.supplyType,
+        placeOfSupply:     tx.placeOfSupply,
+        counterpartyGstin: tx.counterpartyGstin,
+        status:            'confirmed',
+        kind:              'credit-note',
+        invoiceId:         invoice.id,
+        invoiceNumber:     invoice.number,
+        noteNumber:        number,
+        noteValue:         invoice.totals.total,
+        partyId:           invoice.partyId,
+        allocations:       [{ transactionId: tx.id, amount: tx.grossAmount }],
+        entries:           tx.entries.map(e => ({ account: e.account, dr: Number(e.cr) || 0, cr: Number(e.dr) || 0 })),
+        id:                newId(),
+        businessId:        business.id,
+        revision:          1,
+        seq:               nextSyncSeq(),
+        createdAt:         now,
+        updatedAt:         now
+    }));
+};
+
+// What is still owed on an issued invoice, after receipts set against the
+// customer's account
+const invoiceBalanceDue = (invoice, party, transactions) => {
+    if (!['issued', 'paid'].includes(invoice.status) || !party) return 0;
+    const ids = new Set((invoice.transactionIds || []).map(String));
+    return round2(partyOpenItems(party, transactions).items
+        .filter(i => ids.has(String(i.transactionId)))
+        .reduce((s, i) => s + i.open, 0));
+};
+
+// Loads the invoice named in the URL, with its customer
+const loadInvoice = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+
+    const invoices = getInvoices(ctx.business.id);
+    const invoice  = invoices.find(i => i.id === req.params.invoiceId);
+    if (!invoice) {
+        res.status(404).json({ error: 'Invoice not found' });
+        return null;
+    }
+    const parties = getParties(ctx.business.id);
+    return { ...ctx, invoices, invoice, parties, party: parties.find(p => p.id === invoice.partyId) || null };
+};
+
+// ─────────────────────────────────────────────
+// INVOICE PDF
+// A minimal single-font PDF 1.4 writer (Helvetica / Helvetica-Bold, which
+// every viewer has built in, so no fonts are embedded). Text is WinAnsi;
+// characters outside it print as '?'. Coordinates are points from the
+// bottom-left of an A4 page.
+// ─────────────────────────────────────────────
+const PDF_PAGE = { width: 595, height: 842, margin: 40 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const pdfSafeText = (s) => String(s ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+// Bold is drawn about 5% wider than regular
+const pdfTextWidth = (text, size, bold = false) => {
+    let w = 0;
+    for (const ch of pdfSafeText(text)) w += HELVETICA_WIDTHS[ch.charCodeAt(0) - 32] || 556;
+    return w * size / 1000 * (bold ? 1.05 : 1);
+};
+
+// Breaks text into lines no wider than `width`
+const wrapPdfText = (text, width, size, bold = false) => {
+    const lines = [];
+    for (const paragraph of pdfSafeText(text).split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const next = line ? `${line} ${word}` : word;
+            if (line && pdfTextWidth(next, size, bold) > width) {
+                lines.push(line);
+                line = word;
+            } else line = next;
+        }
+        lines.push(line);
+    }
+    return lines;
+};
+
+// Collects drawing operators page by page
+const createPdfCanvas = () => {
+    const pages = [[]];
+    const ops = () => pages[pages.length - 1];
+    const num = (n) => String(Math.round(n * 100) / 100);
+    const escape = (s) => pdfSafeText(s).replace(/([\\()])/g, '\\$1');
+
+    return {
+        pages,
+        addPage: () => pages.push([]),
+        text: (x, y, s, { size = 9, bold = false, align = 'left', width = 0 } = {}) => {
+            let left = x;
+            if (align === 'right')  left = x + width - pdfTextWidth(s, size, bold);
+            if (align === 'center') left = x + (width - pdfTextWidth(s, size, bold)) / 2;
+            ops().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(y)} Td (${escape(s)}) Tj ET`);
+        },
+        line: (x1, y1, x2, y2, lineWidth = 0.5) =>
+            ops().push(`${lineWidth} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`),
+        fillRect: (x, y, w, h, gray = 0.92) =>
+            ops().push(`${gray} g ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f 0 g`)
+    };
+};
+
+const buildPdf = (pages) => {
+    const objects = [];
+    const add = (body) => { objects.push(body); return objects.length; };
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold    = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const kids = pages.map(ops => {
+        const stream = ops.join('\n');
+        const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] `
+            + `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+    });
+    objects[catalog - 1]  = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        + offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+        + `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+};
+
+// 1,20,000.00
+const formatIndianAmount = (n) => (Number(n) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const WORDS_ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const WORDS_TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Whole numbers in the Indian system: crore, lakh, thousand, hundred
+const numberInWords = (n) => {
+    if (n === 0) return 'Zero';
+    const below100 = (x) => x < 20 ? WORDS_ONES[x] : `${WORDS_TENS[Math.floor(x / 10)]} ${WORDS_ONES[x % 10]}`.trim();
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    if (crore) parts.push(`${numberInWords(crore)} Crore`);
+    const lakh = Math.floor(n / 100000) % 100;
+    if (lakh) parts.push(`${below100(lakh)} Lakh`);
+    const thousand = Math.floor(n / 1000) % 100;
+    if (thousand) parts.push(`${below100(thousand)} Thousand`);
+    const hundred = Math.floor(n / 100) % 10;
+    if (hundred) parts.push(`${WORDS_ONES[hundred]} Hundred`);
+    if (n % 100) parts.push(below100(n % 100));
+    return parts.join(' ');
+};
+
+const amountInWords = (amount, currency = 'INR') => {
+    const whole = Math.floor(round2(amount));
+    const cents = Math.round((round2(amount) - whole) * 100);
+    const unit  = currency === 'INR' ? 'Rupees' : currency;
+    return `${unit} ${numberInWords(whole)}${cents ? ` and ${numberInWords(cents)} ${currency === 'INR' ? 'Paise' : 'Cents'}` : ''} Only`;
+};
+
+const stateLabel = (code) => (code && GST_STATES[code] ? `${GST_STATES[code]} (${code})` : '');
+
+// Invoice columns: x offset, width and alignment
+const INVOICE_PDF_COLUMNS = [
+    { key: 'no',          title: '#',           x: 40,  w: 18,  align: 'left'  },
+    { key: 'description', title: 'Description', x: 58,  w: 170, align: 'left'  },
+    { key: 'hsn',         title: 'HSN/SAC',     x: 232, w: 46,  align: 'left'  },
+    { key: 'quantity',    title: 'Qty',         x: 278, w: 42,  align: 'right' },
+    { key: 'rate',        title: 'Rate',        x: 320, w: 62,  align: 'right' },
+    { key: 'taxable',     title: 'Taxable',     x: 382, w: 66,  align: 'right' },
+    { key: 'gstRate',     title: 'GST %',       x: 448, w: 36,  align: 'right' },
+    { key: 'total',       title: 'Amount',      x: 484, w: 71,  align: 'right' }
+];
+
+const renderInvoicePdf = (invoice, business) => {
+    const { width, height, margin } = PDF_PAGE;
+    const right = width - margin;
+    const pdf = createPdfCanvas();
+    const currency = business.currency || 'INR';
+    const businessState = stateCodeFromGSTIN(business.gstNumber);
+
+    const title = invoice.status === 'draft' ? 'DRAFT INVOICE'
+        : `${business.gstNumber ? 'TAX INVOICE' : 'INVOICE'}${invoice.status === 'cancelled' ? ' - CANCELLED' : ''}`;
+    pdf.text(margin, height - 50, title, { size: 16, bold: true, align: 'center', width: right - margin });
+
+    // Supplier, left
+    let y = height - 80;
+    pdf.text(margin, y, business.name, { size: 13, bold: true });
+    y -= 14;
+    for (const l of wrapPdfText(business.address || '', 260, 9)) { if (l) { pdf.text(margin, y, l); y -= 11; } }
+    if (business.gstNumber) { pdf.text(margin, y, `GSTIN: ${business.gstNumber}`); y -= 11; }
+    if (businessState)      { pdf.text(margin, y, `State: ${stateLabel(businessState)}`); y -= 11; }
+
+    // Invoice details, right
+    let ry = height - 80;
+    [
+        ['Invoice No', invoice.number || '(not issued)'],
+        ['Invoice Date', invoice.date],
+        ['Due Date', invoice.dueDate || ''],
+        ['Place of Supply', stateLabel(invoice.placeOfSupply)],
+        ['Reverse Charge', 'No']
+    ].forEach(([k, v]) => {
+        pdf.text(340, ry, `${k}:`, { bold: true });
+        pdf.text(420, ry, v);
+        ry -= 12;
+    });
+
+    // Recipient
+    y = Math.min(y, ry) - 12;
+    pdf.line(margin, y + 6, right, y + 6);
+    pdf.text(margin, y - 6, 'Bill To', { bold: true, size: 10 });
+    y -= 20;
+    pdf.text(margin, y, invoice.customer.name, { bold: true });
+    y -= 11;
+    for (const l of wrapPdfText(invoice.customer.address || '', 300, 9)) { if (l) { pdf.text(margin, y, l); y -= 11; } }
+    if (invoice.customer.gstin) { pdf.text(margin, y, `GSTIN: ${invoice.customer.gstin}`); y -= 11; }
+    if (invoice.customer.state) { pdf.text(margin, y, `State: ${stateLabel(invoice.customer.state)}`); y -= 11; }
+
+    // Line items
+    const header = (top) => {
+        pdf.fillRect(margin, top - 14, right - margin, 16);
+        INVOICE_PDF_COLUMNS.forEach(c => pdf.text(c.x + 2, top - 9, c.title, { size: 8.5, bold: true, align: c.align, width: c.w - 4 }));
+        return top - 18;
+    };
+    y = header(y - 8);
+    invoice.lines.forEach((l, i) => {
+        const desc = wrapPdfText(l.description, 166, 8.5);
+        if (y - desc.length * 11 < 170) {
+            pdf.addPage();
+            y = header(height - margin);
+        }
+        const cells = {
+            no:       String(i + 1),
+            hsn:      l.hsn,
+            quantity: `${l.quantity}${l.unit ? ` ${l.unit}` : ''}`,
+            rate:     formatIndianAmount(l.rate),
+            taxable:  formatIndianAmount(l.taxable),
+            gstRate:  `${l.gstRate}%`,
+            total:    formatIndianAmount(l.total)
+        };
+        INVOICE_PDF_COLUMNS.forEach(c => {
+            if (c.key === 'description') desc.forEach((d, j) => pdf.text(c.x + 2, y - 8 - j * 11, d, { size: 8.5 }));
+            else pdf.text(c.x + 2, y - 8, cells[c.key], { size: 8.5, align: c.align, width: c.w - 4 });
+        });
+        y -= desc.length * 11 + 5;
+        pdf.line(margin, y, right, y, 0.25);
+    });
+
+    // Totals, with room left for the signature block
+    if (y < 230) {
+        pdf.addPage();
+        y = height - margin;
+    }
+    y -= 16;
+    const t = invoice.totals;
+    const rows = [['Taxable Value', t.taxable]];
+    if (invoice.supplyType === 'INTER') rows.push(['IGST', t.igst]);
+    else rows.push(['CGST', t.cgst], ['SGST', t.sgst]);
+    rows.forEach(([k, v]) => {
+        pdf.text(360, y, k);
+        pdf.text(450, y, formatIndianAmount(v), { align: 'right', width: right - 452 });
+        y -= 13;
+    });
+    pdf.line(360, y + 9, right, y + 9);
+    pdf.text(360, y - 4, `Total (${currency})`, { bold: true, size: 10 });
+    pdf.text(450, y - 4, formatIndianAmount(t.total), { bold: true, size: 10, align: 'right', width: right - 452 });
+    y -= 24;
+
+    for (const l of wrapPdfText(`Amount in words: ${amountInWords(t.total, currency)}`, right - margin, 9)) {
+        pdf.text(margin, y, l);
+        y -= 11;
+    }
+    if (invoice.notes) {
+        y -= 6;
+        pdf.text(margin, y, 'Notes', { bold: true });
+        y -= 11;
+        for (const l of wrapPdfText(invoice.notes, right - margin, 9)) { pdf.text(margin, y, l); y -= 11; }
+    }
+
+    // Signature block
+    pdf.text(340, 90, `For ${business.name}`, { bold: true, align: 'right', width: right - 340 });
+    pdf.text(340, 50, 'Authorised Signatory', { align: 'right', width: right - 340 });
+    pdf.text(margin, 30, 'This is a computer generated invoice.', { size: 7.5 });
+
+    return buildPdf(pdf.pages);
+};
+
+// ─────────────────────────────────────────────
+// ATTACHMENTS
+// Bills and receipts kept against a transaction. File bytes go to a
+// pluggable store (ATTACHMENT_STORE=disk writes under ATTACHMENTS_DIR);
+// metadata lives in the business's 'attachments' document:
+//   { id, transactionId, filename, contentType, size, sha256, storageKey,
+//     uploadedBy, uploadedAt }
+// The content type is taken from the file's own bytes, never from the name
+// or the client's header. Attachments outlive a deleted transaction so that
+// reverting it (see AUDIT TRAIL) brings its bills back too.
+// ─────────────────────────────────────────────
+const ATTACHMENT_TYPES = {
+    'application/pdf': (b) => b.subarray(0, 5).toString('latin1') === '%PDF-',
+    'image/jpeg':      (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF,
+    'image/png':       (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])),
+    'image/webp':      (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+const MAX_ATTACHMENTS_PER_TRANSACTION = 20;
+
+const attachmentStores = {
+    disk: {
+        save: (key, data) => {
+            const file = path.join(ATTACHMENTS_DIR, key);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file + '.tmp', data);
+            fs.renameSync(file + '.tmp', file);
+        },
+        read:   (key) => fs.readFileSync(path.join(ATTACHMENTS_DIR, key)),
+        remove: (key) => fs.rmSync(path.join(ATTACHMENTS_DIR, key), { force: true })
+    }
+};
+
+const attachmentStore = () => {
+    const backend = attachmentStores[ATTACHMENT_STORE];
+    if (!backend) throw new Error(`Unknown ATTACHMENT_STORE '${ATTACHMENT_STORE}'`);
+    return backend;
+};
+
+const getAttachments = (bizId) => store.getDoc('attachments', bizId) || [];
+
+// Content type from the file's magic bytes, or null when it is not allowed
+const sniffAttachmentType = (buffer) =>
+    Object.keys(ATTACHMENT_TYPES).find(type => ATTACHMENT_TYPES[type](buffer)) || null;
+
+// Keeps the name readable but safe to put in a Content-Disposition header
+const safeFilename = (name, contentType) => {
+    const base = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').trim().slice(0, 150);
+    return base || `attachment.${contentType.split('/')[1].replace('jpeg', 'jpg')}`;
+};
+
+// Input tax a posted transaction claims, from its Input CGST/SGST/IGST and
+// Input Tax Credit debits
+const claimedITC = (tx) => round2((tx.entries || [])
+    .filter(e => /^Input (CGST|SGST|IGST|Tax Credit)$/.test(e.account))
+    .reduce((s, e) => s + (Number(e.dr) || 0) - (Number(e.cr) || 0), 0));
+
+// Posted transactions in [from, to] that claim input tax credit but have no
+// bill attached — the credit is at risk if the return is audited
+const buildMissingBillsReport = (transactions, attachments, from, to) => {
+    const billed = new Set(attachments.map(a => String(a.transactionId)));
+    const claiming = transactions
+        .filter(tx => isPosted(tx) && tx.date >= from && tx.date <= to && claimedITC(tx) > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const missing = claiming.filter(tx => !billed.has(String(tx.id))).map(tx => ({
+        id:                tx.id,
+        date:              tx.date,
+        desc:              tx.desc,
+        category:          tx.category,
+        grossAmount:       tx.grossAmount,
+        itc:               claimedITC(tx),
+        counterpartyGstin: tx.counterpartyGstin || ''
+    }));
+    return {
+        from,
+        to,
+        claimingTransactions: claiming.length,
+        withBills:            claiming.length - missing.length,
+        missingBills:         missing.length,
+        itcAtRisk:            round2(missing.reduce((s, t) => s + t.itc, 0)),
+        transactions:         missing
+    };
+};
+
+// Loads the attachment named in the URL
+const loadAttachment = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+    const attachments = getAttachments(ctx.business.id);
+    const attachment  = attachments.find(a => a.id === req.params.attachmentId);
+    if (!attachment) {
+        res.status(404).json({ error: 'Attachment not found' });
+        return null;
+    }
+    return { ...ctx, attachments, attachment };
+};
+
+// ─────────────────────────────────────────────
+// PERIOD LOCKS
+// business.lockedMonths holds 'YYYY-MM' strings for months the owner has
+// closed. No write path may create, change or remove a transaction dated
+// inside a locked month, or move one into or out of it.
+// ─────────────────────────────────────────────
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const monthOf = (date) => (typeof date === 'string' ? date.slice(0, 7) : '');
+
+const isDateLocked = (business, date) =>
+    !!business && (business.lockedMonths || []).includes(monthOf(date));
+
+// Key-order independent JSON, so a client re-serialising a record is not a change
+const stableStringify = (v) => {
+    if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+    if (v && typeof v === 'object') {
+        return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(v);
+};
+
+// Compares transactions ignoring the server-managed sync fields
+const sameTransaction = (a, b) => {
+    const strip = ({ updatedAt, revision, seq, ...rest }) => rest;
+    return stableStringify(strip(a)) === stableStringify(strip(b));
+};
+
+// Returns [{ id, date, month }] for every change a sync would make inside a locked month
+const findLockedChanges = (business, existing, incoming) => {
+    if (!business || !(business.lockedMonths || []).length) return [];
+    const before = new Map(existing.map(tx => [String(tx.id), tx]));
+    const after  = new Map(incoming.map(tx => [String(tx.id), tx]));
+    const locked = [];
+
+    for (const id of new Set([...before.keys(), ...after.keys()])) {
+        const oldTx = before.get(id);
+        const newTx = after.get(id);
+        if (oldTx && newTx && sameTransaction(oldTx, newTx)) continue;
+        for (const tx of [oldTx, newTx]) {
+            if (tx && isDateLocked(business, tx.date)) {
+                locked.push({ id: tx.id, date: tx.date, month: monthOf(tx.date) });
+                break;
+            }
+        }
+    }
+    return locked;
+};
+
+const sendPeriodLocked = (res, locked) => {
+    const months = [...new Set(locked.map(l => l.month))].sort();
+    return res.status(423).json({
+        error: `Period locked: ${months.join(', ')}. Reopen the month before changing its transactions.`,
+        lockedMonths: months,
+        transactions: locked
+    });
+};
+
+// Closing balances of every account at the end of `month`
+const buildClosingSnapshot = (ledger, business, month) => {
+    const period = resolveTaxPeriod(month);
+    const fyStart = getFinancialYear(period.to, business.financialYearStart).start;
+    const trial = buildTrialBalance(ledger, business, fyStart, period.to);
+    return {
+        asOf:     period.to,
+        balances: trial.accounts.map(r => ({
+            account: r.account,
+            type:    r.type,
+            balance: round2(naturalBalance(r.type, r.closingDebit, r.closingCredit))
+        })),
+        totalDebit:  trial.totalDebit,
+        totalCredit: trial.totalCredit,
+        profitAndLoss: buildProfitAndLoss(ledger, `${month}-01`, period.to).netProfit
+    };
+};
+
+// ─────────────────────────────────────────────
+// TRANSACTION VALIDATION
+// Every transaction a client writes (sync push, legacy sync, revert) is
+// checked before it is stored: field types, accounts against the business's
+// chart, debits equal to credits, TDS against tdsRate, and GST recomputed from
+// gstRate and isInclusiveGST exactly as generateJournalEntries does. Errors
+// come back per field: [{ field, message }], with field paths like 'entries[1].dr'.
+// ─────────────────────────────────────────────
+const TRANSACTION_STATUSES = ['draft', 'confirmed'];
+const SUPPLY_TYPES = ['INTRA', 'INTER'];
+// Fixed asset register postings move no money: depreciation has no mode and
+// an asset scrapped for nothing has no proceeds
+const NON_CASH_KINDS = ['depreciation', 'disposal'];
+
+// Non-negative amount in rupees and paise
+const isMoney = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && Math.abs(round2(n) - n) < 1e-9;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+// Type of a posting account in the chart, or of an account the journal engine posts to
+const postingAccountType = (chart, name) => {
+    const account = chartAccountByName(chart, name);
+    return account ? account.type : SYSTEM_ACCOUNTS[name];
+};
+
+// Invoice transactions (and credit notes reversing them) add up tax computed
+// line by line, and Tally vouchers carry the tax Tally worked out, so neither
+// can be recomputed from the totals
+const hasRecomputableGST = (tx) => !['invoice', 'credit-note'].includes(tx.kind) && !NON_CASH_KINDS.includes(tx.kind) && !tx.voucherType;
+
+const validateTransaction = (tx, chart) => {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    if (!tx || typeof tx !== 'object' || Array.isArray(tx)) {
+        fail('transaction', 'must be an object');
+        return errors;
+    }
+
+    if (!isValidDate(tx.date)) fail('date', 'must be a valid YYYY-MM-DD date');
+    if (typeof tx.desc !== 'string' || !tx.desc.trim() || tx.desc.length > 500) fail('desc', 'must be 1-500 characters');
+    if (tx.status !== undefined && !TRANSACTION_STATUSES.includes(tx.status)) fail('status', `must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+    const nonCash = NON_CASH_KINDS.includes(tx.kind);
+    if (!(nonCash && tx.mode === undefined) && !PAYMENT_MODES.includes(tx.mode)) fail('mode', `must be one of: ${PAYMENT_MODES.join(', ')}`);
+
+    if (!ACCOUNT_TYPES.includes(tx.accountType)) fail('accountType', `must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+    const categoryType = postingAccountType(chart, tx.category);
+    if (!categoryType) fail('category', 'must be a posting account in the chart of accounts');
+    else if (ACCOUNT_TYPES.includes(tx.accountType) && categoryType !== tx.accountType) {
+        fail('category', `${tx.category} is a ${categoryType} account, not ${tx.accountType}`);
+    }
+
+    const gstRate = tx.gstRate === undefined ? 0 : tx.gstRate;
+    if (![0, ...GST_RATES].includes(gstRate)) fail('gstRate', `must be one of: 0, ${GST_RATES.join(', ')}`);
+    if (tx.isInclusiveGST !== undefined && typeof tx.isInclusiveGST !== 'boolean') fail('isInclusiveGST', 'must be true or false');
+    if (tx.supplyType !== undefined && !SUPPLY_TYPES.includes(tx.supplyType)) fail('supplyType', `must be one of: ${SUPPLY_TYPES.join(', ')}`);
+
+    const amountFields = ['netAmount', 'gstAmount', 'grossAmount'];
+    const splitFields  = ['cgstAmount', 'sgstAmount', 'igstAmount'].filter(k => tx[k] !== undefined);
+    const badAmounts = [...amountFields, ...splitFields].filter(k => !isMoney(tx[k]));
+    badAmounts.forEach(k => fail(k, 'must be a non-negative amount with at most 2 decimals'));
+    if (!badAmounts.includes('grossAmount') && !nonCash && !(tx.grossAmount > 0)) fail('grossAmount', 'must be more than 0');
+
+    if (!badAmounts.some(k => amountFields.includes(k))) {
+        if (!sameAmount(tx.netAmount + tx.gstAmount, tx.grossAmount)) {
+            fail('grossAmount', `must equal netAmount plus gstAmount (${round2(tx.netAmount + tx.gstAmount)})`);
+        } else if (hasRecomputableGST(tx) && !errors.some(e => ['gstRate', 'isInclusiveGST', 'supplyType'].includes(e.field))) {
+            const inclusive = tx.isInclusiveGST === true;
+            const expected = generateJournalEntries(inclusive ? tx.grossAmount : tx.netAmount, tx.mode, tx.accountType,
+                tx.category, gstRate, inclusive, tx.supplyType || 'INTRA');
+            const basis = gstRate ? `${gstRate}% GST ${inclusive ? 'inclusive' : 'exclusive'}` : 'no GST';
+            amountFields.forEach(k => {
+                if (!sameAmount(tx[k], expected[k])) fail(k, `must be ${expected[k]} for ${basis}`);
+            });
+            if (!badAmounts.some(k => splitFields.includes(k))) {
+                splitFields.forEach(k => {
+                    if (!sameAmount(tx[k], expected[k])) fail(k, `must be ${expected[k]} for supplyType ${tx.supplyType || 'INTRA'}`);
+                });
+            }
+        }
+    }
+
+    const hasTds = tx.tdsAmount !== undefined && tx.tdsAmount !== 0;
+    if (hasTds) {
+        if (tx.accountType !== 'Expense') fail('tdsAmount', 'TDS is only deducted on expenses');
+        if (typeof tx.tdsSection !== 'string' || !tx.tdsSection.trim()) fail('tdsSection', 'is required with tdsAmount');
+        if (!(typeof tx.tdsRate === 'number' && tx.tdsRate > 0 && tx.tdsRate <= 100)) fail('tdsRate', 'must be a percentage above 0 and up to 100');
+        else if (!isMoney(tx.tdsAmount)) fail('tdsAmount', 'must be a non-negative amount with at most 2 decimals');
+        // More is allowed on the payment that crosses the annual threshold,
+        // which catches up on the deductee's earlier payments that year
+        else if (isMoney(tx.netAmount) && (tx.tdsAmount < tdsOn(tx.netAmount, tx.tdsRate) || tx.tdsAmount > tx.netAmount)) {
+            fail('tdsAmount', `must be from ${tdsOn(tx.netAmount, tx.tdsRate)} (${tx.tdsRate}% of netAmount) up to netAmount`);
+        }
+    }
+    if (tx.deducteePan !== undefined && tx.deducteePan !== '' && !PAN_PATTERN.test(tx.deducteePan)) {
+        fail('deducteePan', 'must be a PAN in the format AAAAA0000A');
+    }
+
+    if (!Array.isArray(tx.entries) || tx.entries.length < 2) {
+        fail('entries', 'must have at least two journal lines');
+        return errors;
+    }
+    let totalDr = 0;
+    let totalCr = 0;
+    tx.entries.forEach((e, i) => {
+        const at = `entries[${i}]`;
+        if (!e || typeof e !== 'object') {
+            fail(at, 'must be { account, dr, cr }');
+            return;
+        }
+        if (!postingAccountType(chart, e.account)) fail(`${at}.account`, 'must be a posting account in the chart of accounts');
+        const dr = e.dr === undefined ? 0 : e.dr;
+        const cr = e.cr === undefined ? 0 : e.cr;
+        if (!isMoney(dr)) fail(`${at}.dr`, 'must be a non-negative amount with at most 2 decimals');
+        if (!isMoney(cr)) fail(`${at}.cr`, 'must be a non-negative amount with at most 2 decimals');
+        if (!isMoney(dr) || !isMoney(cr)) return;
+        if ((dr > 0) === (cr > 0)) fail(at, 'must have either a debit or a credit');
+        totalDr += dr;
+        totalCr += cr;
+    });
+    if (!errors.some(e => e.field.startsWith('entries[')) && !sameAmount(totalDr, totalCr)) {
+        fail('entries', `debits (${round2(totalDr)}) must equal credits (${round2(totalCr)})`);
+    }
+    if (hasTds && isMoney(tx.tdsAmount) && !errors.some(e => e.field.startsWith('entries'))) {
+        const credited = tx.entries.filter(e => e.account === 'TDS Payable').reduce((s, e) => s + (e.cr || 0), 0);
+        if (!sameAmount(credited, tx.tdsAmount)) fail('entries', `must credit tdsAmount (${tx.tdsAmount}) to TDS Payable`);
+    }
+    return errors;
+};
+
+// One-line summary of validation errors, for the `error` field of a response
+const describeTransactionErrors = (errors) => errors.map(e => `${e.field} ${e.message}`).join('. ');
+
+// Validates every transaction a legacy sync adds or changes. Returns
+// [{ id, errors }] for the ones that fail.
+const findInvalidTransactions = (existing, incoming, chart) => {
+    const before = new Map(existing.map(tx => [String(tx.id), tx]));
+    return incoming
+        .filter(tx => !(tx && before.has(String(tx.id)) && sameTransaction(before.get(String(tx.id)), tx)))
+        .map(tx => ({ id: tx && tx.id, errors: validateTransaction(tx, chart) }))
+        .filter(r => r.errors.length);
+};
+
+// ─────────────────────────────────────────────
+// TRANSACTION QUERIES
+// Filtering, sorting and cursor pagination for the per-business
+// transaction listing, so clients can page through the ledger instead of
+// pulling every transaction through /api/sync. The cursor is the sort value
+// and id of the last row of the previous page (keyset pagination), so pages
+// do not shift when transactions are added or removed in between.
+// ─────────────────────────────────────────────
+const TRANSACTION_SORTS = {
+    date:      (tx) => tx.date || '',
+    amount:    (tx) => Number(tx.grossAmount) || 0,
+    createdAt: (tx) => tx.createdAt || '',
+    updatedAt: (tx) => tx.updatedAt || ''
+};
+const MAX_TRANSACTION_PAGE = 500;
+
+// ?mode=Cash,Bank and ?mode=Cash&mode=Bank alike
+const queryList = (value) => (value === undefined ? [] : [].concat(value))
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+
+const decodeCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        const valid = cursor && Array.isArray(cursor.key) && cursor.key.length === 2
+            && ['string', 'number'].includes(typeof cursor.key[0]) && typeof cursor.key[1] === 'string';
+        return valid ? cursor : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Validates the listing query string. Returns { errors, query }.
+const parseTransactionQuery = (input) => {
+    const errors = [];
+    const query  = {};
+
+    query.from = input.from || null;
+    query.to   = input.to || null;
+    if ((query.from && !isValidDate(query.from)) || (query.to && !isValidDate(query.to))) errors.push('from and to must be dates in YYYY-MM-DD format');
+    else if (query.from && query.to && query.from > query.to) errors.push('from must be on or before to');
+
+    query.accountTypes = queryList(input.accountType);
+    if (query.accountTypes.some(t => !ACCOUNT_TYPES.includes(t))) errors.push(`accountType must be one or more of: ${ACCOUNT_TYPES.join(', ')}`);
+    query.categories = queryList(input.category);
+    query.modes = queryList(input.mode);
+    if (query.modes.some(m => !PAYMENT_MODES.includes(m))) errors.push(`mode must be one or more of: ${PAYMENT_MODES.join(', ')}`);
+    query.gstRates = queryList(input.gstRate).map(Number);
+    if (query.gstRates.some(r => ![0, ...GST_RATES].includes(r))) errors.push(`gstRate must be one or more of: 0, ${GST_RATES.join(', ')}`);
+    query.statuses = queryList(input.status);
+    if (query.statuses.some(s => !TRANSACTION_STATUSES.includes(s))) errors.push(`status must be one or more of: ${TRANSACTION_STATUSES.join(', ')}`);
+
+    query.minAmount = input.minAmount === undefined ? null : Number(input.minAmount);
+    query.maxAmount = input.maxAmount === undefined ? null : Number(input.maxAmount);
+    if ([query.minAmount, query.maxAmount].some(a => a !== null && !(a >= 0))) errors.push('minAmount and maxAmount must be numbers of 0 or more');
+    else if (query.minAmount !== null && query.maxAmount !== null && query.minAmount > query.maxAmount) errors.push('minAmount must not be more than maxAmount');
+
+    const search = typeof input.q === 'string' ? input.q.trim().toLowerCase() : '';
+    if (search.length > 200) errors.push('q must be at most 200 characters');
+    query.terms = search.split(/\s+/).filter(Boolean);
+
+    query.sort  = input.sort || 'date';
+    query.order = input.order || 'desc';
+    if (!TRANSACTION_SORTS[query.sort]) errors.push(`sort must be one of: ${Object.keys(TRANSACTION_SORTS).join(', ')}`);
+    if (!['asc', 'desc'].includes(query.order)) errors.push("order must be 'asc' or 'desc'");
+
+    query.limit = input.limit === undefined ? 50 : Number(input.limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_TRANSACTION_PAGE) errors.push(`limit must be a whole number from 1 to ${MAX_TRANSACTION_PAGE}`);
+
+    query.cursor = null;
+    if (input.cursor !== undefined) {
+        query.cursor = decodeCursor(input.cursor);
+        if (!query.cursor) errors.push('cursor is not valid');
+        else if (query.cursor.sort !== query.sort || query.cursor.order !== query.order) errors.push('cursor belongs to a different sort order');
+    }
+    return { errors, query };
+};
+
+const transactionMatches = (tx, query) => {
+    const amount = Number(tx.grossAmount) || 0;
+    const desc   = String(tx.desc || '').toLowerCase();
+    return (!query.from || tx.date >= query.from)
+        && (!query.to || tx.date <= query.to)
+        && (!query.accountTypes.length || query.accountTypes.includes(tx.accountType))
+        && (!query.categories.length || query.categories.includes(tx.category))
+        && (!query.modes.length || query.modes.includes(tx.mode))
+        && (!query.gstRates.length || query.gstRates.includes(Number(tx.gstRate) || 0))
+        && (!query.statuses.length || query.statuses.includes(tx.status === 'draft' ? 'draft' : 'confirmed'))
+        && (query.minAmount === null || amount >= query.minAmount)
+        && (query.maxAmount === null || amount <= query.maxAmount)
+        && query.terms.every(t => desc.includes(t));
+};
+
+// Sort value and id; the id breaks ties so every row has a unique position
+const transactionSortKey = (tx, sort) => [TRANSACTION_SORTS[sort](tx), String(tx.id)];
+
+const compareSortKeys = (a, b, order) => {
+    const cmp = a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+    return order === 'desc' ? -cmp : cmp;
+};
+
+// Totals over the whole filtered set, not just the page
+const transactionTotals = (transactions) => {
+    const totals = { count: 0, netAmount: 0, gstAmount: 0, grossAmount: 0, byAccountType: {} };
+    for (const tx of transactions) {
+        const t = totals.byAccountType[tx.accountType] || (totals.byAccountType[tx.accountType] = { count: 0, netAmount: 0, gstAmount: 0, grossAmount: 0 });
+        for (const acc of [totals, t]) {
+            acc.count++;
+            acc.netAmount   += Number(tx.netAmount) || 0;
+            acc.gstAmount   += Number(tx.gstAmount) || 0;
+            acc.grossAmount += Number(tx.grossAmount) || 0;
+        }
+    }
+    const rounded = (t) => ({ ...t, netAmount: round2(t.netAmount), gstAmount: round2(t.gstAmount), grossAmount: round2(t.grossAmount) });
+    return {
+        ...rounded(totals),
+        byAccountType: Object.fromEntries(Object.entries(totals.byAccountType).map(([type, t]) => [type, rounded(t)]))
+    };
+};
+
+// Filters, sorts and pages a list of transactions, for the json store; the
+// SQLite store runs the same query in SQL.
+// Returns { transactions, nextCursor, totals }.
+const queryTransactions = (transactions, query) => {
+    const matching = transactions
+        .filter(tx => transactionMatches(tx, query))
+        .map(tx => ({ tx, key: transactionSortKey(tx, query.sort) }))
+        .sort((a, b) => compareSortKeys(a.key, b.key, query.order));
+    const start = query.cursor ? matching.findIndex(m => compareSortKeys(m.key, query.cursor.key, query.order) > 0) : 0;
+    const rest  = start === -1 ? [] : matching.slice(start);
+    const page  = rest.slice(0, query.limit);
+    const last  = page[page.length - 1];
+    return {
+        transactions: page.map(m => m.tx),
+        nextCursor:   rest.length > query.limit ? encodeCursor({ sort: query.sort, order: query.order, key: last.key }) : null,
+        totals:       transactionTotals(matching.map(m => m.tx))
+    };
+};
+
+// ─────────────────────────────────────────────
+// AUDIT TRAIL
+// Every create, update and delete of a transaction appends an entry to the
+// store's audit log: who, when, through what (source) and the transaction
+// as it was before and after. Entries are chained per business (each holds
+// the SHA-256 of the one before it) so that tampering with the log itself
+// shows up in verifyAuditChain. Nothing is ever rewritten; reverting a
+// transaction is a new 'revert' entry.
+//   entry: { id, businessId, transactionId, action: 'create' | 'update' |
+//            'delete' | 'revert', source, userId, at, revision, before,
+//            after, prevHash, hash }
+// ─────────────────────────────────────────────
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'revert'];
+const MAX_AUDIT_PAGE = 500;
+
+// Where a new transaction came from, by the marks each path leaves on it
+const transactionSource = (tx) => {
+    if (tx.kind === 'invoice' || tx.kind === 'credit-note') return 'invoice';
+    if (tx.kind === 'settlement')  return 'settlement';
+    if (NON_CASH_KINDS.includes(tx.kind)) return 'asset-register';
+    if (tx.recurringId)            return 'recurring';
+    if (tx.importFingerprint)      return 'import';
+    if (tx.smartEntry)             return 'smart-entry';
+    return 'sync';
+};
+
+const auditHash = (entry) => {
+    const { id, hash, ...content } = entry;
+    return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+};
+
+// Appends one entry. `revision` is the one the change produced; deletes
+// take the revision their tombstone gets.
+const recordAudit = (bizId, action, { userId = null, source = null, before = null, after = null }) => {
+    const tx   = after || before;
+    const last = store.lastAudit(bizId);
+    const entry = clone({
+        businessId:    bizId,
+        transactionId: String(tx.id),
+        action,
+        source:        source || transactionSource(tx),
+        userId,
+        at:            new Date().toISOString(),
+        revision:      after ? revisionOf(after) : revisionOf(before) + 1,
+        before,
+        after,
+        prevHash:      last ? last.hash : null
+    });
+    entry.hash = auditHash(entry);
+    return store.appendAudit(entry);
+};
+
+// Top-level fields that differ between two versions, sync bookkeeping aside
+const auditChanges = (before, after) => {
+    const ignored = new Set(['revision', 'seq', 'updatedAt']);
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(k => !ignored.has(k))
+        .filter(k => stableStringify((before || {})[k]) !== stableStringify((after || {})[k]))
+        .map(k => ({ field: k, from: (before || {})[k] ?? null, to: (after || {})[k] ?? null }));
+};
+
+// Re-hashes the business's log. Returns { valid, entries, brokenAt } where
+// brokenAt is the id of the first entry that does not check out.
+const verifyAuditChain = (entries) => {
+    let prev = null;
+    for (const e of entries) {
+        if (e.prevHash !== prev || auditHash(e) !== e.hash) return { valid: false, entries: entries.length, brokenAt: e.id };
+        prev = e.hash;
+    }
+    return { valid: true, entries: entries.length, brokenAt: null };
+};
+
+// Audit entries as returned to the API, with user names resolved
+const publicAuditEntries = (entries) => {
+    const names = new Map();
+    const nameOf = (id) => {
+        if (!id) return null;
+        if (!names.has(id)) names.set(id, (store.getUserById(id) || {}).name || null);
+        return names.get(id);
+    };
+    return entries.map(e => ({ ...e, userName: nameOf(e.userId), changes: auditChanges(e.before, e.after) }));
+};
+
+// Puts a transaction back the way it was at `revision`, as recorded in the
+// audit log. Deleted transactions are restored. Returns { status, ... } with
+// status 'applied', 'not_found', 'locked', 'conflict' or 'invalid' (the old
+// version no longer passes validateTransaction, e.g. its account was removed).
+const revertTransaction = (business, txId, revision, userId, baseRevision) => {
+    const bizId   = business.id;
+    const history = store.getAuditLog(bizId, txId);
+    if (!history.length) return { status: 'not_found', error: 'No history recorded for this transaction' };
+
+    const version = [...history].reverse().find(e => e.after && revisionOf(e.after) === revision);
+    if (!version) return { status: 'not_found', error: `No recorded version ${revision} of this transaction` };
+
+    const current   = store.getTransaction(bizId, txId);
+    const tombstone = current ? null : getDeletedTransactions(bizId).find(d => String(d.id) === String(txId));
+    const latest    = current ? revisionOf(current) : (tombstone ? tombstone.revision : history[history.length - 1].revision);
+    if (baseRevision !== undefined && baseRevision !== latest) {
+        return { status: 'conflict', error: 'The transaction has changed since you loaded it', serverRevision: latest, server: current || null };
+    }
+    if (current && revisionOf(current) === revision) return { status: 'conflict', error: `Transaction is already at version ${revision}`, serverRevision: latest, server: current };
+
+    const target = version.after;
+    const month = [current && current.date, target.date].find(d => d && isDateLocked(business, d));
+    if (month) return { status: 'locked', error: `Period locked: ${monthOf(month)}` };
+
+    const errors = validateTransaction(target, getChartOfAccounts(bizId));
+    if (errors.length) return { status: 'invalid', error: `Version ${revision} cannot be restored: ${describeTransactionErrors(errors)}`, errors };
+
+    const now = new Date().toISOString();
+    const restored = {
+        ...clientTransactionFields(target),
+        id:           target.id,
+        businessId:   bizId,
+        revision:     latest + 1,
+        seq:          nextSyncSeq(),
+        createdAt:    target.createdAt || now,
+        updatedAt:    now,
+        revertedFrom: revision
+    };
+    store.saveTransaction(bizId, restored);
+    if (tombstone) store.setDoc('deletedTransactions', bizId, getDeletedTransactions(bizId).filter(d => String(d.id) !== String(txId)));
+    recordAudit(bizId, 'revert', { userId, source: 'revert', before: current || null, after: restored });
+    return { status: 'applied', transaction: restored };
+};
+
+// ─────────────────────────────────────────────
+// INCREMENTAL SYNC
+// Every change to a transaction takes the next value of a database-wide
+// sequence (store meta 'syncSeq'). Clients pull "changes since cursor" and push
+// per-transaction create/update/delete operations. Updates and deletes carry
+// the revision the client last saw; a mismatch is returned as a conflict
+// instead of overwriting the other device's edit.
+// ─────────────────────────────────────────────
+const SERVER_TX_FIELDS = ['id', 'businessId', 'revision', 'seq', 'createdAt', 'updatedAt'];
+
+const nextSyncSeq    = () => store.nextSeq('syncSeq');
+const currentSyncSeq = () => store.getMeta('syncSeq') || 0;
+
+// Client-supplied fields minus the ones only the server may set
+const clientTransactionFields = (tx) => {
+    const fields = { ...(tx || {}) };
+    SERVER_TX_FIELDS.forEach(k => delete fields[k]);
+    return fields;
+};
+
+// Transactions saved before revisions existed count as revision 1
+const revisionOf = (tx) => tx.revision || 1;
+
+const getDeletedTransactions = (bizId) => store.getDoc('deletedTransactions', bizId) || [];
+
+// Tombstones the transaction for cursor-based clients and audits the delete
+const recordDeletion = (bizId, tx, userId, source = 'sync') => {
+    const deleted = getDeletedTransactions(bizId);
+    deleted.push({
+        id:        tx.id,
+        businessId: bizId,
+        revision:  revisionOf(tx) + 1,
+        seq:       nextSyncSeq(),
+        deletedAt: new Date().toISOString(),
+        deletedBy: userId
+    });
+    store.setDoc('deletedTransactions', bizId, deleted);
+    recordAudit(bizId, 'delete', { userId, source, before: tx });
+};
+
+// Applies one push operation and returns its result entry.
+// Each operation succeeds or fails on its own; the batch is not atomic.
+// Creates and updates that fail validateTransaction are 'rejected' with
+// the per-field `errors`.
+// With draftsOnly (editor role) only draft transactions can be touched.
+const applySyncOperation = (business, op, userId, draftsOnly = false) => {
+    const bizId = business.id;
+    const now   = new Date().toISOString();
+    const base  = { op: op && op.op, clientId: op && op.clientId, id: op && op.id };
+
+    if (!op || !['create', 'update', 'delete'].includes(op.op)) {
+        return { ...base, status: 'rejected', error: "op must be 'create', 'update' or 'delete'" };
+    }
+
+    const draftError = { ...base, status: 'forbidden', error: 'Your role can only create and edit draft transactions' };
+
+    if (op.op === 'create') {
+        const fields = clientTransactionFields(op.transaction);
+        if (draftsOnly) {
+            if (fields.status && fields.status !== 'draft') return draftError;
+            fields.status = 'draft';
+        }
+        if (isDateLocked(business, fields.date)) {
+            return { ...base, status: 'locked', error: `Period locked: ${monthOf(fields.date)}` };
+        }
+        const errors = validateTransaction(fields, getChartOfAccounts(bizId));
+        if (errors.length) return { ...base, status: 'rejected', error: describeTransactionErrors(errors), errors };
+        const tx = { ...fields, id: newId(), businessId: bizId, revision: 1, seq: nextSyncSeq(), createdAt: now, updatedAt: now };
+        store.saveTransaction(bizId, tx);
+        recordAudit(bizId, 'create', { userId, after: tx });
+        learnFromConfirmation(bizId, tx, userId);
+        return { ...base, id: tx.id, status: 'applied', revision: tx.revision, transaction: tx };
+    }
+
+    const stored = store.getTransaction(bizId, op.id);
+    if (!stored) {
+        const deleted = getDeletedTransactions(bizId).find(d => String(d.id) === String(op.id));
+        if (deleted) return { ...base, status: 'conflict', reason: 'deleted', serverRevision: deleted.revision, server: null };
+        return { ...base, status: 'rejected', error: 'Transaction not found' };
+    }
+
+    if (draftsOnly && stored.status !== 'draft') return draftError;
+    if (op.baseRevision !== revisionOf(stored)) {
+        return { ...base, status: 'conflict', reason: 'stale', baseRevision: op.baseRevision, serverRevision: revisionOf(stored), server: stored };
+    }
+
+    if (op.op === 'update') {
+        const updated = { ...stored, ...clientTransactionFields(op.transaction) };
+        if (draftsOnly && updated.status !== 'draft') return draftError;
+        if (isDateLocked(business, stored.date) || isDateLocked(business, updated.date)) {
+            const month = isDateLocked(business, stored.date) ? monthOf(stored.date) : monthOf(updated.date);
+            return { ...base, status: 'locked', error: `Period locked: ${month}` };
+        }
+        const errors = validateTransaction(updated, getChartOfAccounts(bizId));
+        if (errors.length) return { ...base, status: 'rejected', error: describeTransactionErrors(errors), errors };
+        Object.assign(updated, { revision: revisionOf(stored) + 1, seq: nextSyncSeq(), updatedAt: now });
+        store.saveTransaction(bizId, updated);
+        recordAudit(bizId, 'update', { userId, source: 'sync', before: stored, after: updated });
+        learnFromConfirmation(bizId, updated, userId, stored);
+        return { ...base, status: 'applied', revision: updated.revision, transaction: updated };
+    }
+
+    if (isDateLocked(business, stored.date)) {
+        return { ...base, status: 'locked', error: `Period locked: ${monthOf(stored.date)}` };
+    }
+    store.deleteTransaction(bizId, stored.id);
+    recordDeletion(bizId, stored, userId);
+    return { ...base, status: 'applied' };
+};
+
+// Legacy full-array sync: diffs the incoming array against what is stored,
+// bumping revision/seq on changed transactions and tombstoning removed ones
+// so cursor-based clients still see the changes
+const mergeSyncedTransactions = (bizId, existing, incoming, userId) => {
+    const before = new Map(existing.map(tx => [String(tx.id), tx]));
+    const kept   = new Set();
+    const now = new Date().toISOString();
+
+    const merged = incoming.map(tx => {
+        const oldTx = before.get(String(tx.id));
+        kept.add(String(tx.id));
+        if (oldTx && sameTransaction(oldTx, tx)) return oldTx;
+        learnFromConfirmation(bizId, tx, userId, oldTx);
+        const saved = {
+            ...tx,
+            businessId: tx.businessId || bizId,
+            revision:   oldTx ? revisionOf(oldTx) + 1 : 1,
+            seq:        nextSyncSeq(),
+            createdAt:  (oldTx && oldTx.createdAt) || tx.createdAt || now,
+            updatedAt:  now
+        };
+        if (oldTx) recordAudit(bizId, 'update', { userId, source: 'sync', before: oldTx, after: saved });
+        else       recordAudit(bizId, 'create', { userId, after: saved });
+        return saved;
+    });
+
+    for (const tx of existing) {
+        if (!kept.has(String(tx.id))) recordDeletion(bizId, tx, userId);
+    }
+    return merged;
+};
+
+// What a legacy full-array sync would overwrite without the client having
+// seen it: a transaction left out of the array (so deleted) that changed
+// after `since`, the cursor of the client's last pull, or one sent back with
+// an older revision than the stored one. Shaped like push conflicts.
+const findSyncConflicts = (existing, incoming, since) => {
+    const after = new Map(incoming.map(tx => [String(tx && tx.id), tx]));
+    const conflicts = [];
+    for (const stored of existing) {
+        const tx = after.get(String(stored.id));
+        if (!tx) {
+            if ((stored.seq || 0) > since) conflicts.push({ id: stored.id, reason: 'changed', serverRevision: revisionOf(stored), server: stored });
+        } else if (tx.revision !== undefined && tx.revision < revisionOf(stored) && !sameTransaction(stored, tx)) {
+            conflicts.push({ id: stored.id, reason: 'stale', baseRevision: tx.revision, serverRevision: revisionOf(stored), server: stored });
+        }
+    }
+    return conflicts;
+};
+
+// ─────────────────────────────────────────────
+// RECURRING TRANSACTIONS
+// Templates live in the business's 'recurring' document. A template is
+// created from smart-entry text (parsed once, the text is kept for
+// reference) or from explicit transaction fields, and generates one
+// transaction per occurrence: a draft, or posted straight away with autoPost.
+// Occurrence n falls n * interval periods after startDate; monthly dates
+// keep the start day, clamped to the end of shorter months.
+// The scheduler runs at boot and every RECURRING_INTERVAL_MINUTES, and
+// generates everything that has fallen due since the last run. With
+// missed: 'skip', occurrences missed while the server was down are skipped
+// and only the latest is generated. Occurrences in locked months are skipped.
+// Store meta 'recurringBusinesses' lists the businesses that have templates.
+// ─────────────────────────────────────────────
+const RECURRING_FREQUENCIES = {
+    daily:     { days: 1 },
+    weekly:    { days: 7 },
+    monthly:   { months: 1 },
+    quarterly: { months: 3 },
+    yearly:    { months: 12 }
+};
+const RECURRING_MISSED_POLICIES = ['catch-up', 'skip'];
+const MAX_RECURRING_CATCH_UP    = 366;   // occurrences per template per run
+const MAX_RECURRING_SKIP_LOG    = 50;
+
+const getRecurringTemplates = (bizId) => store.getDoc('recurring', bizId) || [];
+
+const saveRecurringTemplates = (bizId, templates) => {
+    store.setDoc('recurring', bizId, templates);
+    const ids = new Set(store.getMeta('recurringBusinesses') || []);
+    if (templates.length) ids.add(bizId); else ids.delete(bizId);
+    store.setMeta('recurringBusinesses', [...ids]);
+};
+
+// Date of occurrence n (0 = startDate)
+const occurrenceDate = (template, n) => {
+    const freq = RECURRING_FREQUENCIES[template.frequency];
+    const step = n * (template.interval || 1);
+    if (freq.days) return shiftDays(template.startDate, step * freq.days);
+
+    const [y, m, d] = template.startDate.split('-').map(Number);
+    const months = m - 1 + step * freq.months;
+    const year   = y + Math.floor(months / 12);
+    const month  = months % 12;
+    const last   = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return isoFromParts(year, month + 1, Math.min(d, last));
+};
+
+// Next occurrence still to generate, or null once past endDate
+const nextOccurrence = (template) => {
+    const date = occurrenceDate(template, template.nextIndex || 0);
+    return template.endDate && date > template.endDate ? null : date;
+};
+
+// Transaction fields a template generates. Smart-entry text is parsed and
+// categorized here, the same way /api/smart-entry does.
+const validateRecurringTemplate = (input, business, chart, parties) => {
+    const errors = [];
+    const fields = {};
+
+    fields.name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!fields.name || fields.name.length > 100) errors.push('name is required (max 100 characters)');
+
+    fields.frequency = input.frequency;
+    if (!RECURRING_FREQUENCIES[fields.frequency]) errors.push(`frequency must be one of: ${Object.keys(RECURRING_FREQUENCIES).join(', ')}`);
+
+    fields.interval = input.interval === undefined ? 1 : input.interval;
+    if (!Number.isInteger(fields.interval) || fields.interval < 1 || fields.interval > 12) errors.push('interval must be a whole number from 1 to 12');
+
+    fields.startDate = input.startDate;
+    if (!isValidDate(fields.startDate)) errors.push('startDate must be YYYY-MM-DD');
+    fields.endDate = input.endDate || null;
+    if (fields.endDate && (!isValidDate(fields.endDate) || fields.endDate < fields.startDate)) errors.push('endDate must be a date on or after startDate');
+
+    fields.autoPost = input.autoPost === true;
+    fields.missed   = input.missed || 'catch-up';
+    if (!RECURRING_MISSED_POLICIES.includes(fields.missed)) errors.push(`missed must be one of: ${RECURRING_MISSED_POLICIES.join(', ')}`);
+    fields.active   = input.active === undefined ? true : input.active === true;
+
+    const hasText = typeof input.text === 'string' && input.text.trim() !== '';
+    if (hasText === !!input.transaction) {
+        errors.push('Give either text (smart-entry text) or transaction, not both');
+        return { errors, fields };
+    }
+
+    let tx;
+    let parsedAmount = 0;
+    if (hasText) {
+        const text = input.text.trim().slice(0, 500);
+        const rules = getCategoryRules(business.id);
+        const parsed = parseTransactionText(text, rules);
+        const { suggestions } = classifyCategory(text, rules, getCategoryModel(business.id));
+        parsedAmount = parsed.amount;
+        fields.text = text;
+        tx = {
+            desc:              parsed.desc,
+            accountType:       suggestions[0].accountType,
+            category:          suggestions[0].category,
+            mode:              parsed.mode,
+            gstRate:           parsed.gstRate,
+            isInclusiveGST:    parsed.isInclusiveGST,
+            counterpartyGstin: parsed.counterpartyGstin || '',
+            partyId:           (findPartyInText(parties, text) || {}).id,
+            deducteePan:       parsed.deducteePan
+        };
+        if (parsed.tds) {
+            const { match, ...mention } = parsed.tds;
+            tx.tds = mention;
+        }
+    } else {
+        const t = input.transaction || {};
+        tx = {
+            desc:              typeof t.desc === 'string' ? t.desc.trim() : '',
+            accountType:       t.accountType,
+            category:          t.category,
+            mode:              t.mode || 'Bank',
+            gstRate:           t.gstRate === undefined ? 0 : Number(t.gstRate),
+            isInclusiveGST:    t.isInclusiveGST === true,
+            counterpartyGstin: String(t.counterpartyGstin || '').trim().toUpperCase(),
+            partyId:           t.partyId,
+            deducteePan:       String(t.deducteePan || '').trim().toUpperCase()
+        };
+        if (!tx.desc || tx.desc.length > 200) errors.push('transaction.desc must be 1-200 characters');
+        const account = chartAccountByName(chart, tx.category);
+        if (!account) errors.push('transaction.category must be a posting account in the chart of accounts');
+        else tx.accountType = account.type;
+        if (!PAYMENT_MODES.includes(tx.mode)) errors.push(`transaction.mode must be one of: ${PAYMENT_MODES.join(', ')}`);
+        if (![0, ...GST_RATES].includes(tx.gstRate)) errors.push(`transaction.gstRate must be one of: 0, ${GST_RATES.join(', ')}`);
+        const gstError = tx.counterpartyGstin ? validateGSTIN(tx.counterpartyGstin) : null;
+        if (gstError) errors.push(gstError);
+        if (tx.partyId && !parties.some(p => p.id === tx.partyId)) errors.push('transaction.partyId must be a party of this business');
+        if (tx.deducteePan && !PAN_PATTERN.test(tx.deducteePan)) errors.push('transaction.deducteePan must be a PAN in the format AAAAA0000A');
+    }
+    if (!tx.partyId) delete tx.partyId;
+    if (!tx.deducteePan) delete tx.deducteePan;
+    fields.transaction = tx;
+
+    fields.amount = input.amount === undefined ? parsedAmount : Number(input.amount);
+    if (!(fields.amount > 0)) errors.push(hasText ? 'amount is required when the text has none' : 'amount must be a positive number');
+    else fields.amount = round2(fields.amount);
+    return { errors, fields };
+};
+
+// The transaction for one occurrence
+// `ledger` returns { sections, parties, transactions } for working out TDS
+const recurringTransaction = (business, template, date, n, ledger) => {
+    const t = template.transaction;
+    const counterpartyState = stateCodeFromGSTIN(t.counterpartyGstin);
+    const businessState     = stateCodeFromGSTIN(business.gstNumber);
+    const supplyType        = getSupplyType(businessState, counterpartyState);
+    const netOfGST = generateJournalEntries(template.amount, t.mode, t.accountType, t.category, t.gstRate, t.isInclusiveGST, supplyType).netAmount;
+    const id  = newId();
+    const tds = t.accountType === 'Expense' ? resolveTds(ledger().sections, ledger().transactions, {
+        id,
+        accountType: t.accountType,
+        category:    t.category,
+        netAmount:   netOfGST,
+        date,
+        party:       t.partyId ? ledger().parties.find(p => p.id === t.partyId) : null,
+        pan:         t.deducteePan,
+        mention:     t.tds
+    }) : null;
+    const posted = generateJournalEntries(template.amount, t.mode, t.accountType, t.category, t.gstRate, t.isInclusiveGST, supplyType,
+        tds && tds.applied ? tds.amount : 0);
+    const now = new Date().toISOString();
+
+    const tx = {
+        desc:              t.desc,
+        date,
+        accountType:       t.accountType,
+        category:          t.category,
+        mode:              t.mode,
+        netAmount:         posted.netAmount,
+        gstAmount:         posted.gstAmount,
+        grossAmount:       posted.grossAmount,
+        gstRate:           t.gstRate,
+        isInclusiveGST:    t.isInclusiveGST,
+        cgstAmount:        posted.cgstAmount,
+        sgstAmount:        posted.sgstAmount,
+        igstAmount:        posted.igstAmount,
+        supplyType,
+        placeOfSupply:     counterpartyState || businessState || '',
+        counterpartyGstin: t.counterpartyGstin,
+        status:            template.autoPost ? 'confirmed' : 'draft',
+        recurringId:       template.id,
+        occurrence:        n,
+        entries:           posted.entries,
+        id,
+        businessId:        business.id,
+        revision:          1,
+        seq:               nextSyncSeq(),
+        createdAt:         now,
+        updatedAt:         now
+    };
+    if (t.partyId) tx.partyId = t.partyId;
+    if (tds) {
+        tx.tdsSection = tds.section;
+        if (tds.deducteePan) tx.deducteePan = tds.deducteePan;
+        if (posted.tdsAmount > 0) Object.assign(tx, { tdsRate: tds.rate, tdsAmount: posted.tdsAmount });
+    }
+    return tx;
+};
+
+const logRecurringSkip = (template, date, reason) => {
+    template.skipped = [...(template.skipped || []), { date, reason }].slice(-MAX_RECURRING_SKIP_LOG);
+};
+
+// Generates every occurrence of the template due on or before `today`.
+// Mutates the template; returns { generated: [tx], skipped: [{ date, reason }] }.
+const runRecurringTemplate = (business, template, today, ledger) => {
+    const generated = [];
+    const skipped   = [];
+    if (!template.active) return { generated, skipped };
+
+    const due = [];
+    let date = nextOccurrence(template);
+    while (date && date <= today && due.length < MAX_RECURRING_CATCH_UP) {
+        due.push({ n: template.nextIndex || 0, date });
+        template.nextIndex = (template.nextIndex || 0) + 1;
+        date = nextOccurrence(template);
+    }
+
+    due.forEach(({ n, date: d }, i) => {
+        let reason = null;
+        if (template.missed === 'skip' && i < due.length - 1) reason = 'missed';
+        else if (isDateLocked(business, d))                   reason = 'locked';
+        if (reason) {
+            skipped.push({ date: d, reason });
+            logRecurringSkip(template, d, reason);
+            return;
+        }
+        const tx = recurringTransaction(business, template, d, n, ledger);
+        store.saveTransaction(business.id, tx);
+        if (tx.accountType === 'Expense') ledger().transactions.push(tx);
+        recordAudit(business.id, 'create', { after: tx });
+        generated.push(tx);
+        template.lastGeneratedDate = d;
+    });
+
+    template.nextDate = nextOccurrence(template);
+    if (due.length) template.lastRunAt = new Date().toISOString();
+    return { generated, skipped };
+};
+
+// Runs every template of the business that has come due.
+// Returns { generated, skipped } counts and the generated transactions.
+const runDueRecurring = (bizId, today = todayISO()) => store.transaction(() => {
+    const business = store.getBusiness(bizId);
+    const result = { generated: 0, skipped: 0, transactions: [] };
+    if (!business || business.archivedAt) return result;
+
+    // Read only once an expense comes due; generated ones are added so later
+    // occurrences count them towards the TDS thresholds
+    let tdsLedger = null;
+    const ledger = () => tdsLedger || (tdsLedger = {
+        sections:     getTdsSections(bizId),
+        parties:      getParties(bizId),
+        transactions: store.getTransactions(bizId)
+    });
+
+    const templates = getRecurringTemplates(bizId);
+    templates.forEach(template => {
+        const { generated, skipped } = runRecurringTemplate(business, template, today, ledger);
+        result.generated += generated.length;
+        result.skipped   += skipped.length;
+        result.transactions.push(...generated);
+    });
+    if (result.generated || result.skipped) saveRecurringTemplates(bizId, templates);
+    return result;
+});
+
+const runAllDueRecurring = () => {
+    for (const bizId of store.getMeta('recurringBusinesses') || []) {
+        try {
+            runDueRecurring(bizId);
+        } catch (e) {
+            console.error('Recurring Run Error:', bizId, e.message);
+        }
+    }
+};
+
+// Upcoming occurrence dates, for previews
+const upcomingOccurrences = (template, count) => {
+    const dates = [];
+    for (let n = template.nextIndex || 0; dates.length < count; n++) {
+        const date = occurrenceDate(template, n);
+        if (template.endDate && date > template.endDate) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+// Loads the recurring template named in the URL. Editors may only touch
+// templates that generate drafts.
+const loadRecurringTemplate = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+
+    const templates = getRecurringTemplates(ctx.business.id);
+    const template  = templates.find(t => t.id === req.params.templateId);
+    if (!template) {
+        res.status(404).json({ error: 'Recurring transaction not found' });
+        return null;
+    }
+    if (permission !== 'read' && template.autoPost && !roleCan(ctx.role, 'write')) {
+        res.status(403).json({ error: 'Your role can only change recurring drafts' });
+        return null;
+    }
+    return { ...ctx, templates, template };
+};
+
+// ─────────────────────────────────────────────
+// FIXED ASSETS
+// The register lives in the business's 'fixedAssets' document. An asset is
+// registered from a posted purchase on an Asset account (all of its cost, or
+// part of it when one bill bought several assets) and depreciates from the
+// day it is put to use: straight-line over its useful life (SLM), or on the
+// written-down value at the rate of its Income-tax Act block (WDV). Under
+// WDV an asset in use for less than 180 days in its first year gets half
+// the rate that year.
+// A depreciation run posts one transaction per asset and financial year
+// (kind 'depreciation': Dr Depreciation, Cr Accumulated Depreciation), dated
+// at the end of the period it covers. What has been charged is read back
+// from those transactions, never kept on the asset.
+// Disposal charges depreciation up to the day before the sale, then posts the
+// sale (kind 'disposal') with the gain or loss against book value.
+//   asset: { id, name, transactionId, account, block, method, rate,
+//            usefulLifeYears, salvageValue, cost, acquiredOn, putToUseDate,
+//            status: 'active' | 'disposed', disposal, createdBy, createdAt }
+// ─────────────────────────────────────────────
+// Checked in this order; the first block with a keyword in the text is suggested
+const ASSET_BLOCKS = {
+    'computers':            { name: 'Computers and software',              rate: 40, keywords: ['laptop', 'computer', 'desktop', 'server', 'printer', 'scanner', 'macbook', 'software', 'tablet', 'ipad'] },
+    'commercial-vehicle':   { name: 'Commercial vehicles (hire business)', rate: 30, keywords: ['truck', 'lorry', 'bus', 'taxi', 'tempo'] },
+    'motor-car':            { name: 'Motor cars and two-wheelers',         rate: 15, keywords: ['car', 'vehicle', 'scooter', 'bike', 'motorcycle'] },
+    'furniture':            { name: 'Furniture and fittings',              rate: 10, keywords: ['furniture', 'chair', 'chairs', 'table', 'desk', 'sofa', 'cabinet', 'shelf', 'almirah', 'fittings'] },
+    'intangibles':          { name: 'Intangible assets',                   rate: 25, keywords: ['patent', 'trademark', 'copyright', 'licence', 'license', 'franchise', 'know-how'] },
+    'building-residential': { name: 'Buildings (residential)',             rate: 5,  keywords: ['flat', 'apartment', 'residential', 'staff quarters'] },
+    'building':             { name: 'Buildings (non-residential)',         rate: 10, keywords: ['building', 'warehouse', 'godown', 'shed', 'office premises'] },
+    'plant-machinery':      { name: 'Plant and machinery',                 rate: 15, keywords: ['machine', 'machinery', 'plant', 'generator', 'compressor', 'air conditioner', 'ac', 'equipment', 'tools'] }
+};
+const FIXED_ASSET_METHODS = ['WDV', 'SLM'];
+const WDV_HALF_RATE_DAYS  = 180;
+
+const getFixedAssets = (bizId) => store.getDoc('fixedAssets', bizId) || [];
+
+const daysInclusive = (from, to) => daysBetween(from, to) + 1;
+
+const suggestAssetBlock = (text) => {
+    const lower = String(text || '').toLowerCase();
+    const match = Object.entries(ASSET_BLOCKS)
+        .find(([, block]) => block.keywords.some(k => new RegExp(`\\b${k}\\b`).test(lower)));
+    return match ? match[0] : null;
+};
+
+// What a transaction put on its category account (debits less credits)
+const assetTransactionCost = (tx) => round2(tx.entries
+    .filter(e => e.account === tx.category)
+    .reduce((s, e) => s + (Number(e.dr) || 0) - (Number(e.cr) || 0), 0));
+
+// Posted purchases of a fixed asset: an Asset category that is not one of the
+// accounts the journal engine keeps (Cash, Bank, Receivables, ...)
+const isAssetPurchase = (tx) => isPosted(tx) && tx.accountType === 'Asset' && !SYSTEM_ACCOUNTS[tx.category]
+    && !NON_CASH_KINDS.includes(tx.kind) && assetTransactionCost(tx) > 0;
+
+const registeredCost = (assets, transactionId) => round2(assets
+    .filter(a => String(a.transactionId) === String(transactionId))
+    .reduce((s, a) => s + a.cost, 0));
+
+// Asset purchases with cost not yet in the register, newest first
+const assetCandidates = (transactions, assets) => transactions
+    .filter(isAssetPurchase)
+    .map(tx => ({
+        transactionId:    tx.id,
+        date:             tx.date,
+        desc:             tx.desc,
+        account:          tx.category,
+        cost:             assetTransactionCost(tx),
+        unregisteredCost: round2(assetTransactionCost(tx) - registeredCost(assets, tx.id)),
+        suggestedBlock:   suggestAssetBlock(tx.desc)
+    }))
+    .filter(c => c.unregisteredCost > 0)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+// Validates the register fields of an asset bought by `purchase`. `others` is
+// the rest of the register; what they took of the purchase is not available.
+// Returns { errors, fields }.
+const validateFixedAsset = (input, purchase, others) => {
+    const errors = [];
+    const fields = {};
+
+    fields.name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : String(purchase.desc || '').trim();
+    if (!fields.name || fields.name.length > 100) errors.push('name must be 1-100 characters');
+
+    const available = round2(assetTransactionCost(purchase) - registeredCost(others, purchase.id));
+    fields.cost = input.cost === undefined ? available : input.cost;
+    if (!isMoney(fields.cost) || !(fields.cost > 0)) errors.push('cost must be a positive amount with at most 2 decimals');
+    else if (fields.cost > available) errors.push(`cost must not be more than ${available}, the part of the purchase not yet registered`);
+
+    fields.block = input.block === undefined || input.block === null ? suggestAssetBlock(`${fields.name} ${purchase.desc}`) : input.block;
+    if (fields.block !== null && !ASSET_BLOCKS[fields.block]) errors.push(`block must be one of: ${Object.keys(ASSET_BLOCKS).join(', ')}`);
+
+    fields.method = input.method === undefined ? 'WDV' : input.method;
+    if (!FIXED_ASSET_METHODS.includes(fields.method)) errors.push(`method must be one of: ${FIXED_ASSET_METHODS.join(', ')}`);
+
+    fields.rate = input.rate === undefined || input.rate === null ? (ASSET_BLOCKS[fields.block] || {}).rate || null : input.rate;
+    if (fields.method === 'WDV' && !(typeof fields.rate === 'number' && fields.rate > 0 && fields.rate <= 100)) {
+        errors.push(fields.block || input.rate !== undefined ? 'rate must be a percentage above 0 and up to 100' : 'block or rate is required for WDV');
+    }
+    fields.usefulLifeYears = input.usefulLifeYears === undefined ? null : input.usefulLifeYears;
+    if (fields.usefulLifeYears !== null && !(typeof fields.usefulLifeYears === 'number' && fields.usefulLifeYears > 0 && fields.usefulLifeYears <= 100)) {
+        errors.push('usefulLifeYears must be a number of years above 0 and up to 100');
+    } else if (fields.method === 'SLM' && fields.usefulLifeYears === null) {
+        errors.push('usefulLifeYears is required for SLM');
+    }
+    if (fields.method === 'SLM' && input.rate === undefined) fields.rate = null;
+
+    fields.salvageValue = input.salvageValue === undefined ? 0 : input.salvageValue;
+    if (!isMoney(fields.salvageValue)) errors.push('salvageValue must be a non-negative amount with at most 2 decimals');
+    else if (isMoney(fields.cost) && fields.salvageValue >= fields.cost) errors.push('salvageValue must be less than cost');
+
+    fields.putToUseDate = input.putToUseDate === undefined ? purchase.date : input.putToUseDate;
+    if (!isValidDate(fields.putToUseDate) || fields.putToUseDate < purchase.date) errors.push(`putToUseDate must be a date on or after the purchase (${purchase.date})`);
+
+    return { errors, fields };
+};
+
+// Posted depreciation of the asset, oldest first
+const assetDepreciation = (asset, transactions) => transactions
+    .filter(tx => tx.kind === 'depreciation' && tx.assetId === asset.id && isPosted(tx))
+    .sort((a, b) => a.depreciationTo.localeCompare(b.depreciationTo));
+
+// Depreciation charged for periods ending on or before `asOf` (all of it without)
+const chargedDepreciation = (postings, asOf = null) => round2(postings
+    .filter(tx => !asOf || tx.depreciationTo <= asOf)
+    .reduce((s, tx) => s + tx.grossAmount, 0));
+
+// Depreciation for [from, to], given what `postings` charged before `from`.
+// Split at financial year ends; returns [{ from, to, amount }].
+const depreciationPeriods = (asset, business, postings, from, to) => {
+    const periods = [];
+    const depreciable = round2(asset.cost - asset.salvageValue);
+    const chargedBefore = (date) => round2(chargedDepreciation(postings, previousDay(date))
+        + periods.filter(p => p.to < date).reduce((s, p) => s + p.amount, 0));
+
+    for (let start = from; start <= to; ) {
+        const fy  = getFinancialYear(start, business.financialYearStart);
+        const end = fy.end < to ? fy.end : to;
+        let amount;
+        if (asset.method === 'SLM') {
+            amount = depreciable / asset.usefulLifeYears * daysInclusive(start, end) / daysInclusive(fy.start, fy.end);
+        } else {
+            // The year's charge is set by the written-down value it opened
+            // with, and spread over the days the asset is in use that year
+            const inUseFrom = asset.putToUseDate > fy.start ? asset.putToUseDate : fy.start;
+            const daysInUse = daysInclusive(inUseFrom, fy.end);
+            const rate = asset.putToUseDate >= fy.start && daysInUse < WDV_HALF_RATE_DAYS ? asset.rate / 2 : asset.rate;
+            amount = (asset.cost - chargedBefore(fy.start)) * rate / 100 * daysInclusive(start, end) / daysInUse;
+        }
+        amount = Math.min(round2(amount), round2(depreciable - chargedBefore(shiftDays(end, 1))));
+        if (amount <= 0) break;
+        periods.push({ from: start, to: end, amount });
+        start = shiftDays(end, 1);
+    }
+    return periods;
+};
+
+// Depreciation every active asset is due for up to `upTo`.
+// Returns [{ asset, periods }] for the assets with something to charge.
+const planDepreciation = (business, assets, transactions, upTo) => assets
+    .filter(a => a.status === 'active')
+    .map(asset => {
+        const postings = assetDepreciation(asset, transactions);
+        const from = postings.length ? shiftDays(postings[postings.length - 1].depreciationTo, 1) : asset.putToUseDate;
+        return { asset, periods: from <= upTo ? depreciationPeriods(asset, business, postings, from, upTo) : [] };
+    })
+    .filter(p => p.periods.length);
+
+// Planned periods that fall in locked months, in sendPeriodLocked's shape
+const lockedDepreciation = (business, plan) => plan.flatMap(({ asset, periods }) => periods
+    .filter(p => isDateLocked(business, p.to))
+    .map(p => ({ id: null, assetId: asset.id, date: p.to, month: monthOf(p.to) })));
+
+const assetTransactionFields = (business) => {
+    const now = new Date().toISOString();
+    return { status: 'confirmed', id: newId(), businessId: business.id, revision: 1, seq: nextSyncSeq(), createdAt: now, updatedAt: now };
+};
+
+const depreciationTransaction = (business, asset, period) => ({
+    desc:             `Depreciation - ${asset.name} (${period.from} to ${period.to})`,
+    date:             period.to,
+    accountType:      'Expense',
+    category:         'Depreciation',
+    netAmount:        period.amount,
+    gstAmount:        0,
+    grossAmount:      period.amount,
+    gstRate:          0,
+    isInclusiveGST:   false,
+    kind:             'depreciation',
+    assetId:          asset.id,
+    depreciationFrom: period.from,
+    depreciationTo:   period.to,
+    entries: [
+        { account: 'Depreciation',             dr: period.amount, cr: 0 },
+        { account: 'Accumulated Depreciation', dr: 0,             cr: period.amount }
+    ],
+    ...assetTransactionFields(business)
+});
+
+// Saves the planned depreciation. Run inside store.transaction.
+const postDepreciation = (business, plan, userId) => plan.flatMap(({ asset, periods }) => periods.map(period => {
+    const tx = depreciationTransaction(business, asset, period);
+    store.saveTransaction(business.id, tx);
+    recordAudit(business.id, 'create', { userId, after: tx });
+    return tx;
+}));
+
+// The sale (or write-off, with no proceeds) of an asset depreciated up to the
+// day before `date`. Proceeds land in Cash/Bank, or Receivables on credit.
+const disposalTransaction = (business, asset, { date, proceeds, mode, accumulated }) => {
+    const bookValue  = round2(asset.cost - accumulated);
+    const gainOrLoss = round2(proceeds - bookValue);
+    const entries = [];
+    if (proceeds > 0)    entries.push({ account: settlementAccount(mode, 'Income'), dr: proceeds,    cr: 0 });
+    if (accumulated > 0) entries.push({ account: 'Accumulated Depreciation',        dr: accumulated, cr: 0 });
+    if (gainOrLoss < 0)  entries.push({ account: 'Loss on Sale of Assets',          dr: -gainOrLoss, cr: 0 });
+    entries.push({ account: asset.account, dr: 0, cr: asset.cost });
+    if (gainOrLoss > 0)  entries.push({ account: 'Gain on Sale of Assets',          dr: 0,           cr: gainOrLoss });
+
+    return {
+        desc:           `${proceeds > 0 ? 'Sale' : 'Write-off'} of ${asset.name}`,
+        date,
+        accountType:    'Asset',
+        category:       asset.account,
+        mode,
+        netAmount:      proceeds,
+        gstAmount:      0,
+        grossAmount:    proceeds,
+        gstRate:        0,
+        isInclusiveGST: false,
+        kind:           'disposal',
+        assetId:        asset.id,
+        bookValue,
+        gainOrLoss,
+        entries,
+        ...assetTransactionFields(business)
+    };
+};
+
+// Register row as at `asOf`: the asset with depreciation charged and book value
+const assetPosition = (asset, transactions, asOf) => {
+    const postings    = assetDepreciation(asset, transactions).filter(tx => tx.depreciationTo <= asOf);
+    const accumulated = chargedDepreciation(postings);
+    const disposed    = !!asset.disposal && asset.disposal.date <= asOf;
+    return {
+        ...asset,
+        blockName:               asset.block ? ASSET_BLOCKS[asset.block].name : null,
+        accumulatedDepreciation: accumulated,
+        bookValue:               disposed ? 0 : round2(asset.cost - accumulated),
+        depreciatedTo:           postings.length ? postings[postings.length - 1].depreciationTo : null
+    };
+};
+
+// Loads the fixed asset named in the URL
+const loadFixedAsset = (req, res, permission = 'read') => {
+    const ctx = permission === 'read' ? loadBusinessForUser(req, res) : loadWritableBusiness(req, res, permission);
+    if (!ctx) return null;
+
+    const assets = getFixedAssets(ctx.business.id);
+    const asset  = assets.find(a => a.id === req.params.assetId);
+    if (!asset) {
+        res.status(404).json({ error: 'Fixed asset not found' });
+        return null;
+    }
+    return { ...ctx, assets, asset };
+};
+
+// ─────────────────────────────────────────────
+// BUDGETS
+// Planned spend per expense category, in the business's 'budgets' document.
+// A budget repeats every period (a month, a quarter or a financial year,
+// counted from the business's financialYearStart) from startMonth until
+// endMonth, if any. Actual spend is the category's posted debits less
+// credits in the period, so drafts never count against a budget.
+// A sync that takes a category to the budget's alertPercent raises a
+// 'warning' alert, and past 100% an 'over' alert. Each level is raised once
+// per budget period and kept in the 'budgetAlerts' document until dismissed.
+// Smart entry runs the same check on its drafts and only reports the result.
+//   budget: { id, category, period: 'monthly' | 'quarterly' | 'yearly',
+//             amount, alertPercent, startMonth, endMonth, createdBy, createdAt }
+//   alert:  { id, budgetId, category, level, from, to, budget, actual,
+//             percentUsed, message, transactionId, userId, raisedAt, dismissedAt }
+// ─────────────────────────────────────────────
+const BUDGET_PERIODS = { monthly: 1, quarterly: 3, yearly: 12 };
+const DEFAULT_BUDGET_ALERT_PERCENT = 80;
+const MAX_BUDGET_ALERTS = 500;
+
+const getBudgets      = (bizId) => store.getDoc('budgets', bizId) || [];
+const getBudgetAlerts = (bizId) => store.getDoc('budgetAlerts', bizId) || [];
+
+const isMonth = (s) => typeof s === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(s);
+
+// Months since year 0, so 'YYYY-MM' values can be counted
+const monthIndex = (month) => {
+    const [y, m] = month.split('-').map(Number);
+    return y * 12 + m - 1;
+};
+const monthFromIndex = (i) => `${Math.floor(i / 12)}-${String(i % 12 + 1).padStart(2, '0')}`;
+
+// First month of the budget period containing `month`. Quarters and years
+// start at the business's financial year start month.
+const budgetPeriodStart = (period, business, month) => {
+    const size   = BUDGET_PERIODS[period];
+    const anchor = size === 1 ? 0 : (parseInt(business.financialYearStart, 10) || 4) - 1;
+    const i = monthIndex(month);
+    return monthFromIndex(i - (((i - anchor) % size) + size) % size);
+};
+
+// The budget's period containing `date` as { from, to }, or null when the
+// budget is not running then
+const budgetPeriod = (budget, business, date) => {
+    const month = date.slice(0, 7);
+    if (month < budget.startMonth || (budget.endMonth && month > budget.endMonth)) return null;
+    const start = budgetPeriodStart(budget.period, business, month);
+    const next  = monthFromIndex(monthIndex(start) + BUDGET_PERIODS[budget.period]);
+    return { from: `${start}-01`, to: previousDay(`${next}-01`) };
+};
+
+// Validates a whole budget (PUT merges the stored budget with the body first).
+// `others` are the business's other budgets: a category cannot have two
+// budgets running in the same month. Returns { errors, fields }.
+const validateBudget = (input, business, chart, others) => {
+    const errors = [];
+    const fields = {};
+
+    const account = chartAccountByName(chart, input.category);
+    if (!account || account.type !== 'Expense') errors.push('category must be an expense account in the chart of accounts');
+    else fields.category = account.name;
+
+    fields.period = input.period;
+    if (!BUDGET_PERIODS[fields.period]) errors.push(`period must be one of: ${Object.keys(BUDGET_PERIODS).join(', ')}`);
+
+    fields.amount = input.amount;
+    if (!isMoney(fields.amount) || !(fields.amount > 0)) errors.push('amount must be a positive amount with at most 2 decimals');
+
+    fields.alertPercent = input.alertPercent === undefined ? DEFAULT_BUDGET_ALERT_PERCENT : input.alertPercent;
+    if (!(typeof fields.alertPercent === 'number' && fields.alertPercent > 0 && fields.alertPercent <= 100)) {
+        errors.push('alertPercent must be a percentage above 0 and up to 100');
+    }
+
+    // Without a start, the budget starts with the current period
+    fields.startMonth = input.startMonth;
+    if (fields.startMonth === undefined && BUDGET_PERIODS[fields.period]) {
+        fields.startMonth = budgetPeriodStart(fields.period, business, todayISO().slice(0, 7));
+    }
+    fields.endMonth = input.endMonth === undefined ? null : input.endMonth;
+    if (!isMonth(fields.startMonth)) errors.push('startMonth must be a month in YYYY-MM format');
+    if (fields.endMonth !== null && !isMonth(fields.endMonth)) errors.push('endMonth must be a month in YYYY-MM format, or null');
+    if (errors.length) return { errors, fields };
+
+    if (budgetPeriodStart(fields.period, business, fields.startMonth) !== fields.startMonth) {
+        const unit = fields.period === 'yearly' ? 'financial year' : 'quarter';
+        errors.push(`startMonth must be the first month of a ${unit} (the financial year starts in month ${business.financialYearStart || '04'})`);
+    }
+    if (fields.endMonth && fields.endMonth < fields.startMonth) errors.push('endMonth must be on or after startMonth');
+    const clash = others.find(b => b.category === fields.category
+        && b.startMonth <= (fields.endMonth || '9999-12') && fields.startMonth <= (b.endMonth || '9999-12'));
+    if (clash) errors.push(`${fields.category} already has a budget running from ${clash.startMonth}`);
+    return { errors, fields };
+};
+
+// Posted spend on the category within [from, to]
+const categorySpend = (transactions, category, from, to) => round2(transactions
+    .filter(tx => isPosted(tx) && isValidDate(tx.date) && tx.date >= from && tx.date <= to)
+    .flatMap(tx => tx.entries)
+    .filter(e => e.account === category)
+    .reduce((s, e) => s + (Number(e.dr) || 0) - (Number(e.cr) || 0), 0));
+
+// The same from the store's journal lines for the category, so only that
+// account and period are read
+const storeSpend = (bizId) => (category, from, to) => round2(store.getAccountLines(bizId, category, from, to)
+    .reduce((s, l) => s + l.dr - l.cr, 0));
+
+const percentOf = (actual, amount) => round2(actual / amount * 100);
+
+// 'over' past the budget, 'warning' from alertPercent, else null
+const budgetLevel = (budget, actual) => {
+    const used = percentOf(actual, budget.amount);
+    if (used > 100) return 'over';
+    return used >= budget.alertPercent ? 'warning' : null;
+};
+
+// Budget against actual for every budget running on `date`
+// `spend(category, from, to)` gives the actual spend, as storeSpend() does
+const buildBudgetReport = (budgets, business, spend, date) => {
+    const rows = budgets
+        .map(b => ({ budget: b, period: budgetPeriod(b, business, date) }))
+        .filter(r => r.period)
+        .map(({ budget: b, period }) => {
+            const actual = spend(b.category, period.from, period.to);
+            return {
+                budgetId:    b.id,
+                category:    b.category,
+                period:      b.period,
+                from:        period.from,
+                to:          period.to,
+                budget:      b.amount,
+                actual,
+                remaining:   round2(b.amount - actual),
+                percentUsed: percentOf(actual, b.amount),
+                status:      budgetLevel(b, actual) || 'ok'
+            };
+        })
+        .sort((a, b) => b.percentUsed - a.percentUsed);
+    const sum = (k) => round2(rows.reduce((s, r) => s + r[k], 0));
+    return { budgets: rows, totals: { budget: sum('budget'), actual: sum('actual'), remaining: sum('remaining') } };
+};
+
+// Budgets that `changes` push up to an alert level. Each change is
+// { before, after }, the stored transaction ahead of it and the one saved
+// (null when created or deleted). `spend(category, from, to)` gives spend
+// with the changes in; spend without them is worked out by taking them back
+// out. With crossedOnly a level already reached before the change is not
+// reported again; without it (smart-entry previews) every budget the change
+// adds to while at a level is.
+const checkBudgets = (budgets, business, changes, spend, crossedOnly = true) => {
+    const alerts = [];
+    const seen = new Set();
+    const changeIn = (category, from, to) => changes.reduce((s, c) => s
+        + categorySpend(c.after ? [c.after] : [], category, from, to)
+        - categorySpend(c.before ? [c.before] : [], category, from, to), 0);
+    changes.forEach(({ after: tx }) => {
+        if (!isPosted(tx) || !isValidDate(tx.date)) return;
+        const accounts = new Set(tx.entries.map(e => e.account));
+        budgets.filter(b => accounts.has(b.category)).forEach(b => {
+            const period = budgetPeriod(b, business, tx.date);
+            const key = `${b.id}|${period && period.from}`;
+            if (!period || seen.has(key)) return;
+            seen.add(key);
+
+            const now   = spend(b.category, period.from, period.to);
+            const was   = round2(now - changeIn(b.category, period.from, period.to));
+            const level = budgetLevel(b, now);
+            if (!level || now <= was || (crossedOnly && level === budgetLevel(b, was))) return;
+            const percentUsed = percentOf(now, b.amount);
+            alerts.push({
+                budgetId:      b.id,
+                category:      b.category,
+                level,
+                from:          period.from,
+                to:            period.to,
+                budget:        b.amount,
+                actual:        now,
+                percentUsed,
+                message:       `${b.category} is at ${percentUsed}% of its ${b.period} budget (${now} of ${b.amount})`,
+                transactionId: tx.id
+            });
+        });
+    });
+    return alerts;
+};
+
+// Stores the alerts a sync raised, skipping levels already raised for the
+// same budget period. Returns the alerts stored. Run inside store.transaction.
+const raiseBudgetAlerts = (bizId, alerts, userId) => {
+    if (!alerts.length) return [];
+    const existing = getBudgetAlerts(bizId);
+    const raised = alerts
+        .filter(a => !existing.some(x => x.budgetId === a.budgetId && x.from === a.from && x.level === a.level))
+        .map(a => ({ id: newId(), ...a, userId, raisedAt: new Date().toISOString(), dismissedAt: null }));
+    if (raised.length) store.setDoc('budgetAlerts', bizId, [...existing, ...raised].slice(-MAX_BUDGET_ALERTS));
+    return raised;
+};
+
+// Checks the business's budgets against the { before, after } changes a sync
+// saved. Run inside store.transaction, after the sync has saved. Callers skip
+// collecting changes when the business has no budgets.
+const syncBudgetAlerts = (business, budgets, changes, userId) => {
+    if (!budgets.length || !changes.length) return [];
+    return raiseBudgetAlerts(business.id, checkBudgets(budgets, business, changes, storeSpend(business.id)), userId);
+};
+
+// ─────────────────────────────────────────────
+// ROUTES
+// ─────────────────────────────────────────────
+
+// Health check
+app.get('/', (req, res) => {
+    res.json({ status: 'ok', app: 'Ledgerly.ai', version: '2.0' });
+});
+
+// ── FIX #4: GET /api/smart-entry — frontend pings this to check if smart engine is online
+app.get('/api/smart-entry', verifyToken, (req, res) => {
+    res.json({ status: 'ok', engine: 'smart', version: '2.0' });
+});
+
+// ── SMART ENTRY ──────────────────────────────
+// FIX #3: NO LONGER SAVES to DB — just parses & returns transaction object
+// Saving happens when frontend calls POST /api/sync after user confirms
+// Optional body fields: businessId (for the business's GST state, rules and
+// learned categories), counterpartyGstin / counterpartyState (override what
+// the text mentions), partyId (the customer or vendor; otherwise a party
+// named in the text is picked up)
+// Expenses in a TDS section of the business are split into the net payout and
+// TDS Payable once the deductee crosses the section's threshold; `tds` on the
+// draft says which section applied and why (null when none covers it).
+// `budgetAlerts` lists the budgets the draft would take to or past their
+// alert level once confirmed, so the confirmation card can warn first.
+// One input can hold several transactions; each becomes a draft in `drafts`.
+// `transaction`, `confidence`, `ruleGuess` and `suggestions` repeat the first
+// draft for clients that only handle one.
+app.post('/api/smart-entry', verifyToken, (req, res) => {
+    const { text, businessId } = req.body;
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Transaction text is required' });
+    }
+    const { counterpartyGstin: givenGstin } = req.body;
+    if (givenGstin !== undefined && givenGstin !== null && typeof givenGstin !== 'string') {
+        return res.status(400).json({ error: 'counterpartyGstin must be a GSTIN string' });
+    }
+
+    try {
+        let businessState = null;
+        let customRules   = [];
+        let model         = null;
+        let parties       = [];
+        let tdsSections   = [];
+        let transactions  = [];
+        let business      = null;
+        let budgets       = [];
+        if (businessId) {
+            const ctx = loadBusinessForUser(req, res, 'draft', businessId);
+            if (!ctx) return;
+            business      = ctx.business;
+            businessState = stateCodeFromGSTIN(ctx.business.gstNumber);
+            customRules   = getCategoryRules(businessId);
+            model         = getCategoryModel(businessId);
+            parties       = getParties(businessId);
+            tdsSections   = getTdsSections(businessId);
+            transactions  = store.getTransactions(businessId);
+            budgets       = getBudgets(businessId);
+        }
+        const givenParty = req.body.partyId ? parties.find(p => p.id === req.body.partyId) : null;
+        if (req.body.partyId && !givenParty) return res.status(404).json({ error: 'Party not found' });
+
+        const { parsed: parsedList, unparsed } = parseTransactions(text.trim(), customRules);
+        if (!parsedList.length) {
+            return res.status(400).json({ error: 'No valid amount found. Try: "Paid rent 5000"' });
+        }
+
+        const tempId  = Date.now();
+        const pending = [];
+        const drafts  = parsedList.map((parsed, i) => {
+            const { guess, suggestions } = classifyCategory(parsed.text, customRules, model);
+            parsed.category    = suggestions[0].category;
+            parsed.accountType = suggestions[0].accountType;
+
+            // Body overrides only make sense for a single transaction
+            const party = (parsedList.length === 1 && givenParty) || findPartyInText(parties, parsed.text);
+            const counterpartyGstin = ((parsedList.length === 1 && givenGstin) || parsed.counterpartyGstin || (party && party.gstin) || '').toUpperCase();
+            const counterpartyState = (parsedList.length === 1 && normalizeStateCode(req.body.counterpartyState))
+                || stateCodeFromGSTIN(counterpartyGstin)
+                || parsed.counterpartyState
+                || (party && party.state);
+            const supplyType = getSupplyType(businessState, counterpartyState);
+
+            const netOfGST = generateJournalEntries(parsed.amount, parsed.mode, parsed.accountType, parsed.category,
+                parsed.gstRate, parsed.isInclusiveGST, supplyType).netAmount;
+            const tds = resolveTds(tdsSections, transactions, {
+                id:          tempId + i,
+                accountType: parsed.accountType,
+                category:    parsed.category,
+                netAmount:   netOfGST,
+                date:        parsed.date,
+                party,
+                pan:         parsed.deducteePan,
+                mention:     parsed.tds
+            });
+
+            const { entries, netAmount, gstAmount, grossAmount, cgstAmount, sgstAmount, igstAmount, tdsAmount } = generateJournalEntries(
+                parsed.amount,
+                parsed.mode,
+                parsed.accountType,
+                parsed.category,
+                parsed.gstRate,
+                parsed.isInclusiveGST,
+                supplyType,
+                tds && tds.applied ? tds.amount : 0
+            );
+
+            // Return structured transaction — frontend shows confirmation card
+            // NOTE: id is temporary; final id assigned when frontend confirms via /api/sync
+            const transaction = {
+                id:             tempId + i, // temp id for UI only
+                desc:           parsed.desc,
+                date:           parsed.date,
+                accountType:    parsed.accountType,
+                category:       parsed.category,
+                mode:           parsed.mode,
+                netAmount,
+                gstAmount,
+                grossAmount,
+                gstRate:        parsed.gstRate,
+                isInclusiveGST: parsed.isInclusiveGST,
+                cgstAmount,
+                sgstAmount,
+                igstAmount,
+                supplyType,
+                placeOfSupply:  counterpartyState || businessState || '',
+                counterpartyGstin,
+                status:         'draft',
+                // Echoed back on sync so the confirmed category can be learned
+                smartEntry:     { text: parsed.text.slice(0, 200), category: parsed.category, accountType: parsed.accountType },
+                entries
+            };
+            if (businessId) transaction.businessId = businessId;
+            if (party) transaction.partyId = party.id;
+            // The section and PAN are kept even without TDS so that the
+            // payment counts towards the deductee's annual threshold
+            if (tds) {
+                transaction.tdsSection = tds.section;
+                if (tds.deducteePan) transaction.deducteePan = tds.deducteePan;
+                if (tdsAmount > 0) Object.assign(transaction, { tdsRate: tds.rate, tdsAmount });
+            }
+
+            // Checked as if confirmed, on top of the drafts before it in the same text
+            const confirmed = { ...transaction, status: 'confirmed' };
+            const booked = [...transactions, ...pending, confirmed];
+            const budgetAlerts = budgets.length
+                ? checkBudgets(budgets, business, [{ before: null, after: confirmed }], (category, from, to) => categorySpend(booked, category, from, to), false)
+                    .map(({ transactionId, ...alert }) => alert)
+                : [];
+            pending.push(confirmed);
+
+            return {
+                transaction,
+                tds,
+                budgetAlerts,
+                confidence: { ...parsed.confidence, category: suggestions[0].confidence },
+                ruleGuess:  { category: guess.category, accountType: guess.accountType, source: guess.source },
+                suggestions
+            };
+        });
+
+        res.json({ success: true, ...drafts[0], drafts, unparsed });
+
+    } catch (e) {
+        console.error('Smart Entry Error:', e.message);
+        // FIX #16: Never leak stack traces to client
+        res.status(500).json({ error: 'Failed to process transaction' });
+    }
+});
+
+// ── REGISTER ─────────────────────────────────
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
 
         // FIX #11: Validate inputs
         const errors = validateAuth(email, password);
         if (!name || name.trim().length < 2) errors.push('Full name is required (min 2 characters)');
         if (errors.length) return res.status(400).json({ error: errors.join('. ') });
 
-        const db = readData();
+        if (store.getUserByEmail(email)) {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+
+        // FIX #1: Hash password with bcrypt
+        const passwordHash = await bcrypt.hash(password, 10);
+        const userId       = newId();
+        const bizId        = newId();
+        const now          = new Date().toISOString();
+
+        // FIX #5: Use correct schema structure
+        const newUser = {
+            id:            userId,
+            name:          name.trim(),
+            email,
+            passwordHash,
+            role:          'owner',
+            createdAt:     now,
+            lastLoginAt:   now,
+            businesses:    [bizId]
+        };
+
+        const business = {
+            id:                 bizId,
+            ownerId:            userId,
+            name:               `${name.trim()}'s Business`,
+            type:               'general',
+            currency:           'INR',
+            gstNumber:          '',
+            financialYearStart: '04',
+            createdAt:          now,
+            lockedMonths:       []
+        };
+
+        store.transaction(() => {
+            store.saveUser(newUser);
+            store.saveBusiness(business);
+        });
+
+        const tokens = startSession(userId, req);
+        const user   = { id: userId, name: name.trim(), email };
+
+        res.status(201).json({
+            ...tokens,
+            user,
+            businesses:   [business],
+            transactions: []
+        });
+
+    } catch (e) {
+        console.error('Register Error:', e.message);
+        res.status(500).json({ error: 'Registration failed. Please try again.' });
+    }
+});
+
+// ── LOGIN ────────────────────────────────────
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // FIX #11: Validate inputs
+        const errors = validateAuth(email, password);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const user = store.getUserByEmail(email);
+
+        // FIX #1: Use bcrypt to compare — plain text comparison removed
+        const validPassword = user && await bcrypt.compare(password, user.passwordHash);
+        if (!user || !validPassword) {
+            // FIX #16: Generic message — don't reveal whether email exists
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        // Update last login
+        user.lastLoginAt = new Date().toISOString();
+        store.saveUser(user);
+
+        const tokens = startSession(user.id, req);
+
+        // FIX #20: Return correctly shaped businesses array
+        const businesses = (user.businesses || [])
+            .map(bizId => store.getBusiness(bizId))
+            .filter(Boolean);
+
+        // Transactions are not sent here; clients page through
+        // /api/businesses/:bizId/transactions or pull /api/sync
+        res.json({
+            ...tokens,
+            user: { id: user.id, name: user.name, email: user.email },
+            businesses
+        });
+
+    } catch (e) {
+        console.error('Login Error:', e.message);
+        res.status(500).json({ error: 'Login failed. Please try again.' });
+    }
+});
+
+// ── SESSIONS ─────────────────────────────────
+// Body: { refreshToken } — returns a new access token and refresh token;
+// the refresh token sent is no longer valid afterwards
+app.post('/api/auth/refresh', (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        if (typeof refreshToken !== 'string' || !refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+
+        const [sessionId, secret] = refreshToken.split('.');
+        const tokens = store.transaction(() => {
+            const session = sessionId && store.getDoc('sessions', sessionId);
+            if (!sessionIsLive(session) || !store.getUserById(session.userId)) return null;
+            const hash = hashToken(secret);
+            if (hash === session.tokenHash) return issueTokens(session);
+            // An already-rotated token is being replayed: end the session for both holders
+            if (hash === session.previousTokenHash) endSession(session.userId, session.id);
+            return null;
+        });
+        if (!tokens) return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+
+        res.json(tokens);
+
+    } catch (e) {
+        console.error('Refresh Error:', e.message);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+app.post('/api/auth/logout', verifyToken, (req, res) => {
+    try {
+        endSession(req.userId, req.sessionId);
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Logout Error:', e.message);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Logs out every device, this one included
+app.post('/api/auth/logout-all', verifyToken, (req, res) => {
+    try {
+        res.json({ success: true, sessionsEnded: endSessions(req.userId) });
+
+    } catch (e) {
+        console.error('Logout All Error:', e.message);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+app.get('/api/auth/sessions', verifyToken, (req, res) => {
+    try {
+        const sessions = store.transaction(() => getUserSessions(req.userId))
+            .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+            .map(s => publicSession(s, req.sessionId));
+        res.json({ sessions });
+
+    } catch (e) {
+        console.error('Sessions Error:', e.message);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+// ── PASSWORDS ────────────────────────────────
+// Body: { currentPassword, newPassword } — every other session is logged out
+app.post('/api/auth/change-password', verifyToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        if (!isValidPassword(newPassword)) return res.status(400).json({ error: 'New password must be at least 6 characters' });
+
+        const user = store.getUserById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const validPassword = typeof currentPassword === 'string' && await bcrypt.compare(currentPassword, user.passwordHash);
+        if (!validPassword) return res.status(403).json({ error: 'Current password is incorrect' });
+
+        user.passwordHash      = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date().toISOString();
+        const sessionsEnded = store.transaction(() => {
+            store.saveUser(user);
+            return endSessions(user.id, req.sessionId);
+        });
+
+        res.json({ success: true, sessionsEnded });
+
+    } catch (e) {
+        console.error('Change Password Error:', e.message);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Body: { email } — always answers the same way, so it cannot be used to
+// find out which emails have accounts. The token goes out by mail only.
+app.post('/api/auth/forgot-password', (req, res) => {
+    try {
+        const email = typeof (req.body || {}).email === 'string' ? req.body.email.trim() : '';
+        if (!isValidEmail(email)) return res.status(400).json({ error: 'Valid email is required' });
+
+        const user = store.getUserByEmail(email);
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+            const now   = new Date();
+            const reset = {
+                userId:    user.id,
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MS).toISOString()
+            };
+            store.setDoc('passwordResets', hashToken(token), reset);
+
+            sendMail({
+                to:      user.email,
+                subject: 'Reset your Ledgerly password',
+                text:    [
+                    `Hi ${user.name},`,
+                    '',
+                    `Choose a new password: ${APP_URL}/reset-password?token=${token}`,
+                    '',
+                    `This link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.`,
+                    'If you did not ask to reset your password, you can ignore this email.'
+                ].join('\n')
+            });
+        }
+
+        res.json({ success: true, message: 'If that email has an account, a reset link is on its way.' });
+
+    } catch (e) {
+        console.error('Forgot Password Error:', e.message);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// Body: { token, password } — sets the password and logs out every device
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        if (!token || typeof token !== 'string') return res.status(400).json({ error: 'Reset token is required' });
+        if (!isValidPassword(password)) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+
+        const tokenHash = hashToken(token);
+        const reset = store.getDoc('passwordResets', tokenHash);
+        const user  = reset && store.getUserById(reset.userId);
+        // Links issued before the password last changed are dead as well
+        const usable = user && !reset.usedAt && new Date(reset.expiresAt) > new Date()
+            && !(user.passwordChangedAt && user.passwordChangedAt > reset.createdAt);
+        if (!usable) return res.status(410).json({ error: 'This reset link is invalid or has expired' });
+
+        user.passwordHash      = await bcrypt.hash(password, 10);
+        user.passwordChangedAt = new Date().toISOString();
+        const sessionsEnded = store.transaction(() => {
+            // Re-read inside the transaction so the token cannot be used twice
+            if (!store.getDoc('passwordResets', tokenHash)) return null;
+            store.deleteDoc('passwordResets', tokenHash);
+            store.saveUser(user);
+            return endSessions(user.id);
+        });
+        if (sessionsEnded === null) return res.status(410).json({ error: 'This reset link is invalid or has expired' });
+
+        res.json({ success: true, sessionsEnded });
+
+    } catch (e) {
+        console.error('Reset Password Error:', e.message);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// ── SYNC GET ─────────────────────────────────
+app.get('/api/sync', verifyToken, (req, res) => {
+    try {
+        const userEntry = store.getUserById(req.userId);
+        if (!userEntry) return res.status(404).json({ error: 'User not found' });
+
+        const businesses   = (userEntry.businesses || []).map(bizId => store.getBusiness(bizId)).filter(Boolean);
+        const cursor       = currentSyncSeq();
+
+        // ?since=<cursor> — only what changed after the client's last pull
+        if (req.query.since !== undefined) {
+            const since = parseInt(req.query.since, 10);
+            if (isNaN(since) || since < 0) return res.status(400).json({ error: 'since must be a non-negative cursor' });
+
+            const transactions = businesses
+                .flatMap(b => store.getTransactions(b.id))
+                .filter(tx => (tx.seq || 0) > since)
+                .sort((a, b) => a.seq - b.seq);
+            const deleted = businesses
+                .flatMap(b => getDeletedTransactions(b.id))
+                .filter(d => d.seq > since)
+                .map(d => ({ id: d.id, businessId: d.businessId, revision: d.revision, deletedAt: d.deletedAt }));
+
+            return res.json({ cursor, businesses, transactions, deleted });
+        }
+
+        const transactions = businesses.flatMap(b => store.getTransactions(b.id));
+
+        res.json({
+            user: { id: userEntry.id, name: userEntry.name, email: userEntry.email },
+            businesses,
+            transactions,
+            cursor
+        });
+
+    } catch (e) {
+        console.error('Sync GET Error:', e.message);
+        res.status(500).json({ error: 'Sync failed' });
+    }
+});
+
+// ── SYNC POST ────────────────────────────────
+// FIX #15: Only overwrites transactions for the specific businessId sent
+// Legacy whole-array sync. New clients should push per-transaction
+// operations to /api/sync/push instead. Send `since`, the cursor of the last
+// pull: leaving out a transaction that changed after it, or sending one back
+// at an older revision, rejects the whole sync with 409 and `conflicts`
+// (without `since`, leaving out any transaction does). New or changed
+// transactions that fail validation reject the whole sync with 422 and
+// { transactions: [{ id, errors: [{ field, message }] }] }. Budget alerts the
+// sync raised come back in `alerts`.
+app.post('/api/sync', verifyToken, (req, res) => {
+    try {
+        const { transactions, businessId } = req.body;
+        if (!Array.isArray(transactions)) {
+            return res.status(400).json({ error: 'transactions must be an array' });
+        }
+        const since = req.body.since === undefined ? 0 : req.body.since;
+        if (!Number.isInteger(since) || since < 0) {
+            return res.status(400).json({ error: 'since must be a non-negative cursor' });
+        }
+
+        const uid = req.userId;
+
+        const userEntry = store.getUserById(uid);
+        if (!userEntry) return res.status(404).json({ error: 'User not found' });
+
+        // FIX #15: If businessId provided, only update that business
+        const updates = {};
+        if (businessId) {
+            if (!userEntry.businesses.includes(businessId)) {
+                return res.status(403).json({ error: 'Access denied to this business' });
+            }
+            updates[businessId] = transactions;
+        } else {
+            // Fallback: group by businessId from each transaction
+            transactions.forEach(tx => {
+                if (!tx.businessId) return;
+                if (!updates[tx.businessId]) updates[tx.businessId] = [];
+                updates[tx.businessId].push(tx);
+            });
+            // Only update businesses this user owns
+            for (const bizId of Object.keys(updates)) {
+                if (!userEntry.businesses.includes(bizId)) delete updates[bizId];
+            }
+        }
+
+        for (const bizId of Object.keys(updates)) {
+            const business = store.getBusiness(bizId);
+            if (!business) delete updates[bizId];
+            else if (!roleCan(getBusinessRole(business, uid), 'write')) {
+                return res.status(403).json({ error: `Your role does not allow replacing transactions of '${business.name}'` });
+            }
+            else if (business.archivedAt) {
+                return res.status(409).json({ error: `Business '${business.name}' is archived. Restore it before making changes.` });
+            }
+        }
+
+        const outcome = store.transaction(() => {
+            const existing = {};
+            // Reject the whole sync if it touches a closed month, would
+            // overwrite changes the client has not pulled, or any new or
+            // changed transaction fails validation
+            for (const [bizId, txList] of Object.entries(updates)) {
+                existing[bizId] = store.getTransactions(bizId);
+                const changes = findLockedChanges(store.getBusiness(bizId), existing[bizId], txList);
+                if (changes.length) return { locked: changes };
+                const conflicts = findSyncConflicts(existing[bizId], txList, since);
+                if (conflicts.length) return { conflicts };
+                const invalid = findInvalidTransactions(existing[bizId], txList, getChartOfAccounts(bizId));
+                if (invalid.length) return { invalid };
+            }
+            const alerts = [];
+            for (const [bizId, txList] of Object.entries(updates)) {
+                const merged = mergeSyncedTransactions(bizId, existing[bizId], txList, uid);
+                store.replaceTransactions(bizId, merged);
+                const budgets = getBudgets(bizId);
+                if (!budgets.length) continue;
+                // mergeSyncedTransactions hands back unchanged transactions as they were
+                const before  = new Map(existing[bizId].map(tx => [String(tx.id), tx]));
+                const kept    = new Set(merged.map(tx => String(tx.id)));
+                const changes = [
+                    ...merged.filter(tx => before.get(String(tx.id)) !== tx)
+                        .map(tx => ({ before: before.get(String(tx.id)) || null, after: tx })),
+                    ...existing[bizId].filter(tx => !kept.has(String(tx.id))).map(tx => ({ before: tx, after: null }))
+                ];
+                alerts.push(...syncBudgetAlerts(store.getBusiness(bizId), budgets, changes, uid));
+            }
+            return { alerts };
+        });
+        if (outcome.locked) return sendPeriodLocked(res, outcome.locked);
+        if (outcome.conflicts) {
+            return res.status(409).json({
+                error: `${outcome.conflicts.length} transaction(s) changed since your last pull. Pull, merge and sync again.`,
+                conflicts: outcome.conflicts
+            });
+        }
+        if (outcome.invalid) {
+            return res.status(422).json({
+                error: `${outcome.invalid.length} transaction(s) failed validation: ${describeTransactionErrors(outcome.invalid[0].errors)}`,
+                transactions: outcome.invalid
+            });
+        }
+
+        res.json({ success: true, cursor: currentSyncSeq(), alerts: outcome.alerts });
+
+    } catch (e) {
+        console.error('Sync POST Error:', e.message);
+        res.status(500).json({ error: 'Save failed' });
+    }
+});
+
+// ── SYNC PUSH (incremental) ──────────────────
+// Body: { businessId, operations: [
+//   { op: 'create', clientId, transaction },
+//   { op: 'update', id, baseRevision, transaction },
+//   { op: 'delete', id, baseRevision } ] }
+// Each result is 'applied', 'conflict', 'locked', 'forbidden' or 'rejected'.
+// Budget alerts the push raised come back in `alerts`.
+app.post('/api/sync/push', verifyToken, (req, res) => {
+    try {
+        const { businessId, operations } = req.body;
+        if (!Array.isArray(operations) || operations.length === 0) {
+            return res.status(400).json({ error: 'operations must be a non-empty array' });
+        }
+        if (operations.length > 500) {
+            return res.status(400).json({ error: 'At most 500 operations per push' });
+        }
+
+        const ctx = loadWritableBusiness(req, res, 'draft', businessId);
+        if (!ctx) return;
+
+        const draftsOnly = !roleCan(ctx.role, 'write');
+        const budgets    = getBudgets(ctx.business.id);
+        const { results, alerts } = store.transaction(() => {
+            const changes = [];
+            const applied = operations.map(op => {
+                const before = budgets.length && op && op.op !== 'create' && op.id !== undefined
+                    ? store.getTransaction(ctx.business.id, op.id) || null : null;
+                const result = applySyncOperation(ctx.business, op, ctx.user.id, draftsOnly);
+                if (budgets.length && result.status === 'applied') changes.push({ before, after: result.transaction || null });
+                return result;
+            });
+            return { results: applied, alerts: syncBudgetAlerts(ctx.business, budgets, changes, ctx.user.id) };
+        });
+
+        res.json({
+            success:   results.every(r => r.status === 'applied'),
+            cursor:    currentSyncSeq(),
+            results,
+            conflicts: results.filter(r => r.status === 'conflict'),
+            alerts
+        });
+
+    } catch (e) {
+        console.error('Sync Push Error:', e.message);
+        res.status(500).json({ error: 'Save failed' });
+    }
+});
+
+// ── TRANSACTIONS ─────────────────────────────
+// Filters: ?from= &to= &accountType= &category= &mode= &gstRate= &status=
+// (lists are comma-separated) &minAmount= &maxAmount= (on grossAmount)
+// &q= (words that must all appear in desc). ?sort=date|amount|createdAt|
+// updatedAt &order=asc|desc (default date, newest first). Page with ?limit=
+// (max 500) and ?cursor=<nextCursor>. Totals cover every matching transaction.
+app.get('/api/businesses/:bizId/transactions', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const { errors, query } = parseTransactionQuery(req.query);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        res.json({ businessId: ctx.business.id, ...store.queryTransactions(ctx.business.id, query) });
+
+    } catch (e) {
+        console.error('Transaction List Error:', e.message);
+        res.status(500).json({ error: 'Failed to load transactions' });
+    }
+});
+
+// ── ATTACHMENTS ──────────────────────────────
+// multipart/form-data with one `file`: a PDF, JPEG, PNG or WebP bill or
+// receipt of at most MAX_ATTACHMENT_MB
+app.post('/api/businesses/:bizId/transactions/:txId/attachments', verifyToken, attachmentUpload.single('file'), (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const bizId = ctx.business.id;
+        const tx = store.getTransaction(bizId, req.params.txId);
+        if (!tx) return res.status(404).json({ error: 'Transaction not found' });
+        if (!req.file || !req.file.size) return res.status(400).json({ error: 'Attach a non-empty file in the `file` field' });
+
+        const contentType = sniffAttachmentType(req.file.buffer);
+        if (!contentType) return res.status(415).json({ error: 'Only PDF, JPEG, PNG and WebP files can be attached' });
+        if (ATTACHMENT_TYPES[req.file.mimetype] && req.file.mimetype !== contentType) {
+            return res.status(415).json({ error: `The file was sent as ${req.file.mimetype} but contains ${contentType}` });
+        }
+
+        const attachments = getAttachments(bizId);
+        const existing = attachments.filter(a => String(a.transactionId) === String(tx.id));
+        if (existing.length >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+            return res.status(409).json({ error: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments` });
+        }
+        const sha256 = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+        const duplicate = existing.find(a => a.sha256 === sha256);
+        if (duplicate) return res.status(409).json({ error: 'This file is already attached to the transaction', attachment: duplicate });
+
+        const id = newId();
+        const attachment = {
+            id,
+            transactionId: tx.id,
+            filename:      safeFilename(req.file.originalname, contentType),
+            contentType,
+            size:          req.file.size,
+            sha256,
+            storageKey:    `${bizId}/${id}`,
+            uploadedBy:    ctx.user.id,
+            uploadedAt:    new Date().toISOString()
+        };
+        attachmentStore().save(attachment.storageKey, req.file.buffer);
+        try {
+            attachments.push(attachment);
+            store.setDoc('attachments', bizId, attachments);
+        } catch (e) {
+            attachmentStore().remove(attachment.storageKey);
+            throw e;
+        }
+
+        res.status(201).json({ success: true, attachment });
+
+    } catch (e) {
+        console.error('Attachment Upload Error:', e.message);
+        res.status(500).json({ error: 'Failed to save attachment' });
+    }
+});
+
+app.get('/api/businesses/:bizId/transactions/:txId/attachments', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const attachments = getAttachments(ctx.business.id).filter(a => String(a.transactionId) === String(req.params.txId));
+        res.json({ businessId: ctx.business.id, transactionId: req.params.txId, attachments });
+
+    } catch (e) {
+        console.error('Attachments Error:', e.message);
+        res.status(500).json({ error: 'Failed to load attachments' });
+    }
+});
+
+// The file itself, shown inline; ?download=true to save it instead
+app.get('/api/businesses/:bizId/attachments/:attachmentId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadAttachment(req, res);
+        if (!ctx) return;
+
+        const { attachment } = ctx;
+        let data;
+        try {
+            data = attachmentStore().read(attachment.storageKey);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            return res.status(410).json({ error: 'The attachment file is missing from storage' });
+        }
+
+        res.setHeader('Content-Type', attachment.contentType);
+        res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${attachment.filename}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(data);
+
+    } catch (e) {
+        console.error('Attachment Download Error:', e.message);
+        res.status(500).json({ error: 'Failed to load attachment' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/attachments/:attachmentId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadAttachment(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, attachments, attachment } = ctx;
+        store.setDoc('attachments', business.id, attachments.filter(a => a.id !== attachment.id));
+        attachmentStore().remove(attachment.storageKey);
+
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Attachment Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+// ── AUDIT TRAIL ──────────────────────────────
+// Newest first. Filters: ?transactionId= &userId= &action= &source= &from= &to=
+// (dates, on the entry time). Page with ?limit= (max 500) and ?before=<id>.
+app.get('/api/businesses/:bizId/audit', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const { transactionId, userId, action, source, from, to } = req.query;
+        const limit  = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        const before = req.query.before === undefined ? null : Number(req.query.before);
+        const errors = [];
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE) errors.push(`limit must be a whole number from 1 to ${MAX_AUDIT_PAGE}`);
+        if (before !== null && !Number.isInteger(before))                    errors.push('before must be an audit entry id');
+        if (action && !AUDIT_ACTIONS.includes(action))                       errors.push(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to)))        errors.push('from and to must be dates in YYYY-MM-DD format');
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const matching = store.getAuditLog(ctx.business.id, transactionId || null)
+            .filter(e => (before === null || e.id < before)
+                && (!userId || e.userId === userId)
+                && (!action || e.action === action)
+                && (!source || e.source === source)
+                && (!from || e.at.slice(0, 10) >= from)
+                && (!to || e.at.slice(0, 10) <= to))
+            .reverse();
+        const page = matching.slice(0, limit);
+
+        res.json({
+            businessId: ctx.business.id,
+            entries:    publicAuditEntries(page),
+            nextBefore: matching.length > limit ? page[page.length - 1].id : null
+        });
+
+    } catch (e) {
+        console.error('Audit Log Error:', e.message);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
+// Checks that no entry of the business's log was altered or removed
+app.get('/api/businesses/:bizId/audit/verify', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, ...verifyAuditChain(store.getAuditLog(ctx.business.id)) });
+
+    } catch (e) {
+        console.error('Audit Verify Error:', e.message);
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+// Every recorded version of one transaction, oldest first
+app.get('/api/businesses/:bizId/transactions/:txId/history', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const bizId   = ctx.business.id;
+        const history = store.getAuditLog(bizId, req.params.txId);
+        const current = store.getTransaction(bizId, req.params.txId) || null;
+        if (!history.length && !current) return res.status(404).json({ error: 'Transaction not found' });
+
+        res.json({ transactionId: req.params.txId, deleted: !current, current, history: publicAuditEntries(history) });
+
+    } catch (e) {
+        console.error('Transaction History Error:', e.message);
+        res.status(500).json({ error: 'Failed to load transaction history' });
+    }
+});
+
+// Body: { revision, baseRevision? } — restores the transaction as it was at
+// `revision` (deleted transactions come back). baseRevision guards against
+// reverting over someone else's newer edit.
+app.post('/api/businesses/:bizId/transactions/:txId/revert', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'write');
+        if (!ctx) return;
+
+        const { revision, baseRevision } = req.body || {};
+        if (!Number.isInteger(revision) || revision < 1) return res.status(400).json({ error: 'revision must be a positive whole number' });
+
+        const result = store.transaction(() => revertTransaction(ctx.business, req.params.txId, revision, ctx.user.id, baseRevision));
+        if (result.status === 'not_found') return res.status(404).json({ error: result.error });
+        if (result.status === 'locked')    return res.status(423).json({ error: result.error });
+        if (result.status === 'invalid')   return res.status(422).json({ error: result.error, errors: result.errors });
+        if (result.status === 'conflict')  return res.status(409).json({ error: result.error, serverRevision: result.serverRevision, server: result.server });
+
+        res.json({ success: true, cursor: currentSyncSeq(), transaction: result.transaction });
+
+    } catch (e) {
+        console.error('Transaction Revert Error:', e.message);
+        res.status(500).json({ error: 'Failed to revert transaction' });
+    }
+});
+
+// ── FILE UPLOAD ──────────────────────────────
+// FIX #13: Actually parse CSV instead of returning fake mock data
+// Accepts CSV/TSV statements, OFX/QFX, MT940 and Tally XML day books.
+// Form fields (all optional): businessId applies that business's
+// categorization, chart of accounts and duplicate checks against its ledger;
+// profileId picks a saved CSV import profile of that business. Rows already
+// in the ledger (or repeated in the file) are returned under `duplicates`,
+// not `data`.
+app.post('/api/upload', verifyToken, upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const { businessId, profileId } = req.body;
+        let customRules = [];
+        let model       = null;
+        let existing    = [];
+        let profile     = null;
+        let chart       = clone(DEFAULT_CHART);
+        if (businessId) {
+            const ctx = loadBusinessForUser(req, res, 'draft', businessId);
+            if (!ctx) return;
+            customRules = getCategoryRules(ctx.business.id);
+            model       = getCategoryModel(ctx.business.id);
+            existing    = store.getTransactions(ctx.business.id);
+            chart       = getChartOfAccounts(ctx.business.id);
+            if (profileId) {
+                profile = getImportProfiles(ctx.business.id).find(p => p.id === profileId);
+                if (!profile) return res.status(404).json({ error: 'Import profile not found' });
+            }
+        } else if (profileId) {
+            return res.status(400).json({ error: 'profileId requires businessId' });
+        }
+
+        let parsedFile = readStatementFile(req.file, profile);
+        if (parsedFile.error) return res.status(422).json({ error: parsedFile.error });
+        const format = parsedFile.format;
+        if (format === 'tally') parsedFile = parseTallyXML(parsedFile.content, chart, customRules, model);
+
+        const drafts = parsedFile.drafts || parsedFile.rows.map(row => {
+            const { category, accountType, confidence } = categorizeStatementRow(row, customRules, model);
+            const { entries, netAmount, grossAmount } = generateJournalEntries(row.amount, 'Bank', accountType, category, 0, false);
+            return {
+                ...row,
+                accountType,
+                category,
+                categoryConfidence: confidence,
+                mode:        'Bank',
+                netAmount,
+                gstAmount:   0,
+                grossAmount,
+                gstRate:     0,
+                entries
+            };
+        });
+
+        const data       = [];
+        const duplicates = [];
+        const seen       = [];
+        drafts.forEach(parsed => {
+            parsed.importFingerprint = importFingerprint(parsed);
+
+            const duplicate = findDuplicate(parsed, existing)
+                || (seen.includes(parsed.importFingerprint) ? { id: null, match: 'in-file' } : null);
+            seen.push(parsed.importFingerprint);
+            if (duplicate) duplicates.push({ ...parsed, duplicateOf: duplicate.id, match: duplicate.match });
+            else data.push(parsed);
+        });
+
+        if (data.length === 0 && duplicates.length === 0) {
+            return res.status(422).json({ error: 'No valid transactions found in file. Check the file format.' });
+        }
+
+        res.json({
+            success: true,
+            format,
+            data,
+            count: data.length,
+            duplicates,
+            skippedRows: parsedFile.skipped,
+            openingBalance: parsedFile.openingBalance,
+            closingBalance: parsedFile.closingBalance,
+            profile: format === 'csv' ? { id: parsedFile.profile.id || null, name: parsedFile.profile.name, dateFormat: parsedFile.profile.dateFormat || null } : null
+        });
+
+    } catch (e) {
+        console.error('Upload Error:', e.message);
+        res.status(500).json({ error: 'File processing failed' });
+    }
+});
+
+// ── IMPORT PROFILES ──────────────────────────
+app.get('/api/businesses/:bizId/import-profiles', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, profiles: getImportProfiles(ctx.business.id) });
+
+    } catch (e) {
+        console.error('Import Profiles Error:', e.message);
+        res.status(500).json({ error: 'Failed to load import profiles' });
+    }
+});
+
+app.post('/api/businesses/:bizId/import-profiles', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const { errors, fields } = validateImportProfile(req.body || {});
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const profiles = getImportProfiles(ctx.business.id);
+        if (profiles.some(p => p.name.toLowerCase() === fields.name.toLowerCase())) {
+            return res.status(409).json({ error: `An import profile named '${fields.name}' already exists` });
+        }
+
+        const profile = { id: newId(), ...fields, createdBy: ctx.user.id, createdAt: new Date().toISOString() };
+        profiles.push(profile);
+        store.setDoc('importProfiles', ctx.business.id, profiles);
+
+        res.status(201).json({ success: true, profile });
+
+    } catch (e) {
+        console.error('Import Profile Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create import profile' });
+    }
+});
+
+app.put('/api/businesses/:bizId/import-profiles/:profileId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const profiles = getImportProfiles(ctx.business.id);
+        const idx      = profiles.findIndex(p => p.id === req.params.profileId);
+        if (idx === -1) return res.status(404).json({ error: 'Import profile not found' });
+
+        const { id, createdBy, createdAt, updatedAt, ...current } = profiles[idx];
+        const { errors, fields } = validateImportProfile({ ...current, ...(req.body || {}) });
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        if (profiles.some(p => p.id !== id && p.name.toLowerCase() === fields.name.toLowerCase())) {
+            return res.status(409).json({ error: `An import profile named '${fields.name}' already exists` });
+        }
+
+        profiles[idx] = { id, ...fields, createdBy, createdAt, updatedAt: new Date().toISOString() };
+        store.setDoc('importProfiles', ctx.business.id, profiles);
+
+        res.json({ success: true, profile: profiles[idx] });
+
+    } catch (e) {
+        console.error('Import Profile Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update import profile' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/import-profiles/:profileId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const profiles = getImportProfiles(ctx.business.id);
+        if (!profiles.some(p => p.id === req.params.profileId)) return res.status(404).json({ error: 'Import profile not found' });
+
+        store.setDoc('importProfiles', ctx.business.id, profiles.filter(p => p.id !== req.params.profileId));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Import Profile Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete import profile' });
+    }
+});
+
+// ── BUSINESSES ───────────────────────────────
+// ?includeArchived=true to list archived businesses as well
+app.get('/api/businesses', verifyToken, (req, res) => {
+    try {
+        const user = store.getUserById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const includeArchived = req.query.includeArchived === 'true';
+        const businesses = (user.businesses || [])
+            .map(bizId => store.getBusiness(bizId))
+            .filter(b => b && (includeArchived || !b.archivedAt));
+
+        res.json({ businesses });
+
+    } catch (e) {
+        console.error('Business List Error:', e.message);
+        res.status(500).json({ error: 'Failed to load businesses' });
+    }
+});
+
+app.post('/api/businesses', verifyToken, (req, res) => {
+    try {
+        const user = store.getUserById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const { errors, fields } = validateBusiness(req.body || {});
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const business = {
+            id:                 newId(),
+            ownerId:            user.id,
+            name:               fields.name,
+            type:               fields.type || 'general',
+            currency:           fields.currency || 'INR',
+            gstNumber:          fields.gstNumber || '',
+            financialYearStart: fields.financialYearStart || '04',
+            createdAt:          new Date().toISOString(),
+            lockedMonths:       []
+        };
+
+        user.businesses = [...(user.businesses || []), business.id];
+        store.transaction(() => {
+            store.saveBusiness(business);
+            store.saveUser(user);
+        });
+
+        res.status(201).json({ success: true, business });
+
+    } catch (e) {
+        console.error('Business Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create business' });
+    }
+});
+
+app.get('/api/businesses/:bizId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ business: ctx.business });
+
+    } catch (e) {
+        console.error('Business Get Error:', e.message);
+        res.status(500).json({ error: 'Failed to load business' });
+    }
+});
+
+app.put('/api/businesses/:bizId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { business } = ctx;
+
+        const { errors, fields } = validateBusiness(req.body || {}, true);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        if (!Object.keys(fields).length) {
+            return res.status(400).json({ error: 'Nothing to update. Editable fields: name, type, currency, gstNumber, financialYearStart' });
+        }
+
+        const updated = { ...business, ...fields, updatedAt: new Date().toISOString() };
+        store.saveBusiness(updated);
+
+        res.json({ success: true, business: updated });
+
+    } catch (e) {
+        console.error('Business Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update business' });
+    }
+});
+
+// Archiving hides a business from lists and makes it read-only; nothing is deleted
+app.post('/api/businesses/:bizId/archive', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res, 'manage');
+        if (!ctx) return;
+
+        const { user, business } = ctx;
+        if (business.archivedAt) return res.status(409).json({ error: 'Business is already archived' });
+
+        business.archivedAt = new Date().toISOString();
+        business.archivedBy = user.id;
+        store.saveBusiness(business);
+
+        res.json({ success: true, business });
+
+    } catch (e) {
+        console.error('Business Archive Error:', e.message);
+        res.status(500).json({ error: 'Failed to archive business' });
+    }
+});
+
+app.post('/api/businesses/:bizId/restore', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res, 'manage');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        if (!business.archivedAt) return res.status(409).json({ error: 'Business is not archived' });
+
+        delete business.archivedAt;
+        delete business.archivedBy;
+        store.saveBusiness(business);
+
+        res.json({ success: true, business });
+
+    } catch (e) {
+        console.error('Business Restore Error:', e.message);
+        res.status(500).json({ error: 'Failed to restore business' });
+    }
+});
+
+// ── CHART OF ACCOUNTS ────────────────────────
+app.get('/api/businesses/:bizId/accounts', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, accounts: getChartOfAccounts(ctx.business.id) });
+
+    } catch (e) {
+        console.error('Chart Error:', e.message);
+        res.status(500).json({ error: 'Failed to load chart of accounts' });
+    }
+});
+
+// Body: { code, name, type, parent, isGroup }
+app.post('/api/businesses/:bizId/accounts', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const chart = getChartOfAccounts(ctx.business.id);
+        const { errors, fields } = validateChartAccount(req.body || {}, chart);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const account = { ...fields, system: false, createdAt: new Date().toISOString() };
+        chart.push(account);
+        store.setDoc('chartOfAccounts', ctx.business.id, chart);
+
+        res.status(201).json({ success: true, account });
+
+    } catch (e) {
+        console.error('Account Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
+app.put('/api/businesses/:bizId/accounts/:code', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const bizId   = ctx.business.id;
+        const chart   = getChartOfAccounts(bizId);
+        const account = chart.find(a => a.code === req.params.code);
+        if (!account) return res.status(404).json({ error: 'Account not found' });
+
+        const { errors, fields } = validateChartAccount(req.body || {}, chart, account);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const renamed = fields.name !== account.name;
+        const retyped = fields.type !== account.type;
+        if ((renamed || retyped) && SYSTEM_ACCOUNTS[account.name]) {
+            return res.status(409).json({ error: `${account.name} is used by the journal engine and cannot be renamed or retyped` });
+        }
+        if ((renamed || retyped) && accountIsPosted(store.getTransactions(bizId), account.name)) {
+            return res.status(409).json({ error: `${account.name} already has journal entries and cannot be renamed or retyped` });
+        }
+        if (account.isGroup && !fields.isGroup && chart.some(a => a.parent === account.code)) {
+            return res.status(409).json({ error: 'A group with child accounts cannot become a posting account' });
+        }
+        if (!account.isGroup && fields.isGroup && getCategoryRules(bizId).some(r => r.category === account.name)) {
+            return res.status(409).json({ error: `${account.name} is used by a categorization rule and must stay a posting account` });
+        }
+
+        const oldCode = account.code;
+        const oldName = account.name;
+        Object.assign(account, fields, { updatedAt: new Date().toISOString() });
+        if (oldCode !== account.code) chart.forEach(a => { if (a.parent === oldCode) a.parent = account.code; });
+        store.transaction(() => {
+            store.setDoc('chartOfAccounts', bizId, chart);
+            // Keep categorization rules pointing at the renamed account
+            if (renamed || retyped) {
+                const rules = getCategoryRules(bizId);
+                if (rules.some(r => r.category === oldName)) {
+                    rules.forEach(r => {
+                        if (r.category === oldName) Object.assign(r, { category: account.name, accountType: account.type });
+                    });
+                    store.setDoc('categoryRules', bizId, rules);
+                }
+            }
+        });
+
+        res.json({ success: true, account });
+
+    } catch (e) {
+        console.error('Account Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/accounts/:code', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const bizId   = ctx.business.id;
+        const chart   = getChartOfAccounts(bizId);
+        const account = chart.find(a => a.code === req.params.code);
+        if (!account) return res.status(404).json({ error: 'Account not found' });
+
+        if (SYSTEM_ACCOUNTS[account.name]) return res.status(409).json({ error: `${account.name} is used by the journal engine and cannot be deleted` });
+        if (chart.some(a => a.parent === account.code)) return res.status(409).json({ error: 'Move or delete the child accounts first' });
+        if (accountIsPosted(store.getTransactions(bizId), account.name)) {
+            return res.status(409).json({ error: `${account.name} has journal entries and cannot be deleted` });
+        }
+        if (getCategoryRules(bizId).some(r => r.category === account.name)) {
+            return res.status(409).json({ error: `${account.name} is used by a categorization rule` });
+        }
+
+        store.setDoc('chartOfAccounts', bizId, chart.filter(a => a !== account));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Account Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+// ── CATEGORIZATION RULES ─────────────────────
+app.get('/api/businesses/:bizId/category-rules', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, rules: getCategoryRules(ctx.business.id) });
+
+    } catch (e) {
+        console.error('Rules Error:', e.message);
+        res.status(500).json({ error: 'Failed to load categorization rules' });
+    }
+});
+
+// Body: { type: 'keyword', keywords: [...] } or { type: 'regex', pattern, flags },
+// plus { category, priority }
+app.post('/api/businesses/:bizId/category-rules', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const bizId = ctx.business.id;
+        const { errors, fields } = validateCategoryRule(req.body || {}, getChartOfAccounts(bizId));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const rule  = { id: newId(), ...fields, createdBy: ctx.user.id, createdAt: new Date().toISOString() };
+        const rules = getCategoryRules(bizId);
+        rules.push(rule);
+        store.setDoc('categoryRules', bizId, rules);
+
+        res.status(201).json({ success: true, rule });
+
+    } catch (e) {
+        console.error('Rule Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create rule' });
+    }
+});
+
+app.put('/api/businesses/:bizId/category-rules/:ruleId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const bizId = ctx.business.id;
+        const rules = getCategoryRules(bizId);
+        const idx   = rules.findIndex(r => r.id === req.params.ruleId);
+        if (idx === -1) return res.status(404).json({ error: 'Rule not found' });
+
+        const { errors, fields } = validateCategoryRule({ ...rules[idx], ...(req.body || {}) }, getChartOfAccounts(bizId));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const { id, createdBy, createdAt } = rules[idx];
+        rules[idx] = { id, ...fields, createdBy, createdAt, updatedAt: new Date().toISOString() };
+        store.setDoc('categoryRules', bizId, rules);
+
+        res.json({ success: true, rule: rules[idx] });
+
+    } catch (e) {
+        console.error('Rule Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update rule' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/category-rules/:ruleId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const rules = getCategoryRules(ctx.business.id);
+        if (!rules.some(r => r.id === req.params.ruleId)) return res.status(404).json({ error: 'Rule not found' });
+
+        store.setDoc('categoryRules', ctx.business.id, rules.filter(r => r.id !== req.params.ruleId));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Rule Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete rule' });
+    }
+});
+
+// ── CATEGORY LEARNING ────────────────────────
+app.get('/api/businesses/:bizId/category-model', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const bizId = ctx.business.id;
+        const model = getCategoryModel(bizId);
+        const categories = Object.entries(model.categories)
+            .map(([category, c]) => ({
+                category,
+                accountType: c.accountType,
+                weight:      c.weight,
+                topTokens:   Object.entries(c.tokens).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([t]) => t)
+            }))
+            .sort((a, b) => b.weight - a.weight);
+
+        res.json({
+            businessId:  bizId,
+            examples:    model.examples,
+            corrections: model.corrections,
+            updatedAt:   model.updatedAt || null,
+            categories,
+            recentCorrections: getCategoryCorrections(bizId).slice(-20).reverse()
+        });
+
+    } catch (e) {
+        console.error('Category Model Error:', e.message);
+        res.status(500).json({ error: 'Failed to load category model' });
+    }
+});
+
+// Forgets everything learned from corrections; rules are untouched
+app.delete('/api/businesses/:bizId/category-model', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        store.transaction(() => {
+            store.deleteDoc('categoryModel', ctx.business.id);
+            store.deleteDoc('categoryCorrections', ctx.business.id);
+        });
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Category Model Reset Error:', e.message);
+        res.status(500).json({ error: 'Failed to reset category model' });
+    }
+});
+
+// ── TEAM ─────────────────────────────────────
+app.get('/api/businesses/:bizId/members', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, role: ctx.role, members: listMembers(ctx.business) });
+
+    } catch (e) {
+        console.error('Members Error:', e.message);
+        res.status(500).json({ error: 'Failed to load members' });
+    }
+});
+
+app.put('/api/businesses/:bizId/members/:userId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const { role } = req.body || {};
+        if (!INVITABLE_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+
+        const member = (business.members || []).find(m => m.userId === req.params.userId);
+        if (!member) return res.status(404).json({ error: 'Member not found' });
+
+        member.role = role;
+        member.updatedAt = new Date().toISOString();
+        store.saveBusiness(business);
+
+        res.json({ success: true, members: listMembers(business) });
+
+    } catch (e) {
+        console.error('Member Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+// Owners remove members; any member may remove themselves (leave)
+app.delete('/api/businesses/:bizId/members/:userId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const { user, business, role } = ctx;
+        const targetId = req.params.userId;
+        if (targetId !== user.id && !roleCan(role, 'manage')) {
+            return res.status(403).json({ error: `Your role (${role}) does not allow this action` });
+        }
+        if (targetId === business.ownerId) return res.status(400).json({ error: 'The owner cannot be removed from the business' });
+        if (!(business.members || []).some(m => m.userId === targetId)) return res.status(404).json({ error: 'Member not found' });
+
+        business.members = business.members.filter(m => m.userId !== targetId);
+        const target = store.getUserById(targetId);
+        store.transaction(() => {
+            store.saveBusiness(business);
+            if (target) {
+                target.businesses = (target.businesses || []).filter(id => id !== business.id);
+                store.saveUser(target);
+            }
+        });
+
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Member Remove Error:', e.message);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+app.get('/api/businesses/:bizId/invitations', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res, 'manage');
+        if (!ctx) return;
+
+        const invitations = (store.getDoc('invitations', ctx.business.id) || []).map(publicInvitation);
+        res.json({ businessId: ctx.business.id, invitations });
+
+    } catch (e) {
+        console.error('Invitations Error:', e.message);
+        res.status(500).json({ error: 'Failed to load invitations' });
+    }
+});
+
+// Body: { email, role } — the token goes out by mail only
+app.post('/api/businesses/:bizId/invitations', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { user, business } = ctx;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        const role  = req.body.role;
+
+        const errors = [];
+        if (!isValidEmail(email))             errors.push('Valid email is required');
+        if (!INVITABLE_ROLES.includes(role))  errors.push(`role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const existing = store.getUserByEmail(email);
+        if (existing && getBusinessRole(business, existing.id)) {
+            return res.status(409).json({ error: 'That user is already a member of this business' });
+        }
+
+        const invitations = store.getDoc('invitations', business.id) || [];
+        if (invitations.some(i => i.email === email && publicInvitation(i).status === 'pending')) {
+            return res.status(409).json({ error: 'An invitation is already pending for that email' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now   = new Date();
+        const invitation = {
+            id:         newId(),
+            businessId: business.id,
+            email,
+            role,
+            status:     'pending',
+            invitedBy:  user.id,
+            createdAt:  now.toISOString(),
+            expiresAt:  new Date(now.getTime() + INVITATION_TTL_MS).toISOString(),
+            tokenHash:  hashToken(token)
+        };
+        invitations.push(invitation);
+
+        store.transaction(() => {
+            store.setDoc('invitations', business.id, invitations);
+            store.setDoc('invitationTokens', invitation.tokenHash, { businessId: business.id, invitationId: invitation.id });
+        });
+
+        sendMail({
+            to:      email,
+            subject: `${user.name} invited you to ${business.name} on Ledgerly`,
+            text:    [
+                `${user.name} has invited you to join ${business.name} as ${role}.`,
+                '',
+                `Accept the invitation: ${APP_URL}/invite?token=${token}`,
+                '',
+                `This link expires on ${invitation.expiresAt.split('T')[0]}.`
+            ].join('\n')
+        });
+
+        res.status(201).json({ success: true, invitation: publicInvitation(invitation) });
+
+    } catch (e) {
+        console.error('Invite Error:', e.message);
+        res.status(500).json({ error: 'Failed to send invitation' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/invitations/:inviteId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res, 'manage');
+        if (!ctx) return;
+
+        const invitations = store.getDoc('invitations', ctx.business.id) || [];
+        const invitation  = invitations.find(i => i.id === req.params.inviteId);
+        if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+        if (invitation.status !== 'pending') return res.status(409).json({ error: `Invitation is already ${invitation.status}` });
+
+        invitation.status    = 'revoked';
+        invitation.revokedAt = new Date().toISOString();
+        store.setDoc('invitations', ctx.business.id, invitations);
+
+        res.json({ success: true, invitation: publicInvitation(invitation) });
+
+    } catch (e) {
+        console.error('Invite Revoke Error:', e.message);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
+// Accepted by the invited user while logged in — the account email must match
+app.post('/api/invitations/accept', verifyToken, (req, res) => {
+    try {
+        const { token } = req.body || {};
+        if (!token || typeof token !== 'string') return res.status(400).json({ error: 'Invitation token is required' });
+
+        const user = store.getUserById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const ref = store.getDoc('invitationTokens', hashToken(token));
+        const business = ref && store.getBusiness(ref.businessId);
+        const invitations = business ? (store.getDoc('invitations', business.id) || []) : [];
+        const invitation  = invitations.find(i => ref && i.id === ref.invitationId);
+        if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+
+        const status = publicInvitation(invitation).status;
+        if (status !== 'pending') return res.status(410).json({ error: `Invitation is ${status}` });
+        if (invitation.email !== String(user.email).toLowerCase()) {
+            return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+        }
+
+        const now = new Date().toISOString();
+        invitation.status     = 'accepted';
+        invitation.acceptedAt = now;
+        invitation.acceptedBy = user.id;
+
+        if (!getBusinessRole(business, user.id)) {
+            business.members = [...(business.members || []), { userId: user.id, role: invitation.role, addedAt: now, addedBy: invitation.invitedBy }];
+        }
+        if (!(user.businesses || []).includes(business.id)) user.businesses = [...(user.businesses || []), business.id];
+
+        store.transaction(() => {
+            store.setDoc('invitations', business.id, invitations);
+            store.saveBusiness(business);
+            store.saveUser(user);
+        });
+
+        res.json({ success: true, business, role: getBusinessRole(business, user.id) });
+
+    } catch (e) {
+        console.error('Invite Accept Error:', e.message);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// ── PARTIES ──────────────────────────────────
+// ?type=customer|vendor to list one kind only
+app.get('/api/businesses/:bizId/parties', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const { type } = req.query;
+        if (type && !PARTY_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of: ${PARTY_TYPES.join(', ')}` });
+
+        const transactions = store.getTransactions(ctx.business.id);
+        const parties = getParties(ctx.business.id)
+            .filter(p => !type || p.type === type)
+            .map(p => ({ ...p, balance: partyOpenItems(p, transactions).balance }));
+        res.json({ businessId: ctx.business.id, parties });
+
+    } catch (e) {
+        console.error('Parties Error:', e.message);
+        res.status(500).json({ error: 'Failed to load parties' });
+    }
+});
+
+app.post('/api/businesses/:bizId/parties', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const { errors, fields } = validateParty(req.body || {});
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const parties = getParties(ctx.business.id);
+        if (parties.some(p => p.type === fields.type && p.name.toLowerCase() === fields.name.toLowerCase())) {
+            return res.status(409).json({ error: `A ${fields.type} named '${fields.name}' already exists` });
+        }
+
+        const party = { id: newId(), creditDays: 0, ...fields, createdBy: ctx.user.id, createdAt: new Date().toISOString() };
+        parties.push(party);
+        store.setDoc('parties', ctx.business.id, parties);
+
+        res.status(201).json({ success: true, party });
+
+    } catch (e) {
+        console.error('Party Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create party' });
+    }
+});
+
+// The party with its open items and every transaction booked against it
+app.get('/api/businesses/:bizId/parties/:partyId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadParty(req, res);
+        if (!ctx) return;
+
+        const { party } = ctx;
+        const transactions = store.getTransactions(ctx.business.id);
+        const { items, unapplied, balance } = partyOpenItems(party, transactions);
+        const history = transactions
+            .filter(tx => isPosted(tx) && String(tx.partyId) === String(party.id))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(tx => ({ id: tx.id, date: tx.date, desc: tx.desc, kind: tx.kind || null, amount: controlMovement(tx, party.type) }));
+
+        res.json({ party, account: PARTY_CONTROL_ACCOUNTS[party.type], balance, unapplied, openItems: items, transactions: history });
+
+    } catch (e) {
+        console.error('Party Error:', e.message);
+        res.status(500).json({ error: 'Failed to load party' });
+    }
+});
+
+app.put('/api/businesses/:bizId/parties/:partyId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadParty(req, res, 'draft');
+        if (!ctx) return;
+
+        const { parties, party } = ctx;
+        const { errors, fields } = validateParty(req.body || {}, true);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const updated = { ...party, ...fields };
+        if (parties.some(p => p.id !== party.id && p.type === updated.type && p.name.toLowerCase() === updated.name.toLowerCase())) {
+            return res.status(409).json({ error: `A ${updated.type} named '${updated.name}' already exists` });
+        }
+        if (updated.type !== party.type && store.getTransactions(ctx.business.id).some(tx => String(tx.partyId) === String(party.id))) {
+            return res.status(409).json({ error: 'This party has transactions; its type cannot be changed' });
+        }
+
+        updated.updatedAt = new Date().toISOString();
+        parties[parties.indexOf(party)] = updated;
+        store.setDoc('parties', ctx.business.id, parties);
+
+        res.json({ success: true, party: updated });
+
+    } catch (e) {
+        console.error('Party Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update party' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/parties/:partyId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadParty(req, res, 'write');
+        if (!ctx) return;
+
+        const { parties, party } = ctx;
+        const used = store.getTransactions(ctx.business.id).filter(tx => String(tx.partyId) === String(party.id)).length;
+        if (used) return res.status(409).json({ error: `${party.name} is used by ${used} transaction(s) and cannot be deleted` });
+
+        store.setDoc('parties', ctx.business.id, parties.filter(p => p.id !== party.id));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Party Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete party' });
+    }
+});
+
+// Records money received from a customer or paid to a vendor.
+// Body: { amount, date?, mode? ('Cash' | 'Bank' | 'UPI', default Bank), desc?,
+// reference?, allocations? [{ transactionId, amount }] }. Whatever is not
+// allocated is set against the oldest open items.
+app.post('/api/businesses/:bizId/parties/:partyId/settlements', verifyToken, (req, res) => {
+    try {
+        const ctx = loadParty(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, party } = ctx;
+        const body   = req.body || {};
+        const amount = round2(body.amount);
+        const date   = body.date || todayISO();
+        const mode   = body.mode || 'Bank';
+
+        const errors = [];
+        if (!(Number(body.amount) > 0))                          errors.push('amount must be a positive number');
+        if (!isValidDate(date))                                  errors.push('date must be YYYY-MM-DD');
+        if (!PAYMENT_MODES.includes(mode) || mode === 'Credit')  errors.push("mode must be 'Cash', 'Bank' or 'UPI'");
+        if (body.allocations !== undefined && !Array.isArray(body.allocations)) errors.push('allocations must be an array');
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        if (isDateLocked(business, date)) return sendPeriodLocked(res, [{ id: null, date, month: monthOf(date) }]);
+
+        const transactions = store.getTransactions(business.id);
+        const open = new Map(partyOpenItems(party, transactions).items.map(i => [String(i.transactionId), i]));
+        const allocations = [];
+        for (const a of body.allocations || []) {
+            const item = open.get(String(a && a.transactionId));
+            const allocated = round2(a && a.amount);
+            if (!item) errors.push(`Transaction ${a && a.transactionId} is not an open item of ${party.name}`);
+            else if (!(allocated > 0) || allocated > item.open) errors.push(`Allocation to ${item.transactionId} must be between 0 and ${item.open}`);
+            else allocations.push({ transactionId: item.transactionId, amount: allocated });
+        }
+        if (round2(allocations.reduce((s, a) => s + a.amount, 0)) > amount) errors.push('Allocations add up to more than the amount');
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const tx = settlementTransaction(business, party, { amount, date, mode, desc: body.desc, reference: body.reference, allocations });
+        store.transaction(() => {
+            store.saveTransaction(business.id, tx);
+            recordAudit(business.id, 'create', { userId: ctx.user.id, after: tx });
+        });
+
+        const { items, unapplied, balance } = partyOpenItems(party, store.getTransactions(business.id));
+        res.status(201).json({ success: true, transaction: tx, balance, unapplied, openItems: items });
+
+    } catch (e) {
+        console.error('Settlement Error:', e.message);
+        res.status(500).json({ error: 'Failed to record settlement' });
+    }
+});
+
+// ── INVOICES ─────────────────────────────────
+// ?status= and ?partyId= narrow the list
+app.get('/api/businesses/:bizId/invoices', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const { status, partyId } = req.query;
+        if (status && !INVOICE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${INVOICE_STATUSES.join(', ')}` });
+        }
+
+        const transactions = store.getTransactions(ctx.business.id);
+        const parties = getParties(ctx.business.id);
+        const invoices = getInvoices(ctx.business.id)
+            .filter(i => (!status || i.status === status) && (!partyId || i.partyId === partyId))
+            .map(i => ({ ...i, balanceDue: invoiceBalanceDue(i, parties.find(p => p.id === i.partyId), transactions) }));
+        res.json({ businessId: ctx.business.id, invoices });
+
+    } catch (e) {
+        console.error('Invoices Error:', e.message);
+        res.status(500).json({ error: 'Failed to load invoices' });
+    }
+});
+
+// Body: { partyId, date?, dueDate?, notes?, lines: [{ description, hsn?,
+// quantity?, unit?, rate, gstRate?, category? }] } — saved as a draft
+app.post('/api/businesses/:bizId/invoices', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const parties = getParties(business.id);
+        const { errors, fields } = validateInvoice(req.body || {}, business, parties, getChartOfAccounts(business.id));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const party   = parties.find(p => p.id === fields.partyId);
+        const invoice = priceInvoice({ id: newId(), number: null, status: 'draft', ...fields, createdBy: ctx.user.id, createdAt: new Date().toISOString() }, business, party);
+        const invoices = getInvoices(business.id);
+        invoices.push(invoice);
+        store.setDoc('invoices', business.id, invoices);
+
+        res.status(201).json({ success: true, invoice });
+
+    } catch (e) {
+        console.error('Invoice Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create invoice' });
+    }
+});
+
+app.get('/api/businesses/:bizId/invoices/:invoiceId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res);
+        if (!ctx) return;
+        const balanceDue = invoiceBalanceDue(ctx.invoice, ctx.party, store.getTransactions(ctx.business.id));
+        res.json({ invoice: { ...ctx.invoice, balanceDue } });
+
+    } catch (e) {
+        console.error('Invoice Error:', e.message);
+        res.status(500).json({ error: 'Failed to load invoice' });
+    }
+});
+
+// Drafts only
+app.put('/api/businesses/:bizId/invoices/:invoiceId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res, 'draft');
+        if (!ctx) return;
+
+        const { business, invoices, invoice, parties } = ctx;
+        if (invoice.status !== 'draft') return res.status(409).json({ error: `Invoice is ${invoice.status}; only drafts can be edited` });
+
+        const { partyId, date, dueDate, notes, lines } = invoice;
+        const body  = req.body || {};
+        const input = { partyId, date, dueDate, notes, lines, ...body };
+        // A new date or customer recomputes the default due date
+        if (body.dueDate === undefined && (body.date !== undefined || body.partyId !== undefined)) delete input.dueDate;
+        const { errors, fields } = validateInvoice(input, business, parties, getChartOfAccounts(business.id));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const party   = parties.find(p => p.id === fields.partyId);
+        const updated = priceInvoice({ ...invoice, ...fields, updatedAt: new Date().toISOString() }, business, party);
+        invoices[invoices.indexOf(invoice)] = updated;
+        store.setDoc('invoices', business.id, invoices);
+
+        res.json({ success: true, invoice: updated });
+
+    } catch (e) {
+        console.error('Invoice Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update invoice' });
+    }
+});
+
+// Drafts only; issued invoices are cancelled instead
+app.delete('/api/businesses/:bizId/invoices/:invoiceId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res, 'draft');
+        if (!ctx) return;
+
+        if (ctx.invoice.status !== 'draft') return res.status(409).json({ error: 'Only draft invoices can be deleted; cancel an issued invoice instead' });
+        store.setDoc('invoices', ctx.business.id, ctx.invoices.filter(i => i !== ctx.invoice));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Invoice Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete invoice' });
+    }
+});
+
+// Numbers the invoice and posts it to the customer's account
+app.post('/api/businesses/:bizId/invoices/:invoiceId/issue', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, invoices, invoice, party } = ctx;
+        if (invoice.status !== 'draft') return res.status(409).json({ error: `Invoice is already ${invoice.status}` });
+        if (!party) return res.status(409).json({ error: 'The customer of this invoice no longer exists' });
+        if (!business.gstNumber && invoice.lines.some(l => l.gstRate > 0)) {
+            return res.status(422).json({ error: 'Add the business GSTIN before issuing invoices that charge GST' });
+        }
+        if (isDateLocked(business, invoice.date)) return sendPeriodLocked(res, [{ id: invoice.id, date: invoice.date, month: monthOf(invoice.date) }]);
+
+        const issued = store.transaction(() => {
+            const priced = priceInvoice(invoice, business, party);
+            priced.number = nextInvoiceNumber(business, priced.date);
+            const txs = invoiceTransactions(priced, business);
+            txs.forEach(tx => {
+                store.saveTransaction(business.id, tx);
+                recordAudit(business.id, 'create', { userId: ctx.user.id, after: tx });
+            });
+            Object.assign(priced, {
+                status:         'issued',
+                transactionIds: txs.map(tx => tx.id),
+                issuedBy:       ctx.user.id,
+                issuedAt:       new Date().toISOString()
+            });
+            invoices[invoices.indexOf(invoice)] = priced;
+            store.setDoc('invoices', business.id, invoices);
+            return priced;
+        });
+
+        res.json({ success: true, invoice: { ...issued, balanceDue: issued.totals.total } });
+
+    } catch (e) {
+        console.error('Invoice Issue Error:', e.message);
+        res.status(500).json({ error: 'Failed to issue invoice' });
+    }
+});
+
+// Records the receipt of whatever is still due. Body: { date?, mode?
+// ('Cash' | 'Bank' | 'UPI', default Bank), reference? }
+app.post('/api/businesses/:bizId/invoices/:invoiceId/pay', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, invoices, invoice, party } = ctx;
+        if (invoice.status !== 'issued') return res.status(409).json({ error: `Invoice is ${invoice.status}; only issued invoices can be paid` });
+        if (!party) return res.status(409).json({ error: 'The customer of this invoice no longer exists' });
+
+        const body = req.body || {};
+        const date = body.date || todayISO();
+        const mode = body.mode || 'Bank';
+        const errors = [];
+        if (!isValidDate(date))                                  errors.push('date must be YYYY-MM-DD');
+        if (!PAYMENT_MODES.includes(mode) || mode === 'Credit')  errors.push("mode must be 'Cash', 'Bank' or 'UPI'");
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const transactions = store.getTransactions(business.id);
+        const ids  = new Set(invoice.transactionIds.map(String));
+        const open = partyOpenItems(party, transactions).items.filter(i => ids.has(String(i.transactionId)));
+        const due  = round2(open.reduce((s, i) => s + i.open, 0));
+
+        // Already settled through the customer's account
+        let payment = null;
+        if (due > 0) {
+            if (isDateLocked(business, date)) return sendPeriodLocked(res, [{ id: null, date, month: monthOf(date) }]);
+            payment = settlementTransaction(business, party, {
+                amount:      due,
+                date,
+                mode,
+                desc:        `Payment for invoice ${invoice.number}`,
+                reference:   body.reference,
+                allocations: open.map(i => ({ transactionId: i.transactionId, amount: i.open }))
+            });
+        }
+
+        const paid = { ...invoice, status: 'paid', paymentTransactionId: payment ? payment.id : null, paidAt: new Date().toISOString() };
+        store.transaction(() => {
+            if (payment) {
+                store.saveTransaction(business.id, payment);
+                recordAudit(business.id, 'create', { userId: ctx.user.id, source: 'invoice', after: payment });
+            }
+            invoices[invoices.indexOf(invoice)] = paid;
+            store.setDoc('invoices', business.id, invoices);
+        });
+
+        res.json({ success: true, invoice: { ...paid, balanceDue: 0 }, transaction: payment });
+
+    } catch (e) {
+        console.error('Invoice Payment Error:', e.message);
+        res.status(500).json({ error: 'Failed to record invoice payment' });
+    }
+});
+
+// Cancels an unpaid issued invoice with a credit note dated on the day of
+// cancellation. Body: { date? (default today), reason? }
+app.post('/api/businesses/:bizId/invoices/:invoiceId/cancel', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, invoices, invoice, party } = ctx;
+        if (invoice.status !== 'issued') return res.status(409).json({ error: `Invoice is ${invoice.status}; only unpaid issued invoices can be cancelled` });
+
+        const transactions = store.getTransactions(business.id);
+        if (party && invoiceBalanceDue(invoice, party, transactions) < invoice.totals.total) {
+            return res.status(409).json({ error: 'Payments have been set against this invoice; reverse them before cancelling' });
+        }
+
+        const body = req.body || {};
+        const date = body.date || todayISO();
+        if (!isValidDate(date))  return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        if (date < invoice.date) return res.status(400).json({ error: `date must be on or after the invoice date (${invoice.date})` });
+        if (isDateLocked(business, date)) return sendPeriodLocked(res, [{ id: invoice.id, date, month: monthOf(date) }]);
+
+        const cancelled = store.transaction(() => {
+            const postings = invoice.transactionIds
+                .map(id => store.getTransaction(business.id, id))
+                .filter(isPosted);
+            const number = nextInvoiceNumber(business, date, CREDIT_NOTE_PREFIX);
+            const txs = creditNoteTransactions(invoice, postings, number, date, business);
+            txs.forEach(tx => {
+                store.saveTransaction(business.id, tx);
+                recordAudit(business.id, 'create', { userId: ctx.user.id, after: tx });
+            });
+            const result = {
+                ...invoice,
+                status:                   'cancelled',
+                cancelReason:             typeof body.reason === 'string' ? body.reason.trim().slice(0, 200) : '',
+                cancelDate:               date,
+                creditNoteNumber:         number,
+                creditNoteTransactionIds: txs.map(tx => tx.id),
+                cancelledBy:              ctx.user.id,
+                cancelledAt:              new Date().toISOString()
+            };
+            invoices[invoices.indexOf(invoice)] = result;
+            store.setDoc('invoices', business.id, invoices);
+            return result;
+        });
+
+        res.json({ success: true, invoice: { ...cancelled, balanceDue: 0 } });
+
+    } catch (e) {
+        console.error('Invoice Cancel Error:', e.message);
+        res.status(500).json({ error: 'Failed to cancel invoice' });
+    }
+});
+
+app.get('/api/businesses/:bizId/invoices/:invoiceId/pdf', verifyToken, (req, res) => {
+    try {
+        const ctx = loadInvoice(req, res);
+        if (!ctx) return;
+
+        const { invoice, business } = ctx;
+        const name = (invoice.number || `draft-${invoice.id.slice(0, 8)}`).replace(/[^A-Za-z0-9-]+/g, '-');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${name}.pdf"`);
+        res.send(renderInvoicePdf(invoice, business));
+
+    } catch (e) {
+        console.error('Invoice PDF Error:', e.message);
+        res.status(500).json({ error: 'Failed to render invoice' });
+    }
+});
+
+// ── RECURRING TRANSACTIONS ───────────────────
+app.get('/api/businesses/:bizId/recurring', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, templates: getRecurringTemplates(ctx.business.id) });
+
+    } catch (e) {
+        console.error('Recurring Error:', e.message);
+        res.status(500).json({ error: 'Failed to load recurring transactions' });
+    }
+});
+
+// Body: { name, frequency, interval?, startDate, endDate?, amount?, autoPost?,
+// missed?, active?, and either text (smart-entry text) or transaction
+// ({ desc, category, mode?, gstRate?, isInclusiveGST?, counterpartyGstin?,
+// partyId? }) }. Occurrences already due are generated straight away.
+app.post('/api/businesses/:bizId/recurring', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const { errors, fields } = validateRecurringTemplate(req.body || {}, business, getChartOfAccounts(business.id), getParties(business.id));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        if (fields.autoPost && !roleCan(ctx.role, 'write')) {
+            return res.status(403).json({ error: 'Your role can only create recurring drafts' });
+        }
+
+        const template = { id: newId(), ...fields, nextIndex: 0, lastGeneratedDate: null, skipped: [], createdBy: ctx.user.id, createdAt: new Date().toISOString() };
+        template.nextDate = nextOccurrence(template);
+        store.transaction(() => saveRecurringTemplates(business.id, [...getRecurringTemplates(business.id), template]));
+
+        const run = runDueRecurring(business.id);
+        const saved = getRecurringTemplates(business.id).find(t => t.id === template.id);
+        res.status(201).json({ success: true, template: saved, generated: run.transactions });
+
+    } catch (e) {
+        console.error('Recurring Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create recurring transaction' });
+    }
+});
+
+app.get('/api/businesses/:bizId/recurring/:templateId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadRecurringTemplate(req, res);
+        if (!ctx) return;
+
+        const { template } = ctx;
+        const transactions = store.getTransactions(ctx.business.id)
+            .filter(tx => tx.recurringId === template.id)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(tx => ({ id: tx.id, date: tx.date, status: tx.status, grossAmount: tx.grossAmount, occurrence: tx.occurrence }));
+        res.json({ template, upcoming: upcomingOccurrences(template, 6), transactions });
+
+    } catch (e) {
+        console.error('Recurring Template Error:', e.message);
+        res.status(500).json({ error: 'Failed to load recurring transaction' });
+    }
+});
+
+// Changing the schedule keeps what was already generated: the next
+// occurrence is the first one after the last generated date
+app.put('/api/businesses/:bizId/recurring/:templateId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadRecurringTemplate(req, res, 'draft');
+        if (!ctx) return;
+
+        const { business, templates, template } = ctx;
+        const body = req.body || {};
+        const input = { ...template, ...body };
+        // New text is parsed again (its amount too, unless one is given);
+        // otherwise the stored transaction fields are validated as they are
+        if (body.text === undefined) delete input.text;
+        else {
+            delete input.transaction;
+            if (body.amount === undefined) delete input.amount;
+        }
+
+        const { errors, fields } = validateRecurringTemplate(input, business, getChartOfAccounts(business.id), getParties(business.id));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        if (fields.autoPost && !roleCan(ctx.role, 'write')) {
+            return res.status(403).json({ error: 'Your role can only create recurring drafts' });
+        }
+
+        const updated = { ...template, ...fields, updatedAt: new Date().toISOString() };
+        if (body.transaction !== undefined) delete updated.text;
+        if (['frequency', 'interval', 'startDate'].some(k => updated[k] !== template[k])) {
+            updated.nextIndex = 0;
+            while (updated.lastGeneratedDate && occurrenceDate(updated, updated.nextIndex) <= updated.lastGeneratedDate) updated.nextIndex++;
+        }
+        updated.nextDate = nextOccurrence(updated);
+        templates[templates.indexOf(template)] = updated;
+        store.transaction(() => saveRecurringTemplates(business.id, templates));
+
+        const run = runDueRecurring(business.id);
+        res.json({ success: true, template: getRecurringTemplates(business.id).find(t => t.id === updated.id), generated: run.transactions });
+
+    } catch (e) {
+        console.error('Recurring Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update recurring transaction' });
+    }
+});
+
+// Transactions already generated stay in the books
+app.delete('/api/businesses/:bizId/recurring/:templateId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadRecurringTemplate(req, res, 'draft');
+        if (!ctx) return;
+
+        store.transaction(() => saveRecurringTemplates(ctx.business.id, ctx.templates.filter(t => t !== ctx.template)));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Recurring Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete recurring transaction' });
+    }
+});
+
+// Skips the next occurrence (a month the rent was waived, a holiday, ...)
+app.post('/api/businesses/:bizId/recurring/:templateId/skip', verifyToken, (req, res) => {
+    try {
+        const ctx = loadRecurringTemplate(req, res, 'draft');
+        if (!ctx) return;
+
+        const { business, templates, template } = ctx;
+        const date = nextOccurrence(template);
+        if (!date) return res.status(409).json({ error: 'This recurring transaction has no occurrences left' });
+
+        template.nextIndex = (template.nextIndex || 0) + 1;
+        template.nextDate  = nextOccurrence(template);
+        logRecurringSkip(template, date, 'manual');
+        store.transaction(() => saveRecurringTemplates(business.id, templates));
+
+        res.json({ success: true, skipped: date, template });
+
+    } catch (e) {
+        console.error('Recurring Skip Error:', e.message);
+        res.status(500).json({ error: 'Failed to skip occurrence' });
+    }
+});
+
+// Generates whatever is due now instead of waiting for the scheduler
+app.post('/api/businesses/:bizId/recurring/run', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const run = runDueRecurring(ctx.business.id);
+        res.json({ success: true, generated: run.generated, skipped: run.skipped, transactions: run.transactions });
+
+    } catch (e) {
+        console.error('Recurring Run Error:', e.message);
+        res.status(500).json({ error: 'Failed to run recurring transactions' });
+    }
+});
+
+// ── FIXED ASSETS ─────────────────────────────
+// The register as at ?asOf= (default today), oldest first
+app.get('/api/businesses/:bizId/fixed-assets', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const asOf = req.query.asOf || todayISO();
+        if (!isValidDate(asOf)) return res.status(400).json({ error: 'asOf must be a date in YYYY-MM-DD format' });
+
+        const transactions = store.getTransactions(ctx.business.id);
+        const assets = getFixedAssets(ctx.business.id)
+            .filter(a => a.acquiredOn <= asOf)
+            .map(a => assetPosition(a, transactions, asOf))
+            .sort((a, b) => a.acquiredOn.localeCompare(b.acquiredOn));
+        const held = assets.filter(a => !a.disposal || a.disposal.date > asOf);
+        const sum  = (k) => round2(held.reduce((s, a) => s + a[k], 0));
+        res.json({
+            businessId: ctx.business.id,
+            asOf,
+            assets,
+            totals: { cost: sum('cost'), accumulatedDepreciation: sum('accumulatedDepreciation'), bookValue: sum('bookValue') }
+        });
+
+    } catch (e) {
+        console.error('Fixed Assets Error:', e.message);
+        res.status(500).json({ error: 'Failed to load fixed assets' });
+    }
+});
+
+// Asset purchases not yet (fully) in the register
+app.get('/api/businesses/:bizId/fixed-assets/candidates', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const candidates = assetCandidates(store.getTransactions(ctx.business.id), getFixedAssets(ctx.business.id));
+        res.json({ businessId: ctx.business.id, candidates, blocks: ASSET_BLOCKS });
+
+    } catch (e) {
+        console.error('Fixed Asset Candidates Error:', e.message);
+        res.status(500).json({ error: 'Failed to load asset purchases' });
+    }
+});
+
+// Preview of what POST /fixed-assets/depreciation would post up to ?upTo=
+// (default today)
+app.get('/api/businesses/:bizId/fixed-assets/depreciation', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const upTo = req.query.upTo || todayISO();
+        if (!isValidDate(upTo)) return res.status(400).json({ error: 'upTo must be a date in YYYY-MM-DD format' });
+
+        const { business } = ctx;
+        const plan = planDepreciation(business, getFixedAssets(business.id), store.getTransactions(business.id), upTo);
+        const charges = plan.flatMap(({ asset, periods }) => periods.map(p => ({ assetId: asset.id, name: asset.name, ...p })));
+        res.json({
+            businessId: business.id,
+            upTo,
+            charges,
+            total:  round2(charges.reduce((s, c) => s + c.amount, 0)),
+            locked: lockedDepreciation(business, plan)
+        });
+
+    } catch (e) {
+        console.error('Depreciation Preview Error:', e.message);
+        res.status(500).json({ error: 'Failed to calculate depreciation' });
+    }
+});
+
+// Body: { upTo? } — posts depreciation of every active asset up to that date
+// (default today). Nothing is posted if any of it falls in a locked month.
+app.post('/api/businesses/:bizId/fixed-assets/depreciation', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'write');
+        if (!ctx) return;
+
+        const upTo = (req.body || {}).upTo || todayISO();
+        if (!isValidDate(upTo)) return res.status(400).json({ error: 'upTo must be a date in YYYY-MM-DD format' });
+        if (upTo > todayISO()) return res.status(400).json({ error: 'upTo cannot be in the future' });
+
+        const { business } = ctx;
+        const posted = store.transaction(() => {
+            const plan = planDepreciation(business, getFixedAssets(business.id), store.getTransactions(business.id), upTo);
+            const locked = lockedDepreciation(business, plan);
+            if (locked.length) return { locked };
+            return { transactions: postDepreciation(business, plan, ctx.user.id) };
+        });
+        if (posted.locked) return sendPeriodLocked(res, posted.locked);
+
+        res.status(201).json({
+            success:      true,
+            upTo,
+            transactions: posted.transactions,
+            total:        round2(posted.transactions.reduce((s, tx) => s + tx.grossAmount, 0))
+        });
+
+    } catch (e) {
+        console.error('Depreciation Run Error:', e.message);
+        res.status(500).json({ error: 'Failed to post depreciation' });
+    }
+});
+
+// Body: { transactionId, name?, cost?, block?, method? ('WDV' | 'SLM',
+// default WDV), rate?, usefulLifeYears?, salvageValue?, putToUseDate? }.
+// Name, cost and date default to the purchase's, the block is suggested from
+// its description and the rate defaults to the block's.
+app.post('/api/businesses/:bizId/fixed-assets', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'write');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const body = req.body || {};
+        const purchase = body.transactionId === undefined ? null : store.getTransaction(business.id, body.transactionId);
+        if (!purchase) return res.status(404).json({ error: 'Transaction not found' });
+        if (!isAssetPurchase(purchase)) {
+            return res.status(400).json({ error: 'Only posted purchases on an Asset account can be registered as fixed assets' });
+        }
+
+        const asset = store.transaction(() => {
+            const assets = getFixedAssets(business.id);
+            if (registeredCost(assets, purchase.id) >= assetTransactionCost(purchase)) return { conflict: true };
+            const { errors, fields } = validateFixedAsset(body, purchase, assets);
+            if (errors.length) return { errors };
+
+            const created = {
+                id:            newId(),
+                ...fields,
+                transactionId: purchase.id,
+                account:       purchase.category,
+                acquiredOn:    purchase.date,
+                status:        'active',
+                disposal:      null,
+                createdBy:     ctx.user.id,
+                createdAt:     new Date().toISOString()
+            };
+            store.setDoc('fixedAssets', business.id, [...assets, created]);
+            return created;
+        });
+        if (asset.conflict) return res.status(409).json({ error: 'The whole cost of this purchase is already in the register' });
+        if (asset.errors)   return res.status(400).json({ error: asset.errors.join('. ') });
+
+        res.status(201).json({ success: true, asset: assetPosition(asset, store.getTransactions(business.id), todayISO()) });
+
+    } catch (e) {
+        console.error('Fixed Asset Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to register fixed asset' });
+    }
+});
+
+// The asset as at today, with its depreciation postings and disposal
+app.get('/api/businesses/:bizId/fixed-assets/:assetId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadFixedAsset(req, res);
+        if (!ctx) return;
+
+        const { asset } = ctx;
+        const transactions = store.getTransactions(ctx.business.id);
+        const depreciation = assetDepreciation(asset, transactions)
+            .map(tx => ({ transactionId: tx.id, date: tx.date, from: tx.depreciationFrom, to: tx.depreciationTo, amount: tx.grossAmount }));
+        res.json({ asset: assetPosition(asset, transactions, todayISO()), depreciation });
+
+    } catch (e) {
+        console.error('Fixed Asset Error:', e.message);
+        res.status(500).json({ error: 'Failed to load fixed asset' });
+    }
+});
+
+// Once depreciation is posted (or the asset is disposed of) only the name
+// can change; the other fields are what the postings were worked out from
+app.put('/api/businesses/:bizId/fixed-assets/:assetId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadFixedAsset(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, assets, asset } = ctx;
+        const body = req.body || {};
+        const depreciated = assetDepreciation(asset, store.getTransactions(business.id)).length > 0;
+        if ((depreciated || asset.status !== 'active') && Object.keys(body).some(k => k !== 'name')) {
+            return res.status(409).json({ error: 'Depreciation has been posted for this asset; only its name can be changed' });
+        }
+
+        const purchase = store.getTransaction(business.id, asset.transactionId);
+        if (!purchase) return res.status(409).json({ error: 'The purchase this asset was registered from no longer exists' });
+
+        // A new block brings its own rate unless one is given
+        const input = { ...asset, ...body };
+        if (body.block !== undefined && body.rate === undefined) delete input.rate;
+        if (body.method === 'SLM' && body.rate === undefined) delete input.rate;
+
+        const { errors, fields } = validateFixedAsset(input, purchase, assets.filter(a => a !== asset));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const updated = { ...asset, ...fields, updatedAt: new Date().toISOString() };
+        assets[assets.indexOf(asset)] = updated;
+        store.transaction(() => store.setDoc('fixedAssets', business.id, assets));
+        res.json({ success: true, asset: assetPosition(updated, store.getTransactions(business.id), todayISO()) });
+
+    } catch (e) {
+        console.error('Fixed Asset Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update fixed asset' });
+    }
+});
+
+// Only assets with no depreciation posted; the purchase stays in the books
+app.delete('/api/businesses/:bizId/fixed-assets/:assetId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadFixedAsset(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, assets, asset } = ctx;
+        if (asset.status !== 'active' || assetDepreciation(asset, store.getTransactions(business.id)).length) {
+            return res.status(409).json({ error: 'Depreciation has been posted for this asset; dispose of it instead' });
+        }
+        store.transaction(() => store.setDoc('fixedAssets', business.id, assets.filter(a => a !== asset)));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Fixed Asset Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete fixed asset' });
+    }
+});
+
+// Body: { date?, proceeds? (0 for a write-off), mode? ('Cash' | 'Bank' |
+// 'UPI' | 'Credit', default Bank) }. Depreciation up to the day before is
+// posted first; the sale posts the gain or loss against book value.
+app.post('/api/businesses/:bizId/fixed-assets/:assetId/dispose', verifyToken, (req, res) => {
+    try {
+        const ctx = loadFixedAsset(req, res, 'write');
+        if (!ctx) return;
+
+        const { business, assets, asset } = ctx;
+        const body     = req.body || {};
+        const date     = body.date || todayISO();
+        const proceeds = body.proceeds === undefined ? 0 : body.proceeds;
+        const mode     = body.mode || 'Bank';
+
+        const errors = [];
+        if (!isValidDate(date) || date < asset.putToUseDate) errors.push(`date must be a date on or after ${asset.putToUseDate}`);
+        else if (date > todayISO())                           errors.push('date cannot be in the future');
+        if (!isMoney(proceeds))                               errors.push('proceeds must be a non-negative amount with at most 2 decimals');
+        if (!PAYMENT_MODES.includes(mode))                    errors.push(`mode must be one of: ${PAYMENT_MODES.join(', ')}`);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        if (asset.status !== 'active') return res.status(409).json({ error: 'This asset has already been disposed of' });
+
+        const result = store.transaction(() => {
+            const transactions = store.getTransactions(business.id);
+            const postings = assetDepreciation(asset, transactions);
+            const last = postings.length ? postings[postings.length - 1].depreciationTo : null;
+            if (last && last >= date) return { conflict: `Depreciation is posted up to ${last}; dispose of the asset after that date` };
+
+            const plan = planDepreciation(business, [asset], transactions, previousDay(date));
+            const locked = lockedDepreciation(business, plan);
+            if (isDateLocked(business, date)) locked.push({ id: null, assetId: asset.id, date, month: monthOf(date) });
+            if (locked.length) return { locked };
+
+            const depreciation = postDepreciation(business, plan, ctx.user.id);
+            const accumulated  = round2(chargedDepreciation(postings) + depreciation.reduce((s, tx) => s + tx.grossAmount, 0));
+            const sale = disposalTransaction(business, asset, { date, proceeds, mode, accumulated });
+            store.saveTransaction(business.id, sale);
+            recordAudit(business.id, 'create', { userId: ctx.user.id, after: sale });
+
+            const disposed = {
+                ...asset,
+                status:    'disposed',
+                disposal:  { date, proceeds, mode, bookValue: sale.bookValue, gainOrLoss: sale.gainOrLoss, transactionId: sale.id },
+                updatedAt: new Date().toISOString()
+            };
+            assets[assets.indexOf(asset)] = disposed;
+            store.setDoc('fixedAssets', business.id, assets);
+            return { disposed, transactions: [...depreciation, sale] };
+        });
+        if (result.conflict) return res.status(409).json({ error: result.conflict });
+        if (result.locked)   return sendPeriodLocked(res, result.locked);
+
+        res.status(201).json({
+            success:      true,
+            asset:        assetPosition(result.disposed, store.getTransactions(business.id), date),
+            transactions: result.transactions
+        });
+
+    } catch (e) {
+        console.error('Fixed Asset Disposal Error:', e.message);
+        res.status(500).json({ error: 'Failed to dispose of fixed asset' });
+    }
+});
+
+// ── BANK RECONCILIATION ──────────────────────
+app.get('/api/businesses/:bizId/reconciliations', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, reconciliations: getReconciliations(ctx.business.id).map(reconciliationSummary) });
+
+    } catch (e) {
+        console.error('Reconciliations Error:', e.message);
+        res.status(500).json({ error: 'Failed to load reconciliations' });
+    }
+});
+
+// Multipart: file (CSV, OFX/QFX or MT940), plus optional name, profileId,
+// dateWindow (days), openingBalance and closingBalance (override the file's)
+app.post('/api/businesses/:bizId/reconciliations', verifyToken, upload.single('file'), (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    try {
+        const ctx = loadWritableBusiness(req, res, 'reconcile');
+        if (!ctx) return;
+
+        const bizId = ctx.business.id;
+        const body  = req.body || {};
+        let profile = null;
+        if (body.profileId) {
+            profile = getImportProfiles(bizId).find(p => p.id === body.profileId);
+            if (!profile) return res.status(404).json({ error: 'Import profile not found' });
+        }
+
+        const errors = [];
+        const dateWindow = body.dateWindow === undefined ? RECONCILE_DATE_WINDOW : Number(body.dateWindow);
+        if (!Number.isInteger(dateWindow) || dateWindow < 0 || dateWindow > 30) errors.push('dateWindow must be a whole number of days from 0 to 30');
+        const balanceField = (k) => {
+            if (body[k] === undefined || body[k] === '') return undefined;
+            const n = Number(body[k]);
+            if (!Number.isFinite(n)) errors.push(`${k} must be a number`);
+            return n;
+        };
+        const openingOverride = balanceField('openingBalance');
+        const closingOverride = balanceField('closingBalance');
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const parsed = readStatementFile(req.file, profile);
+        if (parsed.error) return res.status(422).json({ error: parsed.error });
+        if (parsed.format === 'tally') return res.status(422).json({ error: 'Tally day books are not bank statements. Upload a CSV, OFX/QFX or MT940 statement.' });
+        if (!parsed.rows.length) return res.status(422).json({ error: 'No statement lines found in file' });
+
+        const dates = parsed.rows.map(r => r.date).sort();
+        const rec = {
+            id:             newId(),
+            name:           (typeof body.name === 'string' && body.name.trim().slice(0, 100)) || req.file.originalname,
+            account:        'Bank',
+            format:         parsed.format,
+            from:           dates[0],
+            to:             dates[dates.length - 1],
+            openingBalance: openingOverride ?? (parsed.openingBalance ? parsed.openingBalance.amount : null),
+            closingBalance: closingOverride ?? (parsed.closingBalance ? parsed.closingBalance.amount : null),
+            dateWindow,
+            createdBy:      ctx.user.id,
+            createdAt:      new Date().toISOString(),
+            lines: parsed.rows.map(r => ({
+                id:             newId(),
+                date:           r.date,
+                desc:           r.desc,
+                amount:         r.direction === 'out' ? -r.amount : r.amount,
+                reference:      r.reference || null,
+                balance:        typeof r.balance === 'number' ? r.balance : null,
+                status:         'unmatched',
+                transactionIds: [],
+                score:          null
+            }))
+        };
+
+        const transactions    = store.getTransactions(bizId);
+        const reconciliations = getReconciliations(bizId);
+        autoMatchLines(rec, transactions, reconciliations, dateWindow);
+        reconciliations.push(rec);
+        store.setDoc('reconciliations', bizId, reconciliations);
+
+        res.status(201).json({ success: true, reconciliation: rec, report: buildReconciliationReport(rec, transactions, reconciliations) });
+
+    } catch (e) {
+        console.error('Reconciliation Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create reconciliation' });
+    }
+});
+
+app.get('/api/businesses/:bizId/reconciliations/:recId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res);
+        if (!ctx) return;
+        const transactions = store.getTransactions(ctx.business.id);
+        res.json({ reconciliation: ctx.rec, report: buildReconciliationReport(ctx.rec, transactions, ctx.reconciliations) });
+
+    } catch (e) {
+        console.error('Reconciliation Error:', e.message);
+        res.status(500).json({ error: 'Failed to load reconciliation' });
+    }
+});
+
+// Re-runs matching for unmatched lines, e.g. after booking missing entries
+app.post('/api/businesses/:bizId/reconciliations/:recId/auto-match', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res, 'reconcile');
+        if (!ctx) return;
+        const suggested = autoMatchLines(ctx.rec, store.getTransactions(ctx.business.id), ctx.reconciliations, ctx.rec.dateWindow);
+        sendReconciliation(res, ctx, { suggested });
+
+    } catch (e) {
+        console.error('Reconciliation Match Error:', e.message);
+        res.status(500).json({ error: 'Failed to match statement lines' });
+    }
+});
+
+// Body (optional): { transactionIds: [...] } to match by hand; their Bank
+// movements must add up to the line amount. Without it the suggestion is
+// confirmed.
+app.post('/api/businesses/:bizId/reconciliations/:recId/lines/:lineId/confirm', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res, 'reconcile');
+        if (!ctx) return;
+        const { line } = ctx;
+        const { transactionIds } = req.body || {};
+
+        if (transactionIds === undefined) {
+            if (line.status !== 'suggested') return res.status(409).json({ error: 'This line has no suggested match to confirm' });
+            line.status = 'matched';
+            return sendReconciliation(res, ctx);
+        }
+
+        if (!Array.isArray(transactionIds) || !transactionIds.length) {
+            return res.status(400).json({ error: 'transactionIds must be a non-empty list' });
+        }
+        const taken = reconciledTransactionIds(ctx.reconciliations, line);
+        const txs = [];
+        for (const id of transactionIds) {
+            const tx = store.getTransaction(ctx.business.id, id);
+            if (!tx || !isPosted(tx)) return res.status(400).json({ error: `Transaction ${id} not found or not posted` });
+            if (bankMovement(tx) === 0)  return res.status(400).json({ error: `Transaction ${id} does not touch the Bank account` });
+            if (taken.has(String(tx.id))) return res.status(409).json({ error: `Transaction ${id} is already matched to another statement line` });
+            txs.push(tx);
+        }
+        const total = round2(txs.reduce((s, tx) => s + bankMovement(tx), 0));
+        if (total !== line.amount) {
+            return res.status(400).json({ error: `Matched transactions total ${total}, statement line is ${line.amount}` });
+        }
+
+        Object.assign(line, { status: 'matched', transactionIds: txs.map(tx => tx.id), score: null });
+        sendReconciliation(res, ctx);
+
+    } catch (e) {
+        console.error('Reconciliation Confirm Error:', e.message);
+        res.status(500).json({ error: 'Failed to confirm match' });
+    }
+});
+
+// Body: { parts: [{ amount, desc? }] } — signed like the line, summing to it.
+// The line is replaced by one unmatched line per part.
+app.post('/api/businesses/:bizId/reconciliations/:recId/lines/:lineId/split', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res, 'reconcile');
+        if (!ctx) return;
+        const { line, rec } = ctx;
+        const { parts } = req.body || {};
+
+        if (line.status === 'matched') return res.status(409).json({ error: 'Unmatch the line before splitting it' });
+        if (!Array.isArray(parts) || parts.length < 2 || parts.length > 50) {
+            return res.status(400).json({ error: 'parts must be a list of 2-50 { amount, desc } items' });
+        }
+        if (parts.some(p => !p || typeof p.amount !== 'number' || !Number.isFinite(p.amount) || p.amount === 0 || Math.sign(p.amount) !== Math.sign(line.amount))) {
+            return res.status(400).json({ error: 'Each part needs a non-zero amount with the same sign as the line' });
+        }
+        const total = round2(parts.reduce((s, p) => s + p.amount, 0));
+        if (total !== line.amount) return res.status(400).json({ error: `Parts total ${total}, statement line is ${line.amount}` });
+
+        const children = parts.map(p => ({
+            id:             newId(),
+            date:           line.date,
+            desc:           (typeof p.desc === 'string' && p.desc.trim().slice(0, 100)) || line.desc,
+            amount:         round2(p.amount),
+            reference:      line.reference,
+            balance:        null,
+            status:         'unmatched',
+            transactionIds: [],
+            score:          null,
+            splitFrom:      line.splitFrom || line.id
+        }));
+        rec.lines.splice(rec.lines.indexOf(line), 1, ...children);
+        autoMatchLines(rec, store.getTransactions(ctx.business.id), ctx.reconciliations, rec.dateWindow);
+        sendReconciliation(res, ctx);
+
+    } catch (e) {
+        console.error('Reconciliation Split Error:', e.message);
+        res.status(500).json({ error: 'Failed to split statement line' });
+    }
+});
+
+app.post('/api/businesses/:bizId/reconciliations/:recId/lines/:lineId/unmatch', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res, 'reconcile');
+        if (!ctx) return;
+        Object.assign(ctx.line, { status: 'unmatched', transactionIds: [], score: null });
+        sendReconciliation(res, ctx);
+
+    } catch (e) {
+        console.error('Reconciliation Unmatch Error:', e.message);
+        res.status(500).json({ error: 'Failed to unmatch statement line' });
+    }
+});
+
+app.delete('/api/businesses/:bizId/reconciliations/:recId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadReconciliation(req, res, 'reconcile');
+        if (!ctx) return;
+        store.setDoc('reconciliations', ctx.business.id, ctx.reconciliations.filter(r => r !== ctx.rec));
+        res.json({ success: true });
 
-        if (db.users[email]) {
-            return res.status(400).json({ error: 'Email already registered' });
-        }
+    } catch (e) {
+        console.error('Reconciliation Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete reconciliation' });
+    }
+});
 
-        // FIX #1: Hash password with bcrypt
-        const passwordHash = await bcrypt.hash(password, 10);
-        const userId       = newId();
-        const bizId        = newId();
-        const now          = new Date().toISOString();
+// ── FINANCIAL REPORTS ────────────────────────
+// All reports accept ?from=YYYY-MM-DD&to=YYYY-MM-DD and default to the
+// current financial year of the business
+app.get('/api/businesses/:bizId/reports/trial-balance', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-        // FIX #5: Use correct schema structure
-        db.users[email] = {
-            id:            userId,
-            name:          name.trim(),
-            email,
-            passwordHash,
-            role:          'owner',
-            createdAt:     now,
-            lastLoginAt:   now,
-            businesses:    [bizId]
-        };
+        const period = resolveReportPeriod(req.query, ctx.business);
+        if (period.error) return res.status(400).json({ error: period.error });
 
-        db.businesses[bizId] = {
-            id:                 bizId,
-            ownerId:            userId,
-            name:               `${name.trim()}'s Business`,
-            type:               'general',
-            currency:           'INR',
-            gstNumber:          '',
-            financialYearStart: '04',
-            createdAt:          now,
-            lockedMonths:       []
-        };
+        res.json({ businessId: ctx.business.id, ...buildTrialBalance(storeLedger(ctx.business.id), ctx.business, period.from, period.to) });
 
-        db.transactions[bizId] = [];
+    } catch (e) {
+        console.error('Trial Balance Error:', e.message);
+        res.status(500).json({ error: 'Failed to build trial balance' });
+    }
+});
 
-        writeData(db);
+app.get('/api/businesses/:bizId/reports/profit-loss', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-        const token = jwt.sign({ id: userId }, JWT_SECRET, { expiresIn: '7d' });
-        const user  = { id: userId, name: name.trim(), email };
+        const period = resolveReportPeriod(req.query, ctx.business);
+        if (period.error) return res.status(400).json({ error: period.error });
 
-        res.status(201).json({
-            token,
-            user,
-            businesses:   [db.businesses[bizId]],
-            transactions: []
-        });
+        res.json({ businessId: ctx.business.id, ...buildProfitAndLoss(storeLedger(ctx.business.id), period.from, period.to) });
 
     } catch (e) {
-        console.error('Register Error:', e.message);
-        res.status(500).json({ error: 'Registration failed. Please try again.' });
+        console.error('Profit & Loss Error:', e.message);
+        res.status(500).json({ error: 'Failed to build profit & loss statement' });
     }
 });
 
-// ── LOGIN ────────────────────────────────────
-app.post('/api/auth/login', async (req, res) => {
+// Balance sheet is a point-in-time report: ?asOf= (or ?to=) defaults to today
+app.get('/api/businesses/:bizId/reports/balance-sheet', verifyToken, (req, res) => {
     try {
-        const { email, password } = req.body;
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-        // FIX #11: Validate inputs
-        const errors = validateAuth(email, password);
-        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+        const asOf = req.query.asOf || req.query.to || todayISO();
+        if (!isValidDate(asOf)) return res.status(400).json({ error: 'asOf must be a date in YYYY-MM-DD format' });
 
-        const db   = readData();
-        const user = db.users[email];
+        res.json({ businessId: ctx.business.id, ...buildBalanceSheet(storeLedger(ctx.business.id), ctx.business, asOf) });
 
-        // FIX #1: Use bcrypt to compare — plain text comparison removed
-        const validPassword = user && await bcrypt.compare(password, user.passwordHash);
-        if (!user || !validPassword) {
-            // FIX #16: Generic message — don't reveal whether email exists
-            return res.status(401).json({ error: 'Invalid email or password' });
+    } catch (e) {
+        console.error('Balance Sheet Error:', e.message);
+        res.status(500).json({ error: 'Failed to build balance sheet' });
+    }
+});
+
+// Lists every account in the books with its type, for ledger drill-down
+app.get('/api/businesses/:bizId/reports/ledger', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const ledger   = storeLedger(ctx.business.id);
+        const accounts = Object.keys(ledger.totals(null, null))
+            .map(account => ({ account, type: ledger.types[account] || 'Expense' }))
+            .sort((a, b) => a.account.localeCompare(b.account));
+
+        res.json({ businessId: ctx.business.id, accounts });
+
+    } catch (e) {
+        console.error('Ledger List Error:', e.message);
+        res.status(500).json({ error: 'Failed to list accounts' });
+    }
+});
+
+app.get('/api/businesses/:bizId/reports/ledger/:account', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const period = resolveReportPeriod(req.query, ctx.business);
+        if (period.error) return res.status(400).json({ error: period.error });
+
+        const ledger  = storeLedger(ctx.business.id);
+        const account = req.params.account;
+        if (!ledger.types[account]) {
+            return res.status(404).json({ error: `Account '${account}' not found` });
         }
 
-        // Update last login
-        db.users[email].lastLoginAt = new Date().toISOString();
-        writeData(db);
+        res.json({ businessId: ctx.business.id, ...buildGeneralLedger(ledger, ctx.business, account, period.from, period.to) });
 
-        const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    } catch (e) {
+        console.error('Ledger Error:', e.message);
+        res.status(500).json({ error: 'Failed to build ledger' });
+    }
+});
 
-        // FIX #20: Return correctly shaped businesses array
-        const businesses = (user.businesses || [])
-            .map(bizId => db.businesses[bizId])
-            .filter(Boolean);
+// ?type=customer (receivables, default) | vendor (payables), ?asOf= (default today)
+app.get('/api/businesses/:bizId/reports/ageing', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-        const transactions = businesses.flatMap(b => db.transactions[b.id] || []);
+        const type = req.query.type || 'customer';
+        const asOf = req.query.asOf || todayISO();
+        if (!PARTY_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of: ${PARTY_TYPES.join(', ')}` });
+        if (!isValidDate(asOf))          return res.status(400).json({ error: 'asOf must be a date in YYYY-MM-DD format' });
 
-        res.json({
-            token,
-            user: { id: user.id, name: user.name, email: user.email },
-            businesses,
-            transactions
-        });
+        const report = buildAgeingReport(getParties(ctx.business.id), store.getTransactions(ctx.business.id), type, asOf);
+        res.json({ businessId: ctx.business.id, ...report });
 
     } catch (e) {
-        console.error('Login Error:', e.message);
-        res.status(500).json({ error: 'Login failed. Please try again.' });
+        console.error('Ageing Report Error:', e.message);
+        res.status(500).json({ error: 'Failed to build ageing report' });
     }
 });
 
-// ── SYNC GET ─────────────────────────────────
-app.get('/api/sync', verifyToken, (req, res) => {
+// Expenses and purchases claiming input tax credit with no bill attached.
+// ?from=&to= (default: current financial year)
+app.get('/api/businesses/:bizId/reports/missing-bills', verifyToken, (req, res) => {
     try {
-        const db  = readData();
-        const uid = req.userId;
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-        // Find user by id (users keyed by email, search by id)
-        const userEntry = Object.values(db.users).find(u => u.id === uid);
-        if (!userEntry) return res.status(404).json({ error: 'User not found' });
+        const period = resolveReportPeriod(req.query, ctx.business);
+        if (period.error) return res.status(400).json({ error: period.error });
 
-        const businesses   = (userEntry.businesses || []).map(bizId => db.businesses[bizId]).filter(Boolean);
-        const transactions = businesses.flatMap(b => db.transactions[b.id] || []);
+        const report = buildMissingBillsReport(store.getTransactions(ctx.business.id), getAttachments(ctx.business.id), period.from, period.to);
+        res.json({ businessId: ctx.business.id, ...report });
 
-        res.json({
-            user: { id: userEntry.id, name: userEntry.name, email: userEntry.email },
-            businesses,
-            transactions
-        });
+    } catch (e) {
+        console.error('Missing Bills Report Error:', e.message);
+        res.status(500).json({ error: 'Failed to build missing bills report' });
+    }
+});
+
+// ── LEDGER EXPORT ────────────────────────────
+// GET /export/tally|csv|xlsx with ?from=&to= (default: current financial
+// year). ?masters=true adds ledger masters to the Tally file.
+app.get('/api/businesses/:bizId/export/:format', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const format = req.params.format;
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const period = resolveReportPeriod(req.query, ctx.business);
+        if (period.error) return res.status(400).json({ error: period.error });
+
+        const all          = store.getTransactions(ctx.business.id);
+        const transactions = exportTransactions(all, period.from, period.to);
+        const base = `${(ctx.business.name || 'ledger').replace(/[^A-Za-z0-9]+/g, '_')}_${period.from}_${period.to}`;
+
+        if (format === 'tally') {
+            res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${base}_tally.xml"`);
+            return res.send(toTallyXML(ctx.business, transactions, req.query.masters === 'true'));
+        }
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${base}_journal.csv"`);
+            return res.send(toJournalCSV(transactions));
+        }
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${base}.xlsx"`);
+        res.send(toLedgerWorkbook(ctx.business, all, transactions, period.from, period.to));
 
     } catch (e) {
-        console.error('Sync GET Error:', e.message);
-        res.status(500).json({ error: 'Sync failed' });
+        console.error('Export Error:', e.message);
+        res.status(500).json({ error: 'Failed to export ledger' });
     }
 });
 
-// ── SYNC POST ────────────────────────────────
-// FIX #15: Only overwrites transactions for the specific businessId sent
-// Multiple tabs / devices can sync without overwriting each other
-app.post('/api/sync', verifyToken, (req, res) => {
+// ── GST RETURNS ──────────────────────────────
+// ?period=YYYY-MM, add &format=portal for the offline-utility JSON download
+app.get('/api/businesses/:bizId/gst/gstr1', verifyToken, (req, res) => {
     try {
-        const { transactions, businessId } = req.body;
-        if (!Array.isArray(transactions)) {
-            return res.status(400).json({ error: 'transactions must be an array' });
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const period = resolveTaxPeriod(req.query.period);
+        if (period.error) return res.status(400).json({ error: period.error });
+
+        const gstr1 = buildGSTR1(store.getTransactions(ctx.business.id), ctx.business, period);
+
+        if (req.query.format === 'portal') {
+            if (!ctx.business.gstNumber) return res.status(422).json({ error: 'Set the business GSTIN before exporting a return' });
+            res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${ctx.business.gstNumber}_${period.fp}.json"`);
+            return res.json(toGSTR1PortalJSON(gstr1, period));
         }
 
-        const db  = readData();
-        const uid = req.userId;
+        res.json({ businessId: ctx.business.id, ...gstr1 });
 
-        const userEntry = Object.values(db.users).find(u => u.id === uid);
-        if (!userEntry) return res.status(404).json({ error: 'User not found' });
+    } catch (e) {
+        console.error('GSTR-1 Error:', e.message);
+        res.status(500).json({ error: 'Failed to build GSTR-1 summary' });
+    }
+});
 
-        // FIX #15: If businessId provided, only update that business
-        if (businessId) {
-            if (!userEntry.businesses.includes(businessId)) {
-                return res.status(403).json({ error: 'Access denied to this business' });
-            }
-            db.transactions[businessId] = transactions.map(tx => ({
-                ...tx,
-                updatedAt: new Date().toISOString()
-            }));
-        } else {
-            // Fallback: group by businessId from each transaction
-            const grouped = {};
-            transactions.forEach(tx => {
-                if (!tx.businessId) return;
-                if (!grouped[tx.businessId]) grouped[tx.businessId] = [];
-                grouped[tx.businessId].push({ ...tx, updatedAt: new Date().toISOString() });
-            });
-            // Only update businesses this user owns
-            for (const [bizId, txList] of Object.entries(grouped)) {
-                if (userEntry.businesses.includes(bizId)) {
-                    db.transactions[bizId] = txList;
-                }
-            }
+app.get('/api/businesses/:bizId/gst/gstr3b', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const period = resolveTaxPeriod(req.query.period);
+        if (period.error) return res.status(400).json({ error: period.error });
+
+        const gstr3b = buildGSTR3B(store.getTransactions(ctx.business.id), ctx.business, period);
+
+        if (req.query.format === 'portal') {
+            if (!ctx.business.gstNumber) return res.status(422).json({ error: 'Set the business GSTIN before exporting a return' });
+            res.setHeader('Content-Disposition', `attachment; filename="GSTR3B_${ctx.business.gstNumber}_${period.fp}.json"`);
+            return res.json(toGSTR3BPortalJSON(gstr3b, period));
         }
 
-        writeData(db);
-        res.json({ success: true });
+        res.json({ businessId: ctx.business.id, ...gstr3b });
 
     } catch (e) {
-        console.error('Sync POST Error:', e.message);
-        res.status(500).json({ error: 'Save failed' });
+        console.error('GSTR-3B Error:', e.message);
+        res.status(500).json({ error: 'Failed to build GSTR-3B summary' });
     }
 });
 
-// ── FILE UPLOAD ──────────────────────────────
-// FIX #13: Actually parse CSV instead of returning fake mock data
-app.post('/api/upload', verifyToken, upload.single('file'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// ── TDS ──────────────────────────────────────
+app.get('/api/businesses/:bizId/tds/sections', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, sections: getTdsSections(ctx.business.id), noPanRate: NO_PAN_TDS_RATE });
+
+    } catch (e) {
+        console.error('TDS Sections Error:', e.message);
+        res.status(500).json({ error: 'Failed to load TDS sections' });
     }
+});
 
+// Body: { sections: [{ section, description?, rate, singleThreshold?,
+// annualThreshold?, categories, form?, active? }] } — replaces the whole list.
+// Transactions already posted keep the TDS they were posted with.
+app.put('/api/businesses/:bizId/tds/sections', verifyToken, (req, res) => {
     try {
-        const content  = req.file.buffer.toString('utf8');
-        const filename = req.file.originalname.toLowerCase();
-        const today    = new Date().toISOString().split('T')[0];
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
 
-        let parsed = [];
+        const bizId = ctx.business.id;
+        const { errors, fields } = validateTdsSections((req.body || {}).sections, getChartOfAccounts(bizId));
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
 
-        if (filename.endsWith('.csv')) {
-            const lines = content.split('\n').filter(l => l.trim());
-            // Skip header row if it contains text like "date" or "amount"
-            const startIdx = lines[0] && /date|amount|description|debit|credit/i.test(lines[0]) ? 1 : 0;
+        store.setDoc('tdsSections', bizId, fields);
+        res.json({ success: true, sections: fields });
 
-            for (let i = startIdx; i < lines.length; i++) {
-                const cols = lines[i].split(',').map(c => c.replace(/"/g, '').trim());
-                if (cols.length < 2) continue;
+    } catch (e) {
+        console.error('TDS Sections Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update TDS sections' });
+    }
+});
 
-                // Try to find date, description, amount from columns
-                const dateStr = cols.find(c => /\d{4}-\d{2}-\d{2}|\d{2}[\/\-]\d{2}[\/\-]\d{4}/.test(c));
-                const amtStr  = cols.find(c => /^\-?\d[\d,]*(?:\.\d{1,2})?$/.test(c));
-                const desc    = cols.find(c => c.length > 3 && !/^\d/.test(c)) || 'Unknown';
+// ?fy=2026-27&quarter=Q1..Q4 (default: the current quarter) — TDS deducted by
+// section and deductee PAN, as needed for the 24Q/26Q returns
+app.get('/api/businesses/:bizId/reports/tds', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
 
-                const amount = amtStr ? Math.abs(parseFloat(amtStr.replace(/,/g, ''))) : 0;
-                if (amount === 0) continue;
+        const period = resolveTdsQuarter(req.query);
+        if (period.error) return res.status(400).json({ error: period.error });
 
-                parsed.push({
-                    date:        dateStr || today,
-                    desc:        desc.slice(0, 100),
-                    amount,
-                    accountType: amount < 0 ? 'Income' : 'Expense',
-                    category:    'Office Supplies',
-                    mode:        'Bank'
-                });
-            }
-        } else {
-            // PDF or unsupported — return guidance message
-            return res.status(422).json({
-                error: 'PDF parsing requires a PDF extraction library. Please upload a CSV file for now.'
-            });
-        }
+        const bizId = ctx.business.id;
+        const summary = buildTdsSummary(store.getTransactions(bizId), getParties(bizId), getTdsSections(bizId), period.from, period.to);
+        res.json({ businessId: bizId, ...period, ...summary });
+
+    } catch (e) {
+        console.error('TDS Summary Error:', e.message);
+        res.status(500).json({ error: 'Failed to build TDS summary' });
+    }
+});
+
+// ── BUDGETS ──────────────────────────────────
+app.get('/api/businesses/:bizId/budgets', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+        res.json({ businessId: ctx.business.id, budgets: getBudgets(ctx.business.id) });
+
+    } catch (e) {
+        console.error('Budgets Error:', e.message);
+        res.status(500).json({ error: 'Failed to load budgets' });
+    }
+});
+
+// Body: { category, period ('monthly' | 'quarterly' | 'yearly'), amount,
+// alertPercent? (default 80), startMonth? (default: the current period),
+// endMonth? }
+app.post('/api/businesses/:bizId/budgets', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const budgets = getBudgets(business.id);
+        const { errors, fields } = validateBudget(req.body || {}, business, getChartOfAccounts(business.id), budgets);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const budget = { id: newId(), ...fields, createdBy: ctx.user.id, createdAt: new Date().toISOString() };
+        store.setDoc('budgets', business.id, [...budgets, budget]);
+        res.status(201).json({ success: true, budget });
+
+    } catch (e) {
+        console.error('Budget Create Error:', e.message);
+        res.status(500).json({ error: 'Failed to create budget' });
+    }
+});
+
+// Open alerts, newest first; ?includeDismissed=true for all of them
+app.get('/api/businesses/:bizId/budgets/alerts', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const all = req.query.includeDismissed === 'true';
+        const alerts = getBudgetAlerts(ctx.business.id).filter(a => all || !a.dismissedAt).reverse();
+        res.json({ businessId: ctx.business.id, alerts });
+
+    } catch (e) {
+        console.error('Budget Alerts Error:', e.message);
+        res.status(500).json({ error: 'Failed to load budget alerts' });
+    }
+});
+
+app.post('/api/businesses/:bizId/budgets/alerts/:alertId/dismiss', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'draft');
+        if (!ctx) return;
+
+        const alerts = getBudgetAlerts(ctx.business.id);
+        const alert  = alerts.find(a => a.id === req.params.alertId);
+        if (!alert) return res.status(404).json({ error: 'Alert not found' });
 
-        if (parsed.length === 0) {
-            return res.status(422).json({ error: 'No valid transactions found in file. Check CSV format.' });
+        if (!alert.dismissedAt) {
+            alert.dismissedAt = new Date().toISOString();
+            alert.dismissedBy = ctx.user.id;
+            store.setDoc('budgetAlerts', ctx.business.id, alerts);
         }
+        res.json({ success: true, alert });
 
-        res.json({ success: true, data: parsed, count: parsed.length });
+    } catch (e) {
+        console.error('Budget Alert Dismiss Error:', e.message);
+        res.status(500).json({ error: 'Failed to dismiss alert' });
+    }
+});
+
+app.put('/api/businesses/:bizId/budgets/:budgetId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { business } = ctx;
+        const budgets = getBudgets(business.id);
+        const idx = budgets.findIndex(b => b.id === req.params.budgetId);
+        if (idx === -1) return res.status(404).json({ error: 'Budget not found' });
+
+        const others = budgets.filter((_, i) => i !== idx);
+        const { errors, fields } = validateBudget({ ...budgets[idx], ...(req.body || {}) }, business, getChartOfAccounts(business.id), others);
+        if (errors.length) return res.status(400).json({ error: errors.join('. ') });
+
+        const { id, createdBy, createdAt } = budgets[idx];
+        budgets[idx] = { id, ...fields, createdBy, createdAt, updatedAt: new Date().toISOString() };
+        store.setDoc('budgets', business.id, budgets);
+        res.json({ success: true, budget: budgets[idx] });
 
     } catch (e) {
-        console.error('Upload Error:', e.message);
-        res.status(500).json({ error: 'File processing failed' });
+        console.error('Budget Update Error:', e.message);
+        res.status(500).json({ error: 'Failed to update budget' });
+    }
+});
+
+// Alerts already raised for the budget are kept
+app.delete('/api/businesses/:bizId/budgets/:budgetId', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const budgets = getBudgets(ctx.business.id);
+        if (!budgets.some(b => b.id === req.params.budgetId)) return res.status(404).json({ error: 'Budget not found' });
+
+        store.setDoc('budgets', ctx.business.id, budgets.filter(b => b.id !== req.params.budgetId));
+        res.json({ success: true });
+
+    } catch (e) {
+        console.error('Budget Delete Error:', e.message);
+        res.status(500).json({ error: 'Failed to delete budget' });
+    }
+});
+
+// ?month=YYYY-MM (default: this month) — every budget running then, for the
+// whole of its period containing that month, against posted spend
+app.get('/api/businesses/:bizId/reports/budgets', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        const month = req.query.month || todayISO().slice(0, 7);
+        if (!isMonth(month)) return res.status(400).json({ error: 'month must be a month in YYYY-MM format' });
+
+        const { business } = ctx;
+        const report = buildBudgetReport(getBudgets(business.id), business, storeSpend(business.id), `${month}-01`);
+        res.json({ businessId: business.id, month, ...report });
+
+    } catch (e) {
+        console.error('Budget Report Error:', e.message);
+        res.status(500).json({ error: 'Failed to build budget report' });
+    }
+});
+
+// ── PERIOD CLOSE ─────────────────────────────
+// Locked months plus the closing-balance snapshot taken at each close
+app.get('/api/businesses/:bizId/periods', verifyToken, (req, res) => {
+    try {
+        const ctx = loadBusinessForUser(req, res);
+        if (!ctx) return;
+
+        res.json({
+            businessId:   ctx.business.id,
+            lockedMonths: [...(ctx.business.lockedMonths || [])].sort(),
+            closings:     store.getDoc('periodClosings', ctx.business.id) || []
+        });
+
+    } catch (e) {
+        console.error('Periods Error:', e.message);
+        res.status(500).json({ error: 'Failed to load periods' });
+    }
+});
+
+app.post('/api/businesses/:bizId/periods/:month/close', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'close');
+        if (!ctx) return;
+
+        const { user, business } = ctx;
+        const month = req.params.month;
+        if (!MONTH_PATTERN.test(month))   return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+        if (month > monthOf(todayISO()))   return res.status(400).json({ error: 'Cannot close a month that has not started' });
+
+        business.lockedMonths = business.lockedMonths || [];
+        if (business.lockedMonths.includes(month)) return res.status(409).json({ error: `${month} is already closed` });
+
+        const closing = {
+            month,
+            closedAt: new Date().toISOString(),
+            closedBy: user.id,
+            ...buildClosingSnapshot(storeLedger(business.id), business, month)
+        };
+
+        business.lockedMonths.push(month);
+        business.lockedMonths.sort();
+        const closings = store.getDoc('periodClosings', business.id) || [];
+        closings.push(closing);
+
+        store.transaction(() => {
+            store.saveBusiness(business);
+            store.setDoc('periodClosings', business.id, closings);
+        });
+        res.status(201).json({ success: true, lockedMonths: business.lockedMonths, closing });
+
+    } catch (e) {
+        console.error('Period Close Error:', e.message);
+        res.status(500).json({ error: 'Failed to close period' });
+    }
+});
+
+// Reopening keeps the snapshot for the audit trail and marks it superseded
+app.post('/api/businesses/:bizId/periods/:month/reopen', verifyToken, (req, res) => {
+    try {
+        const ctx = loadWritableBusiness(req, res, 'manage');
+        if (!ctx) return;
+
+        const { user, business } = ctx;
+        const month = req.params.month;
+        if (!(business.lockedMonths || []).includes(month)) return res.status(409).json({ error: `${month} is not closed` });
+
+        business.lockedMonths = business.lockedMonths.filter(m => m !== month);
+        const closings = store.getDoc('periodClosings', business.id) || [];
+        closings.filter(c => c.month === month && !c.reopenedAt).forEach(c => {
+            c.reopenedAt = new Date().toISOString();
+            c.reopenedBy = user.id;
+            if (req.body && req.body.reason) c.reopenReason = String(req.body.reason).slice(0, 500);
+        });
+
+        store.transaction(() => {
+            store.saveBusiness(business);
+            store.setDoc('periodClosings', business.id, closings);
+        });
+        res.json({ success: true, lockedMonths: business.lockedMonths });
+
+    } catch (e) {
+        console.error('Period Reopen Error:', e.message);
+        res.status(500).json({ error: 'Failed to reopen period' });
     }
 });
 
@@ -620,6 +9266,10 @@ app.post('/api/upload', verifyToken, upload.single('file'), (req, res) => {
 // ERROR HANDLER — FIX #16: Never leak stack traces
 // ─────────────────────────────────────────────
 app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File is too large' });
+        return res.status(400).json({ error: err.message });
+    }
     console.error('Unhandled error:', err.message);
     res.status(500).json({ error: 'An unexpected error occurred' });
 });
@@ -635,16 +9285,29 @@ app.use((req, res) => {
 const server = app.listen(PORT, () => {
     console.log('\n🧠 LEDGERLY.AI v2.0 BACKEND RUNNING 🚀');
     console.log(`📡 Port:     ${PORT}`);
-    console.log(`📁 Database: ${DATA_FILE}`);
+    console.log(`📁 Database: ${store.driver === 'json' ? DATA_FILE : SQLITE_FILE} (${store.driver})`);
     console.log(`🔒 Security: helmet + rate-limit + bcrypt active`);
     console.log(`🧠 NLP Engine: Online — smart entry ready`);
     console.log(`✅ All 20 bugs fixed\n`);
 });
 
+// Recurring transactions: catch up on whatever fell due while the server
+// was down, then check again every RECURRING_INTERVAL_MINUTES
+runAllDueRecurring();
+const recurringTimer = setInterval(runAllDueRecurring, RECURRING_INTERVAL_MINUTES * 60 * 1000);
+recurringTimer.unref();
+
+sweepExpiredAuthDocs();
+const authSweepTimer = setInterval(sweepExpiredAuthDocs, AUTH_SWEEP_INTERVAL_MS);
+authSweepTimer.unref();
+
 // FIX #17: Graceful shutdown — finish any in-progress writes before exiting
 const shutdown = (signal) => {
     console.log(`\n${signal} received. Shutting down gracefully...`);
+    clearInterval(recurringTimer);
+    clearInterval(authSweepTimer);
     server.close(() => {
+        if (store.sqlite) store.sqlite.close();
         console.log('Server closed. Goodbye!');
         process.exit(0);
     });